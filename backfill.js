@@ -0,0 +1,196 @@
+/**
+ * backfill.js
+ *
+ * Rebuilds episode documents outside the rolling RECENCY_DAYS window —
+ * after Firestore was wiped, or when a show was added late.
+ *
+ * Usage:
+ *   node backfill.js --from 2026-01-01 --to 2026-01-31
+ *   node backfill.js --mal 59853,62804 [--from 2026-01-01]
+ *   node backfill.js --anilist 171018
+ *   node backfill.js --season WINTER --year 2026
+ *
+ * Schedules go through the same filter → convert → write pipeline as
+ * fetch.js (every episode in range, finished shows included). Already-seen
+ * keys are rewritten; the seen store still only keeps the last
+ * RECENCY_DAYS days, so its meaning for the regular fetch is unchanged.
+ */
+
+const CONFIG = require('./lib/config');
+const { runCommand } = require('./lib/command');
+const { createRunId } = require('./lib/utils');
+const { createStorage } = require('./lib/storage');
+const { acquireLock } = require('./lib/lock');
+const { createSkipReport } = require('./lib/skip_report');
+const anilist = require('./lib/sources/anilist');
+const { hydrateSchedules, filterLatestEpisodes, updateFirestore, writeSkipReport } = require('./fetch');
+
+const SEASONS = ['WINTER', 'SPRING', 'SUMMER', 'FALL'];
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+function parseIdList(value, flag) {
+  const ids = String(value).split(',').map(id => Number(id.trim()));
+  if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new Error(`${flag} expects a comma separated list of numeric IDs, got "${value}"`);
+  }
+  return ids;
+}
+
+function parseDate(value, flag, endOfDay = false) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+    throw new Error(`${flag} expects a date as YYYY-MM-DD, got "${value}"`);
+  }
+  const time = Date.parse(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}Z`);
+  if (Number.isNaN(time)) throw new Error(`${flag}: invalid date "${value}"`);
+  return Math.floor(time / 1000);
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    switch (flag) {
+      case '--from': args.from = parseDate(value, flag); i++; break;
+      case '--to': args.until = parseDate(value, flag, true); i++; break;
+      case '--mal': args.malIds = parseIdList(value, flag); i++; break;
+      case '--anilist': args.anilistIds = parseIdList(value, flag); i++; break;
+      case '--season': args.season = String(value).toUpperCase(); i++; break;
+      case '--year': args.year = Number(value); i++; break;
+      default: throw new Error(`Unknown argument "${flag}"`);
+    }
+  }
+
+  if (args.season && !SEASONS.includes(args.season)) {
+    throw new Error(`--season must be one of ${SEASONS.join(', ')}`);
+  }
+  if (args.season && !Number.isInteger(args.year)) {
+    throw new Error('--season needs --year');
+  }
+  if (args.from && args.until && args.from > args.until) {
+    throw new Error('--from must be before --to');
+  }
+  if (!args.from && !args.until && !args.malIds && !args.anilistIds && !args.season) {
+    throw new Error('Nothing to backfill: pass --from/--to, --mal, --anilist or --season/--year');
+  }
+  return args;
+}
+
+// ============================================
+// MAIN EXECUTION
+// ============================================
+
+/**
+ * One backfill run over `argv` (see Usage above). Returns the exit code.
+ */
+async function run(argv = []) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+  const scriptStartTime = Date.now();
+
+  console.log('\n');
+  console.log('═══════════════════════════════════════════');
+  console.log('⏪ ANIME HUB WORKER - BACKFILL');
+  console.log('═══════════════════════════════════════════');
+  console.log(`⏰ Started at: ${new Date().toISOString()}`);
+  console.log(`🗄️  Storage sink: ${CONFIG.STORAGE_SINK}`);
+  console.log('');
+
+  let lock = null;
+  try {
+    const storage = createStorage(CONFIG.STORAGE_SINK);
+
+    // Shares the fetch lock — both write episodes and the seen store
+    lock = await acquireLock(storage, 'fetch', { runId: createRunId() });
+    if (!lock) {
+      console.log('⏭️  A fetch or backfill run is in progress — try again later');
+      return 1;
+    }
+
+    // Step 1: Resolve which media to backfill
+    let mediaIds = null;
+    if (args.malIds || args.anilistIds || args.season) {
+      mediaIds = [...(args.anilistIds || [])];
+      if (args.malIds) {
+        console.log(`🔎 Resolving ${args.malIds.length} MAL ID(s) on AniList...`);
+        mediaIds.push(...await anilist.resolveMalIds(args.malIds));
+      }
+      if (args.season) {
+        console.log(`🔎 Listing ${args.season} ${args.year} anime...`);
+        mediaIds.push(...await anilist.fetchSeasonMediaIds(args.season, args.year));
+      }
+      mediaIds = Array.from(new Set(mediaIds));
+      console.log(`🎯 ${mediaIds.length} AniList media ID(s) to backfill\n`);
+
+      if (mediaIds.length === 0) {
+        console.log('⚠️  No matching media found — nothing to backfill');
+        return 1;
+      }
+    }
+
+    // Step 2: Fetch every aired schedule in range
+    const schedules = await anilist.fetchBackfillSchedules({ from: args.from, until: args.until, mediaIds });
+    if (schedules.length === 0) {
+      console.log('⚠️  No schedules found or API request failed');
+      return 1;
+    }
+
+    // Step 3: Same details + filters as fetch.js, minus the recency window and RELEASING status
+    const skipReport = createSkipReport(createRunId());
+    const filterOptions = { cutoffDate: args.from || 0, requireReleasing: false };
+    const detailed = await hydrateSchedules(schedules, skipReport, filterOptions);
+    const episodes = filterLatestEpisodes(detailed, skipReport, { ...filterOptions, allEpisodes: true });
+    await writeSkipReport(skipReport, storage);
+
+    if (episodes.length === 0) {
+      console.log('⚠️  No episodes passed filtering — nothing to write');
+      return 0;
+    }
+
+    // Step 4: Write (rewrites already-seen keys, no push notifications)
+    const result = await updateFirestore(episodes, storage, { force: true, notify: false, lock });
+
+    if (result.partial) {
+      console.error('⚠️  PARTIAL BACKFILL — some batches did not commit and are replayed by the next run');
+      console.error(`❌ Error: ${result.error.message}`);
+      return CONFIG.PARTIAL_EXIT_CODE;
+    }
+
+    console.log('═══════════════════════════════════════════');
+    console.log('✅ BACKFILL COMPLETED SUCCESSFULLY');
+    console.log('═══════════════════════════════════════════');
+    console.log(`📺 Episodes backfilled: ${episodes.length}`);
+    console.log(`⏱️  Total execution time: ${((Date.now() - scriptStartTime) / 1000).toFixed(2)}s`);
+    console.log('═══════════════════════════════════════════\n');
+
+    return 0;
+  } catch (error) {
+    console.error('\n═══════════════════════════════════════════');
+    console.error('💥 FATAL ERROR - BACKFILL FAILED');
+    console.error('═══════════════════════════════════════════');
+    console.error(`❌ Error: ${error.message}`);
+    console.error(error.stack);
+    console.error(`⏱️  Failed after: ${((Date.now() - scriptStartTime) / 1000).toFixed(2)}s`);
+    console.error('═══════════════════════════════════════════\n');
+
+    return 1;
+  } finally {
+    if (lock) await lock.release();
+  }
+}
+
+if (require.main === module) {
+  runCommand(run);
+}
+
+module.exports = {
+  run,
+};
@@ -1,51 +1,208 @@
 /**
  * cleanup_seen.js
  *
- * Runs once daily at 00:00 UTC (before the main fetch worker).
- * Removes entries older than 7 days from seen_episodes.json
- * and commits the trimmed file back to the repo.
+ * Seen store maintenance (SEEN_STORE: seen_episodes.json, the Firestore
+ * doc or SQLite — see lib/seen_store.js and lib/maintenance.js):
+ *
+ *   node cleanup_seen.js [trim]               drop entries older than RECENCY_DAYS
+ *   node cleanup_seen.js verify               report drift between seen keys and storage
+ *   node cleanup_seen.js rebuild              regenerate the store from storage
+ *   node cleanup_seen.js forget <id> [epN]    forget a show (or one episode) so fetch rewrites it
+ *
+ * `--dry-run` prints what would change and saves nothing (verify never saves).
+ * Exit codes: 0 ok, 1 failure or bad usage, INCONSISTENT_EXIT_CODE (3) when
+ * an inconsistency is left in place — verify found drift, a dry-run rebuild
+ * would change the store, or forget found nothing to forget.
+ *
+ * The daily workflow runs `trim` at 00:00 UTC (before the main fetch
+ * worker) against the Firestore seen store; nothing is committed back.
+ * With STORAGE_SINK=dry-run every command behaves as with `--dry-run`.
+ * Holds the same run lock as fetch.js (locks/fetch), so it never
+ * reads or rewrites the store under a running fetch.
  */
 
-const fs = require('fs');
+const CONFIG = require('./lib/config');
+const { runCommand } = require('./lib/command');
+const { createRunId } = require('./lib/utils');
+const { createStorage } = require('./lib/storage');
+const { acquireLock } = require('./lib/lock');
+const { createSeenStore } = require('./lib/seen_store');
+const { loadMetadataCache, saveMetadataCache } = require('./lib/metadata_cache');
+const maintenance = require('./lib/maintenance');
 
-const SEEN_FILE = 'seen_episodes.json';
-const RECENCY_DAYS = 7;
+const COMMANDS = ['trim', 'verify', 'rebuild', 'forget'];
+const USAGE = 'Usage: node cleanup_seen.js [trim | verify | rebuild | forget <animeId> [epN]] [--dry-run]';
 
-console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log('🧹 DAILY CLEANUP — seen_episodes.json');
-console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log(`⏰ Started at: ${new Date().toISOString()}`);
+function parseArgs(argv) {
+  const dryRun = argv.includes('--dry-run');
+  const [command = 'trim', ...rest] = argv.filter(arg => arg !== '--dry-run');
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}"\n${USAGE}`);
+
+  if (command !== 'forget') {
+    if (rest.length > 0) throw new Error(`"${command}" takes no arguments\n${USAGE}`);
+    return { command, dryRun };
+  }
+
+  const [animeId, episodeArg] = rest;
+  if (!animeId || !/^(al)?\d+$/.test(animeId)) throw new Error(`forget needs a MAL id (or al{anilistId})\n${USAGE}`);
+  const episode = episodeArg === undefined ? null : Number(String(episodeArg).replace(/^ep/i, ''));
+  if (episode !== null && !Number.isInteger(episode)) throw new Error(`Invalid episode "${episodeArg}"\n${USAGE}`);
+  return { command, dryRun, animeId, episode };
+}
+
+function printKeys(icon, label, keys) {
+  console.log(`${icon} ${label}: ${keys.length}`);
+  keys.forEach(key => console.log(`   ${typeof key === 'string' ? key : JSON.stringify(key)}`));
+}
 
-if (!fs.existsSync(SEEN_FILE)) {
-  console.log(`⚠️  ${SEEN_FILE} not found — nothing to clean`);
-  process.exit(0);
+function printFooter() {
+  console.log(`⏰ Finished at: ${new Date().toISOString()}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 }
 
-const raw = JSON.parse(fs.readFileSync(SEEN_FILE, 'utf8'));
-const total = Object.keys(raw).length;
+// ============================================
+// COMMANDS
+// ============================================
 
-const now = Date.now() / 1000;
-const cutoff = now - (RECENCY_DAYS * 24 * 60 * 60);
+async function trimSeenStore(seenStore, { dryRun }) {
+  const seenMap = await seenStore.load();
+  const total = seenMap.size;
+  if (total === 0) {
+    console.log(`⚠️  ${seenStore.where} is empty — nothing to clean`);
+    return 0;
+  }
+
+  const removed = dryRun ? maintenance.trim(seenMap).removed : await seenStore.save(seenMap);
+  for (const key of removed) {
+    console.log(`   🗑️  ${dryRun ? 'Would remove' : 'Removed'}: ${key}`);
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(dryRun ? '📊 CLEANUP SUMMARY (dry run — nothing saved)' : '📊 CLEANUP SUMMARY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`📂 Total before: ${total}`);
+  console.log(`🗑️  Removed (>${CONFIG.RECENCY_DAYS} days): ${removed.length}`);
+  console.log(`✅ Remaining: ${total - removed.length}`);
+  printFooter();
+  return 0;
+}
 
-const trimmed = {};
-let removed = 0;
+async function verifySeenStore(seenStore, storage) {
+  const seenMap = await seenStore.load();
+  const { missingInStorage, missingInSeen, mismatched, consistent } = await maintenance.verify(storage, seenMap);
 
-for (const [key, airingAt] of Object.entries(raw)) {
-  if (airingAt >= cutoff) {
-    trimmed[key] = airingAt;
-  } else {
-    removed++;
-    console.log(`   🗑️  Removed: ${key}`);
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📊 VERIFY SUMMARY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  printKeys('👻', `Seen but missing in ${storage.name} (never rewritten)`, missingInStorage);
+  printKeys('🆕', `In ${storage.name} but not seen (rewritten and re-announced)`, missingInSeen);
+  printKeys('⏱️ ', 'Airing time differs', mismatched);
+  console.log(consistent ? '✅ Seen store and storage agree' : '❌ Drift found — fix with `rebuild` or `forget`');
+  printFooter();
+  return consistent ? 0 : CONFIG.INCONSISTENT_EXIT_CODE;
+}
+
+async function rebuildSeenStore(seenStore, storage, { dryRun }) {
+  let seenMap;
+  try {
+    seenMap = await seenStore.load();
+  } catch (error) {
+    // A corrupt store is exactly what rebuild is for
+    console.error(`⚠️  Could not load ${seenStore.where}: ${error.message} — rebuilding from scratch`);
+    seenMap = new Map();
   }
+  const { map, added, removed, changed, notified } = await maintenance.rebuild(storage, seenMap);
+  const drift = added.length + removed.length + changed.length > 0;
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(dryRun ? '📊 REBUILD SUMMARY (dry run — nothing saved)' : '📊 REBUILD SUMMARY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  printKeys('➕', 'Added', added);
+  printKeys('➖', 'Removed', removed);
+  printKeys('✏️ ', 'Changed', changed);
+  console.log(`🔕 Marked as notified: ${notified.length}`);
+  if (!dryRun && (drift || notified.length > 0)) await seenStore.save(map);
+  console.log(drift ? `${dryRun ? '❌ Would rewrite' : '✅ Rewrote'} ${seenStore.where} with ${map.size} key(s)` : '✅ Already in sync');
+  printFooter();
+  return dryRun && drift ? CONFIG.INCONSISTENT_EXIT_CODE : 0;
 }
 
-fs.writeFileSync(SEEN_FILE, JSON.stringify(trimmed, null, 2), 'utf8');
+async function forgetShow(seenStore, { animeId, episode, dryRun }) {
+  const seenMap = await seenStore.load();
+  const removed = maintenance.forget(seenMap, animeId, episode);
+  const target = episode === null ? animeId : `${animeId}_ep${episode}`;
+
+  if (removed.length === 0) {
+    console.log(`❌ ${seenStore.where} has no keys for ${target} — nothing to forget`);
+    return CONFIG.INCONSISTENT_EXIT_CODE;
+  }
+  removed.forEach(key => console.log(`   🗑️  ${dryRun ? 'Would forget' : 'Forgot'}: ${key}`));
+
+  if (!dryRun) {
+    await seenStore.save(seenMap);
+    // The rewrite should be a full one
+    const metadataCache = loadMetadataCache();
+    if (metadataCache.delete(String(animeId))) saveMetadataCache(metadataCache);
+  }
+  console.log(`✅ ${removed.length} key(s) ${dryRun ? 'would be forgotten' : 'forgotten'} — the next fetch rewrites ${target} without re-announcing it`);
+  printFooter();
+  return 0;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+/**
+ * One maintenance command over `argv` (see the header). Returns the exit code.
+ */
+async function run(argv = []) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🧹 SEEN STORE MAINTENANCE — ${args.command} (${CONFIG.SEEN_STORE})${args.dryRun ? ' — DRY RUN' : ''}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`⏰ Started at: ${new Date().toISOString()}`);
+
+  const storage = createStorage(CONFIG.STORAGE_SINK);
+  const lock = await acquireLock(storage, 'fetch', { runId: createRunId() });
+  if (!lock) {
+    console.log(`⏭️  A fetch run is in progress — skipping ${args.command}${args.command === 'trim' ? ' (fetch trims the store too)' : ''}`);
+    return 0;
+  }
+
+  try {
+    const seenStore = createSeenStore(CONFIG.SEEN_STORE, storage);
+    // The dry-run sink persists nothing, the seen store included
+    if (storage.readOnly) args.dryRun = true;
+    switch (args.command) {
+      case 'verify':
+        return await verifySeenStore(seenStore, storage);
+      case 'rebuild':
+        return await rebuildSeenStore(seenStore, storage, args);
+      case 'forget':
+        return await forgetShow(seenStore, args);
+      default:
+        return await trimSeenStore(seenStore, args);
+    }
+  } catch (error) {
+    console.error(`💥 Cleanup failed: ${error.message}`);
+    return 1;
+  } finally {
+    await lock.release();
+  }
+}
+
+if (require.main === module) {
+  runCommand(run);
+}
 
-console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log('📊 CLEANUP SUMMARY');
-console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log(`📂 Total before: ${total}`);
-console.log(`🗑️  Removed (>7 days): ${removed}`);
-console.log(`✅ Remaining: ${Object.keys(trimmed).length}`);
-console.log(`⏰ Finished at: ${new Date().toISOString()}`);
-console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+module.exports = {
+  run,
+};
@@ -0,0 +1,56 @@
+/**
+ * cli.js
+ *
+ * Single entry point for every worker command:
+ *
+ *   node cli.js fetch [--upcoming]
+ *   node cli.js backfill --from 2026-01-01 --to 2026-01-31 | --mal <ids> | --anilist <ids> | --season <s> --year <y>
+ *   node cli.js cleanup [trim | verify | rebuild | forget <animeId> [epN]] [--dry-run]
+ *   node cli.js lifecycle
+ *   node cli.js inspect <malId | al{anilistId}> [--json]
+ *
+ * Any setting can follow as a flag (--recency-days 14, --storage-sink json,
+ * --no-jikan-enrich) or come from --config <file>; see lib/settings.js for
+ * the order of the layers. Invalid configuration exits 1 before anything runs.
+ * The old scripts (node fetch.js, ...) still work and take the same flags.
+ */
+
+const { runCommand } = require('./lib/command');
+const { SCHEMA, flagName } = require('./lib/settings');
+
+const COMMANDS = {
+  fetch: { module: './fetch', summary: 'fetch recent episodes (--upcoming: the airing schedule)' },
+  backfill: { module: './backfill', summary: 'rebuild episodes outside the recency window' },
+  cleanup: { module: './cleanup_seen', summary: 'seen store maintenance: trim, verify, rebuild, forget' },
+  lifecycle: { module: './lifecycle', summary: 'daily lifecycle pass and archiving' },
+  inspect: { module: './inspect', summary: 'everything known about one show' },
+};
+
+function printUsage(log = console.log) {
+  log('Usage: node cli.js <command> [arguments] [--config <file>] [--<setting> <value>]\n');
+  log('Commands:');
+  Object.entries(COMMANDS).forEach(([name, { summary }]) => log(`  ${name.padEnd(10)} ${summary}`));
+  log('\nSettings:');
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    const env = spec.env ? ` (env ${spec.env})` : '';
+    log(`  ${flagName(key).padEnd(28)} default ${spec.derived || JSON.stringify(spec.default)}${env}`);
+  });
+}
+
+function main(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv;
+  if (!name || name === 'help' || name === '--help') {
+    printUsage();
+    process.exit(name ? 0 : 1);
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`❌ Unknown command "${name}"\n`);
+    printUsage(console.error);
+    process.exit(1);
+  }
+  runCommand(require(command.module).run, rest);
+}
+
+main();
@@ -3,6 +3,7 @@
  * 
  * Uses AniList GraphQL API for accurate, real-time data!
  * Endpoint: https://graphql.anilist.co
+ * Falls back to Jikan (MyAnimeList) when AniList is down — see lib/sources/
  * 
  * Enhancements:
  * - Comprehensive logging for debugging
@@ -12,524 +13,141 @@
  * - Retry logic for failed requests
  */
 
-const admin = require('firebase-admin');
-const axios = require('axios');
+const CONFIG = require('./lib/config');
+const { runCommand } = require('./lib/command');
+const { formatTimestamp, formatFuzzyDate, cleanHtmlTags, createRunId } = require('./lib/utils');
+const { createStorage } = require('./lib/storage');
+const { loadPolicy, isAdultContent, isAnime } = require('./lib/policy');
+const { SKIP_REASONS, createSkipReport } = require('./lib/skip_report');
+const anilist = require('./lib/sources/anilist');
+const jikan = require('./lib/sources/jikan');
+const {
+  loadMetadataCache,
+  saveMetadataCache,
+  metadataStatus,
+  cacheEntry,
+  pickEpisodeFields,
+  pickMetadataFields,
+} = require('./lib/metadata_cache');
+const { createNotifier } = require('./lib/notifications');
+const { createWriteJournal } = require('./lib/journal');
+const { acquireLock } = require('./lib/lock');
+const { createSeenStore, seenEntry, hashEpisode } = require('./lib/seen_store');
+const { createWebhookNotifier } = require('./lib/webhooks');
+const { updateFeeds } = require('./lib/feeds');
+const { updateCalendars } = require('./lib/calendar');
+const { updateAggregates } = require('./lib/aggregates');
+const { canonicalId, resolveCanonicalIds } = require('./lib/ids');
+const { SEARCH_COLLECTION, buildSearchDocument } = require('./lib/search');
+const { statusLabel, lifecycleOf, lifecycleFields } = require('./lib/lifecycle');
+const {
+  CORRECTION_TYPES,
+  detectCorrections,
+  describeCorrection,
+  historyCorrection,
+  parentCorrection,
+} = require('./lib/corrections');
 
 // ============================================
-// CONFIGURATION
-// ============================================
-
-const CONFIG = {
-  ANILIST_API: 'https://graphql.anilist.co',
-  RECENCY_DAYS: 7,
-  EPISODES_PER_PAGE: 50,
-  MAX_RETRIES: 3,
-  RETRY_DELAY: 2000, // 2 seconds
-  RATE_LIMIT_DELAY: 700, // milliseconds between requests
-};
-
-// ============================================
-// FIREBASE INITIALIZATION
-// ============================================
-
-const serviceAccount = {
-  projectId: process.env.FIREBASE_PROJECT_ID,
-  privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-  clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-};
-
-console.log('🔧 Initializing Firebase...');
-console.log(`   Project ID: ${serviceAccount.projectId}`);
-
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
-
-const db = admin.firestore();
-console.log('✅ Firebase initialized successfully\n');
-
-// ============================================
-// UTILITY FUNCTIONS
-// ============================================
-
-async function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function formatTimestamp(unixTimestamp) {
-  return new Date(unixTimestamp * 1000).toISOString();
-}
-
-function cleanHtmlTags(html) {
-  if (!html) return '';
-  return html
-    .replace(/<br\s*\/?>/gi, '\n')
-    .replace(/<[^>]*>/g, '')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .trim();
-}
-
-// ============================================
-// GRAPHQL QUERY (ENHANCED - ALL FIELDS)
-// ============================================
-
-const AIRING_ANIME_QUERY = `
-query ($page: Int, $perPage: Int) {
-  Page(page: $page, perPage: $perPage) {
-    pageInfo {
-      total
-      currentPage
-      lastPage
-      hasNextPage
-      perPage
-    }
-    airingSchedules(notYetAired: false, sort: TIME_DESC) {
-      id
-      episode
-      airingAt
-      timeUntilAiring
-      media {
-        id
-        idMal
-        title {
-          romaji
-          english
-          native
-          userPreferred
-        }
-        coverImage {
-          extraLarge
-          large
-          medium
-          color
-        }
-        bannerImage
-        startDate {
-          year
-          month
-          day
-        }
-        endDate {
-          year
-          month
-          day
-        }
-        description
-        season
-        seasonYear
-        seasonInt
-        episodes
-        duration
-        countryOfOrigin
-        isLicensed
-        source
-        hashtag
-        trailer {
-          id
-          site
-        }
-        updatedAt
-        coverImage {
-          extraLarge
-          large
-          medium
-          color
-        }
-        bannerImage
-        genres
-        synonyms
-        averageScore
-        meanScore
-        popularity
-        isLocked
-        trending
-        favourites
-        tags {
-          id
-          name
-          description
-          category
-          rank
-          isGeneralSpoiler
-          isMediaSpoiler
-          isAdult
-        }
-        relations {
-          edges {
-            id
-            relationType
-            node {
-              id
-              idMal
-              title {
-                romaji
-                english
-              }
-              type
-            }
-          }
-        }
-        characters {
-          edges {
-            id
-            role
-            name
-            node {
-              id
-              name {
-                first
-                middle
-                last
-                full
-                native
-              }
-            }
-          }
-        }
-        staff {
-          edges {
-            id
-            role
-            node {
-              id
-              name {
-                first
-                middle
-                last
-                full
-                native
-              }
-            }
-          }
-        }
-        studios(isMain: true) {
-          edges {
-            isMain
-            node {
-              id
-              name
-              isAnimationStudio
-              siteUrl
-            }
-          }
-        }
-        isFavourite
-        isAdult
-        nextAiringEpisode {
-          id
-          airingAt
-          timeUntilAiring
-          episode
-          mediaId
-        }
-        airingSchedule {
-          edges {
-            node {
-              id
-              airingAt
-              timeUntilAiring
-              episode
-            }
-          }
-        }
-        externalLinks {
-          id
-          url
-          site
-          type
-          language
-          color
-          icon
-        }
-        streamingEpisodes {
-          title
-          thumbnail
-          url
-          site
-        }
-        rankings {
-          id
-          rank
-          type
-          format
-          year
-          season
-          allTime
-          context
-        }
-        mediaListEntry {
-          id
-          status
-          score
-          progress
-          repeat
-        }
-        stats {
-          scoreDistribution {
-            score
-            amount
-          }
-          statusDistribution {
-            status
-            amount
-          }
-        }
-        siteUrl
-        autoCreateForumThread
-        isRecommendationBlocked
-        isReviewBlocked
-        modNotes
-        type
-        format
-        status
-      }
-    }
-  }
-}
-`;
-
-// ============================================
-// API FUNCTIONS
+// FILTERING AND PROCESSING
 // ============================================
 
 /**
- * Fetch a single page with retry logic
+ * Cheap pre-filter on the slim schedule fields (no genres/tags yet).
+ * Only rejects what filterLatestEpisodes would reject anyway.
  */
-async function fetchPage(page) {
-  let retries = 0;
-  let lastError = null;
-
-  while (retries < CONFIG.MAX_RETRIES) {
-    try {
-      const startTime = Date.now();
-
-      const response = await axios.post(CONFIG.ANILIST_API, {
-        query: AIRING_ANIME_QUERY,
-        variables: {
-          page,
-          perPage: CONFIG.EPISODES_PER_PAGE,
-        },
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        timeout: 30000,
-      });
-
-      const requestTime = Date.now() - startTime;
-
-      // Check for GraphQL errors
-      if (response.data.errors) {
-        console.error('⚠️  GraphQL Errors detected:');
-        response.data.errors.forEach((err, i) => {
-          console.error(`   Error ${i + 1}: ${err.message}`);
-          if (err.locations) {
-            console.error(`   Location: Line ${err.locations[0].line}, Column ${err.locations[0].column}`);
-          }
-        });
-      }
-
-      const schedules = response.data?.data?.Page?.airingSchedules || [];
-      const pageInfo = response.data?.data?.Page?.pageInfo || {};
-
-      console.log(`✅ Page ${page} fetched successfully`);
-      console.log(`   Response time: ${requestTime}ms`);
-      console.log(`   Episodes in page: ${schedules.length}`);
-      console.log(`   hasNextPage: ${pageInfo.hasNextPage} | lastPage: ${pageInfo.lastPage}`);
-      console.log(`   Rate limit remaining: ${response.headers['x-ratelimit-remaining'] || 'N/A'}`);
-
-      return { schedules, pageInfo };
-    } catch (error) {
-      retries++;
-      lastError = error;
-
-      console.error(`❌ Page ${page} failed (Attempt ${retries}/${CONFIG.MAX_RETRIES})`);
-      console.error(`   Error: ${error.message}`);
-
-      if (error.response) {
-        console.error(`   Status: ${error.response.status}`);
-        console.error(`   Data:`, JSON.stringify(error.response.data, null, 2));
-      } else if (error.request) {
-        console.error(`   No response received from server`);
-      }
-
-      if (retries < CONFIG.MAX_RETRIES) {
-        const waitTime = CONFIG.RETRY_DELAY * retries;
-        console.log(`   ⏳ Retrying in ${waitTime / 1000} seconds...\n`);
-        await delay(waitTime);
-      }
-    }
-  }
-
-  console.error(`💥 All retry attempts failed for page ${page}!`);
-  console.error(`   Last error: ${lastError?.message}`);
-  return null;
+function passesCheapFilters(schedule, policy, { cutoffDate, requireReleasing }) {
+  const media = schedule.media;
+  if (!media) return false;
+  if (schedule.airingAt < cutoffDate) return false;
+  if (requireReleasing && media.status !== 'RELEASING') return false;
+  if (isAdultContent(media, policy).blocked) return false;
+  return isAnime(media, policy).allowed;
 }
 
 /**
- * Fetch ALL episodes with full pagination support
+ * Replace the slim media of AniList schedules with full details, fetched
+ * once per unique media ID and only for shows passing the cheap filters.
+ * Schedules whose details failed to load are dropped (NO_DETAILS).
+ * Jikan schedules already carry full media and are left as they are.
  */
-async function fetchRecentlyAiredEpisodes() {
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('📺 FETCHING EPISODES FROM ANILIST (ALL PAGES)');
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`🔗 API Endpoint: ${CONFIG.ANILIST_API}`);
-  console.log(`📄 Episodes per page: ${CONFIG.EPISODES_PER_PAGE}`);
-  console.log(`⏱️  Request time: ${new Date().toISOString()}\n`);
-
-  const allSchedules = [];
-  let currentPage = 1;
-  let hasNextPage = true;
-  const now = Date.now() / 1000;
-  const cutoffDate = now - (CONFIG.RECENCY_DAYS * 24 * 60 * 60);
-
-  while (hasNextPage) {
-    console.log(`\n📄 Fetching page ${currentPage}...`);
-
-    const result = await fetchPage(currentPage);
-
-    if (!result) {
-      console.error(`⚠️  Failed to fetch page ${currentPage}, stopping pagination`);
-      break;
+async function hydrateSchedules(schedules, report, options = {}) {
+  const {
+    cutoffDate = Date.now() / 1000 - (CONFIG.RECENCY_DAYS * 24 * 60 * 60),
+    requireReleasing = true,
+  } = options;
+  const policy = loadPolicy();
+
+  const isSlim = schedule => schedule.media && (schedule.source || 'anilist') === 'anilist';
+  const wanted = new Set();
+  for (const schedule of schedules) {
+    if (isSlim(schedule) && passesCheapFilters(schedule, policy, { cutoffDate, requireReleasing })) {
+      wanted.add(schedule.media.id);
     }
-
-    const { schedules, pageInfo } = result;
-    allSchedules.push(...schedules);
-
-    // Early exit: if the last episode on this page is older than our cutoff,
-    // no need to fetch more pages (API returns TIME_DESC order)
-    if (schedules.length > 0) {
-      const oldestOnPage = schedules[schedules.length - 1].airingAt;
-      if (oldestOnPage < cutoffDate) {
-        console.log(`\n⏹️  Oldest episode on page ${currentPage} is beyond ${CONFIG.RECENCY_DAYS}-day window — stopping early`);
-        hasNextPage = false;
-        break;
-      }
-    }
-
-    hasNextPage = pageInfo.hasNextPage;
-
-    if (hasNextPage) {
-      currentPage++;
-      console.log(`   ⏳ Waiting ${CONFIG.RATE_LIMIT_DELAY}ms before next page...`);
-      await delay(CONFIG.RATE_LIMIT_DELAY);
-    }
-  }
-
-  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`✅ Pagination complete!`);
-  console.log(`   Total pages fetched: ${currentPage}`);
-  console.log(`   Total episodes fetched: ${allSchedules.length}`);
-  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-
-  if (allSchedules.length === 0) {
-    console.log('⚠️  Warning: No episodes returned from API');
   }
 
-  return allSchedules;
-}
-
-// ============================================
-// CONTENT FILTERING RULES
-// ============================================
-
-// Formats allowed — anime only, no cartoons or other media
-const ALLOWED_FORMATS = ['TV', 'TV_SHORT', 'OVA', 'ONA', 'SPECIAL', 'MOVIE'];
+  console.log(`🧮 ${schedules.length} schedule(s) → ${wanted.size} unique show(s) need details\n`);
+  const details = await anilist.fetchMediaDetails(Array.from(wanted));
 
-// Genres that are strictly blocked (hentai / adult)
-const BLOCKED_GENRES = ['Hentai', 'Ecchi'];
-
-// Tags that indicate adult/explicit content — blocked
-const BLOCKED_TAGS = [
-  'Hentai', 'Ecchi', 'Nudity', 'Explicit Sexual Content',
-  'Sex', 'Softcore', 'Pornography', 'BDSM',
-  'Sexual Abuse', 'Rape', 'Incest',
-];
-
-// Country whitelist — only Japanese anime (JP) and Chinese donghua (CN) / Korean (KR)
-// Blocks Western cartoons (US, GB, FR, CA, AU, etc.)
-const ALLOWED_COUNTRIES = ['JP', 'CN', 'KR', 'TW'];
-
-/**
- * Check if a media entry should be blocked due to adult/hentai content
- */
-function isAdultContent(media) {
-  // AniList's own isAdult flag
-  if (media.isAdult === true) return { blocked: true, reason: 'isAdult flag' };
-
-  // Block by genre
-  const genres = media.genres || [];
-  for (const genre of genres) {
-    if (BLOCKED_GENRES.includes(genre)) {
-      return { blocked: true, reason: `Blocked genre: ${genre}` };
-    }
-  }
-
-  // Block by tag
-  const tags = media.tags || [];
-  for (const tag of tags) {
-    if (BLOCKED_TAGS.includes(tag.name)) {
-      return { blocked: true, reason: `Blocked tag: ${tag.name}` };
+  const hydrated = [];
+  for (const schedule of schedules) {
+    if (isSlim(schedule) && details.has(schedule.media.id)) {
+      hydrated.push({ ...schedule, media: details.get(schedule.media.id) });
+    } else if (isSlim(schedule) && passesCheapFilters(schedule, policy, { cutoffDate, requireReleasing })) {
+      console.log(`   ⚠️  No details for ${schedule.media.title?.romaji} (AniList ID: ${schedule.media.id}) — dropped`);
+      report.add(schedule, SKIP_REASONS.NO_DETAILS, 'Media details failed to load');
+    } else {
+      // Left slim: filterLatestEpisodes rejects it with the precise reason
+      hydrated.push(schedule);
     }
   }
-
-  return { blocked: false };
-}
-
-/**
- * Check if a media entry is a proper anime (not a cartoon)
- */
-function isAnime(media) {
-  // Must be type ANIME
-  if (media.type !== 'ANIME') {
-    return { allowed: false, reason: `Not anime type: ${media.type}` };
-  }
-
-  // Must be an allowed format
-  if (!ALLOWED_FORMATS.includes(media.format)) {
-    return { allowed: false, reason: `Blocked format: ${media.format}` };
-  }
-
-  // Must be from an allowed country (JP, CN, KR, TW)
-  if (media.countryOfOrigin && !ALLOWED_COUNTRIES.includes(media.countryOfOrigin)) {
-    return { allowed: false, reason: `Blocked country: ${media.countryOfOrigin}` };
-  }
-
-  return { allowed: true };
+  return hydrated;
 }
 
-// ============================================
-// FILTERING AND PROCESSING
-// ============================================
-
 /**
- * Filter and deduplicate episodes — strict content rules applied
+ * Filter and deduplicate episodes — strict content rules applied.
+ * Every dropped schedule is recorded in `report` (see lib/skip_report.js).
+ *
+ * Returns one group per show: the latest episode's fields plus `episodes`,
+ * every qualifying episode of the show in the window ({ episode, airingAt,
+ * scheduleId }, oldest first) — a multi-episode drop keeps all of them.
+ *
+ * Options (used by backfill.js):
+ *   cutoffDate        oldest airingAt kept (default: RECENCY_DAYS ago)
+ *   requireReleasing  only keep RELEASING shows (default: true)
+ *   allEpisodes       one group per episode instead of per show, sorted by
+ *                     airing time (default: false)
  */
-function filterLatestEpisodes(schedules) {
+function filterLatestEpisodes(schedules, report = createSkipReport(createRunId()), options = {}) {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('🔍 FILTERING AND PROCESSING EPISODES');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   
   const animeMap = new Map();
   const now = Date.now() / 1000;
-  const cutoffDate = now - (CONFIG.RECENCY_DAYS * 24 * 60 * 60);
+  const {
+    cutoffDate = now - (CONFIG.RECENCY_DAYS * 24 * 60 * 60),
+    requireReleasing = true,
+    allEpisodes = false,
+  } = options;
   
   console.log(`📅 Current time: ${formatTimestamp(now)}`);
-  console.log(`📅 Cutoff date (${CONFIG.RECENCY_DAYS} days ago): ${formatTimestamp(cutoffDate)}`);
-  console.log(`📊 Total schedules to process: ${schedules.length}\n`);
+  console.log(`📅 Cutoff date: ${formatTimestamp(cutoffDate)}`);
+  console.log(`📊 Total schedules to process: ${schedules.length}`);
+
+  const policy = loadPolicy();
+  report.setPolicyVersion(policy.version);
+  report.setProcessed(schedules.length);
+  console.log('');
 
   let skippedOld = 0;
   let skippedNotAiring = 0;
-  let skippedNoMalId = 0;
+  let keyedByAnilist = 0;
   let skippedDuplicate = 0;
   let skippedAdult = 0;
   let skippedNotAnime = 0;
   let kept = 0;
+  let multiDrops = 0;
 
   for (let i = 0; i < schedules.length; i++) {
     const schedule = schedules[i];
@@ -540,20 +158,16 @@ function filterLatestEpisodes(schedules) {
     // Validation checks
     if (!media) {
       console.log(`   ⚠️  No media data`);
+      report.add(schedule, SKIP_REASONS.NO_MEDIA, 'No media data');
       continue;
     }
 
-    if (!media.idMal) {
-      console.log(`   ⏭️  SKIP: No MAL ID (AniList ID: ${media.id})`);
-      skippedNoMalId++;
-      continue;
-    }
-
-    const animeId = media.idMal;
+    // Shows MAL doesn't list yet are keyed by AniList ID (see lib/ids.js)
+    const animeId = canonicalId(media);
     const airingTime = schedule.airingAt;
     const episode = schedule.episode;
 
-    console.log(`   MAL ID: ${animeId}`);
+    console.log(`   MAL ID: ${media.idMal || `none — keyed as ${animeId}`}`);
     console.log(`   AniList ID: ${media.id}`);
     console.log(`   Episode: ${episode}`);
     console.log(`   Aired at: ${formatTimestamp(airingTime)}`);
@@ -562,17 +176,19 @@ function filterLatestEpisodes(schedules) {
     console.log(`   Genres: ${(media.genres || []).join(', ') || 'N/A'}`);
 
     // ── STRICT FILTER 1: Adult / Hentai / Ecchi content ──
-    const adultCheck = isAdultContent(media);
+    const adultCheck = isAdultContent(media, policy);
     if (adultCheck.blocked) {
-      console.log(`   🚫 SKIP: Adult content — ${adultCheck.reason}`);
+      console.log(`   🚫 SKIP: Adult content — ${adultCheck.reason} [${adultCheck.rule} @ policy ${policy.version}]`);
+      report.add(schedule, SKIP_REASONS.ADULT, adultCheck.reason, adultCheck);
       skippedAdult++;
       continue;
     }
 
     // ── STRICT FILTER 2: Must be anime (not cartoon / other) ──
-    const animeCheck = isAnime(media);
+    const animeCheck = isAnime(media, policy);
     if (!animeCheck.allowed) {
-      console.log(`   🚫 SKIP: Not anime — ${animeCheck.reason}`);
+      console.log(`   🚫 SKIP: Not anime — ${animeCheck.reason} [${animeCheck.rule} @ policy ${policy.version}]`);
+      report.add(schedule, SKIP_REASONS.NOT_ANIME, animeCheck.reason, animeCheck);
       skippedNotAnime++;
       continue;
     }
@@ -581,48 +197,75 @@ function filterLatestEpisodes(schedules) {
     if (airingTime < cutoffDate) {
       const daysAgo = Math.floor((now - airingTime) / (24 * 60 * 60));
       console.log(`   ⏭️  SKIP: Too old (${daysAgo} days ago)`);
+      report.add(schedule, SKIP_REASONS.TOO_OLD, `Aired ${daysAgo} days ago`, {
+        details: { recencyDays: CONFIG.RECENCY_DAYS },
+      });
       skippedOld++;
       continue;
     }
 
     // Filter: Only currently airing anime
-    if (media.status !== 'RELEASING') {
+    if (requireReleasing && media.status !== 'RELEASING') {
       console.log(`   ⏭️  SKIP: Not currently releasing (status: ${media.status})`);
+      report.add(schedule, SKIP_REASONS.NOT_RELEASING, `Not currently releasing (status: ${media.status})`, {
+        details: { status: media.status },
+      });
       skippedNotAiring++;
       continue;
     }
 
-    // Deduplicate: Keep only latest episode per anime
-    if (animeMap.has(animeId)) {
-      const existing = animeMap.get(animeId);
-      if (existing.episode >= episode) {
-        console.log(`   ⏭️  SKIP: Duplicate (already have ep ${existing.episode})`);
-        skippedDuplicate++;
-        continue;
-      } else {
-        console.log(`   🔄 REPLACE: Updating from ep ${existing.episode} to ep ${episode}`);
-      }
+    // Group per show (or per episode): every episode is kept once
+    const mapKey = allEpisodes ? `${animeId}_ep${episode}` : animeId;
+    const airing = { episode, airingAt: airingTime, scheduleId: schedule.id };
+    const existing = animeMap.get(mapKey);
+    if (existing && existing.episodes.some(ep => ep.episode === episode)) {
+      console.log(`   ⏭️  SKIP: Duplicate (already have ep ${episode})`);
+      report.add(schedule, SKIP_REASONS.DUPLICATE, `Already have ep ${episode}`, {
+        details: { keptEpisode: episode },
+      });
+      skippedDuplicate++;
+      continue;
+    }
+
+    const group = {
+      media,
+      episode,
+      airingTime,
+      scheduleId: schedule.id,
+      source: schedule.source || 'anilist',
+      policy: { version: policy.version, adultRule: adultCheck.rule, animeRule: animeCheck.rule },
+      episodes: [airing],
+    };
+    if (!existing) {
+      animeMap.set(mapKey, group);
+      console.log(`   ✅ KEPT`);
+      kept++;
+      if (!media.idMal) keyedByAnilist++;
+      continue;
     }
 
-    animeMap.set(animeId, { media, episode, airingTime, scheduleId: schedule.id });
-    console.log(`   ✅ KEPT`);
-    kept++;
+    // Same show again: the drop grows, and the newest episode leads the group
+    const episodes = [...existing.episodes, airing].sort((a, b) => a.episode - b.episode);
+    animeMap.set(mapKey, existing.episode > episode ? { ...existing, episodes } : { ...group, episodes });
+    if (existing.episodes.length === 1) multiDrops++;
+    console.log(`   ➕ KEPT: joins ep ${existing.episodes.map(ep => ep.episode).join(', ')} (${episodes.length} episodes in the window)`);
   }
 
   console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('📊 FILTERING SUMMARY');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`✅ Kept: ${kept}`);
+  console.log(`✅ Kept: ${kept} show(s) (${keyedByAnilist} without MAL ID, keyed by AniList ID)`);
+  console.log(`📦 Multi-episode drops: ${multiDrops}`);
   console.log(`⏭️  Skipped - Too old: ${skippedOld}`);
   console.log(`⏭️  Skipped - Not airing: ${skippedNotAiring}`);
-  console.log(`⏭️  Skipped - No MAL ID: ${skippedNoMalId}`);
   console.log(`⏭️  Skipped - Duplicate: ${skippedDuplicate}`);
   console.log(`🚫 Skipped - Adult/Hentai/Ecchi: ${skippedAdult}`);
   console.log(`🚫 Skipped - Not anime (cartoon/other): ${skippedNotAnime}`);
   console.log(`📈 Total processed: ${schedules.length}`);
   console.log('');
 
-  return Array.from(animeMap.values());
+  const result = Array.from(animeMap.values());
+  return allEpisodes ? result.sort((a, b) => a.airingTime - b.airingTime) : result;
 }
 
 // ============================================
@@ -633,12 +276,12 @@ function filterLatestEpisodes(schedules) {
  * Convert AniList data to Firestore format (ALL FIELDS)
  */
 function convertToFirestoreFormat(data) {
-  const { media, episode, airingTime, scheduleId } = data;
+  const { media, episode, airingTime, scheduleId, source = 'anilist', policy = null } = data;
   
   try {
     console.log(`\n🔄 Converting: ${media.title.romaji}`);
 
-    const animeId = media.idMal;
+    const animeId = canonicalId(media);
     const title = media.title.english || media.title.romaji || media.title.userPreferred || 'Unknown';
     
     // Get best quality image
@@ -655,6 +298,7 @@ function convertToFirestoreFormat(data) {
       // ============ Basic Info ============
       animeId,
       anilistId: media.id,
+      malId: media.idMal || null,
       title,
       titleRomaji: media.title.romaji || '',
       titleEnglish: media.title.english || '',
@@ -674,7 +318,10 @@ function convertToFirestoreFormat(data) {
       // ============ Classification ============
       type: media.type || 'TV',
       format: media.format || '',
-      status: 'Currently Airing',
+      status: statusLabel(media.status),
+      anilistStatus: media.status || null,
+      lifecycle: lifecycleOf(media.status), // stale / archiving: lib/lifecycle.js
+      lifecycleSince: null, // a new episode restarts the grace period
       season: media.season || '',
       seasonYear: media.seasonYear || null,
       seasonInt: media.seasonInt || null,
@@ -734,15 +381,11 @@ function convertToFirestoreFormat(data) {
       hashtag: media.hashtag || '',
       
       // ============ Dates ============
-      startDate: media.startDate ? 
-        `${media.startDate.year}-${String(media.startDate.month || 1).padStart(2, '0')}-${String(media.startDate.day || 1).padStart(2, '0')}` : 
-        null,
-      endDate: media.endDate && media.endDate.year ? 
-        `${media.endDate.year}-${String(media.endDate.month || 1).padStart(2, '0')}-${String(media.endDate.day || 1).padStart(2, '0')}` : 
-        null,
+      startDate: formatFuzzyDate(media.startDate),
+      endDate: formatFuzzyDate(media.endDate),
       
       // ============ External Links ============
-      mal_url: `https://myanimelist.net/anime/${animeId}`,
+      mal_url: media.idMal ? `https://myanimelist.net/anime/${media.idMal}` : '',
       anilist_url: media.siteUrl || '',
       externalLinks: (media.externalLinks || []).map(link => ({
         id: link.id,
@@ -814,14 +457,20 @@ function convertToFirestoreFormat(data) {
       // ============ Timestamps ============
       episodeAiredDate: formatTimestamp(airingTime),
       episodeAiredAt: airingTime, // Unix timestamp for sorting
+      previousAiredAt: null, // set by a reschedule correction (lib/corrections.js)
       lastUpdated: new Date().toISOString(),
       episodeAddedAt: new Date().toISOString(),
       anilistUpdatedAt: media.updatedAt ? formatTimestamp(media.updatedAt) : null,
       
       // ============ Internal ============
       scheduleId: scheduleId,
+      contentPolicy: policy, // { version, adultRule, animeRule } that admitted this show
       regionLocked: false,
-      dataSource: 'anilist',
+      dataSource: source,
+      provenance: {
+        primary: source, // every field not listed in `fields` comes from here
+        fields: {},
+      },
       apiVersion: '2.0',
     };
 
@@ -837,96 +486,215 @@ function convertToFirestoreFormat(data) {
 }
 
 // ============================================
-// SEEN EPISODES CACHE (seen_episodes.json)
+// SEEN EPISODES (lib/seen_store.js — json file, Firestore doc or SQLite)
 // ============================================
 
-const fs = require('fs');
-const SEEN_FILE = 'seen_episodes.json';
-
 /**
- * Load seen episodes from the local file.
- * Returns a Map of  "animeId_ep" → airingAt (unix timestamp)
+ * Load seen episodes from the configured seen store.
+ * Returns a Map of "animeId_ep{n}" → { v, airingAt, writtenAt, docId, hash }
  */
-function loadSeenEpisodes() {
+async function loadSeenEpisodes(seenStore) {
   try {
-    if (!fs.existsSync(SEEN_FILE)) {
-      console.log(`📂 ${SEEN_FILE} not found — starting fresh`);
-      return new Map();
-    }
-    const raw = JSON.parse(fs.readFileSync(SEEN_FILE, 'utf8'));
-    const map = new Map(Object.entries(raw));
-    console.log(`📂 Loaded ${map.size} seen episodes from ${SEEN_FILE}`);
-    return map;
+    return await seenStore.load();
   } catch (e) {
-    console.error(`⚠️  Failed to load ${SEEN_FILE}: ${e.message} — starting fresh`);
+    if (!(e instanceof SyntaxError)) throw e;
+    console.error(`⚠️  Failed to parse ${seenStore.where}: ${e.message} — starting fresh`);
     return new Map();
   }
 }
 
 /**
- * Save the seen episodes map back to file (keeps last 7 days only).
- * The cleanup workflow also runs this trim daily, but we trim here too
- * as a safety net.
+ * Save the seen episodes map. The seen store trims it to the last
+ * RECENCY_DAYS days on every save (lib/seen_store.js).
  */
-function saveSeenEpisodes(seenMap) {
-  const now = Date.now() / 1000;
-  const cutoff = now - (CONFIG.RECENCY_DAYS * 24 * 60 * 60);
+async function saveSeenEpisodes(seenStore, seenMap) {
+  await seenStore.save(seenMap);
+}
 
-  const trimmed = {};
-  let removed = 0;
-  for (const [key, airingAt] of seenMap.entries()) {
-    if (airingAt >= cutoff) {
-      trimmed[key] = airingAt;
-    } else {
-      removed++;
-    }
-  }
+// ============================================
+// EPISODE HISTORY (episodes/{animeId}/history/{episode})
+// ============================================
+
+/**
+ * Find the AniList streaming episode matching an episode number.
+ * Streaming titles look like "Episode 8 - The Title".
+ */
+function findStreamingEpisode(streamingEpisodes, episode) {
+  return (streamingEpisodes || []).find(ep => {
+    const match = /^Episode\s+(\d+)/i.exec(ep.title || '');
+    return match && Number(match[1]) === episode;
+  }) || null;
+}
 
-  fs.writeFileSync(SEEN_FILE, JSON.stringify(trimmed, null, 2), 'utf8');
-  console.log(`💾 Saved ${Object.keys(trimmed).length} seen episodes (removed ${removed} old entries)`);
+/**
+ * Build the history document for one aired episode
+ */
+function buildHistoryEntry(animeData) {
+  const streaming = findStreamingEpisode(animeData.streamingEpisodes, animeData.latestEpisode);
+
+  return {
+    animeId: animeData.animeId,
+    anilistId: animeData.anilistId,
+    episode: animeData.latestEpisode,
+    scheduleId: animeData.scheduleId,
+    airedAt: animeData.episodeAiredAt,
+    airedDate: animeData.episodeAiredDate,
+    title: streaming?.title || `Episode ${animeData.latestEpisode}`,
+    thumbnail: streaming?.thumbnail || '',
+    streamingUrl: streaming?.url || '',
+    streamingSite: streaming?.site || '',
+    recordedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Merge newly written episodes into the parent document's history summary.
+ * `historyEpisodes` is the full list of episode numbers ever recorded, so
+ * re-running the same episode never inflates the count. Retracted episodes
+ * are passed as `removedEpisodes`.
+ */
+function buildHistorySummary(existing, newEpisodes, removedEpisodes = []) {
+  const episodes = new Set(existing?.historyEpisodes || []);
+  newEpisodes.forEach(ep => episodes.add(ep));
+  removedEpisodes.forEach(ep => episodes.delete(ep));
+  const sorted = Array.from(episodes).sort((a, b) => a - b);
+
+  return {
+    historyEpisodes: sorted,
+    episodeCount: sorted.length,
+    firstEpisode: sorted[0] ?? null,
+    lastEpisode: sorted[sorted.length - 1] ?? null,
+  };
 }
 
 // ============================================
-// FIRESTORE UPDATE  (zero Firestore reads)
+// FIRESTORE UPDATE  (near-zero Firestore reads)
 // ============================================
 
-const WRITE_CHUNK_SIZE = 400;
+/**
+ * Episodes of a write entry ({ episode, airingAt, scheduleId, key }).
+ * Journals written before multi-episode drops carry only `key`.
+ */
+function entryEpisodes(entry) {
+  if (entry.episodes) return entry.episodes;
+  const { animeData, key } = entry;
+  return [{ episode: animeData.latestEpisode, airingAt: animeData.episodeAiredAt, scheduleId: animeData.scheduleId, key }];
+}
+
+/**
+ * Batch ops of a write entry: parent + search document + one history document per episode
+ */
+function entryOps(entry) {
+  if (entry.correction) return entry.parent ? 2 : 1;
+  if (entry.refresh) return 2;
+  return 2 + entryEpisodes(entry).length;
+}
+
+/**
+ * The converted document as seen from one episode of its drop
+ */
+function episodeView(animeData, airing) {
+  return {
+    ...animeData,
+    latestEpisode: airing.episode,
+    episodeAiredAt: airing.airingAt,
+    episodeAiredDate: formatTimestamp(airing.airingAt),
+    scheduleId: airing.scheduleId,
+  };
+}
 
 /**
- * Update Firestore using seen_episodes.json as the source of truth.
- * NO Firestore reads — zero read quota used.
+ * Update Firestore using the seen store (lib/seen_store.js) as the source of truth.
+ * With `{ force: true }` (backfill) seen keys are rewritten anyway.
+ * The only reads are one batched lookup of the parent documents that
+ * receive new episodes, to keep their history summary accurate.
+ * All writes go through the configured storage sink (see lib/storage.js).
  *
  * Logic:
- *   - key = "animeId_ep{episode}"
- *   - If key not in seenMap  → write to Firestore + add to seenMap
+ *   - key = "animeId_ep{episode}", for every episode of the show's group
+ *   - Keys not in seenMap → write history/{episode} each + the parent once
+ *     (it keeps the latest episode) + search/{animeId} (lib/search.js)
+ *     + add them to seenMap. Drops older than the parent's latest episode
+ *     (backfills) only add history documents and the history summary
  *   - If key already in seenMap → skip (already written before)
+ *   - Committed new episodes are pushed via FCM unless `{ notify: false }`,
+ *     one message per show ("3 new episodes")
+ *
+ * With `{ schedules }` (every schedule this run fetched) seen keys whose
+ * airing AniList moved, renumbered or withdrew get a correction write
+ * first (lib/corrections.js): `previousAiredAt` + `correctedAt` on the
+ * history document, and on the parent when it is the latest episode.
+ *
+ * Every chunk goes through the write journal (lib/journal.js): a failed
+ * batch stops the run without throwing, keeps the committed batches' keys
+ * and leaves the rest for the next run to replay first. With `lock` (the
+ * run lock's handle, lib/lock.js) a lost lease aborts before the next commit.
+ *
+ * Returns { written, refreshed, corrected, merged, skippedSeen, partial, error } —
+ * `written` / `refreshed` are the converted documents that were committed
+ * (replayed ones included; written ones carry `newEpisodes` / `newAirings`,
+ * the episodes of the drop), `corrected` the committed corrections,
+ * `merged` the show merges of lib/ids.js ({ fromId, toId });
+ * `partial` is true when some batch did not commit.
  */
-async function updateFirestore(episodesList) {
+async function updateFirestore(episodesList, storage, { force = false, notify = true, schedules = null, lock = null } = {}) {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('💾 UPDATING FIRESTORE DATABASE');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`📊 Episodes to process: ${episodesList.length}\n`);
+  console.log(`📊 Episodes to process: ${episodesList.length}`);
+  console.log(`🗄️  Storage sink: ${storage.name}\n`);
 
   const startTime = Date.now();
-  const seenMap = loadSeenEpisodes();
+  const seenStore = createSeenStore(CONFIG.SEEN_STORE, storage);
+  const seenMap = await loadSeenEpisodes(seenStore);
+  const metadataCache = loadMetadataCache();
+  const notifier = notify ? createNotifier(storage) : null;
+  const journal = createWriteJournal(storage, { runId: createRunId(), enabled: !storage.readOnly });
+  const context = { seenStore, seenMap, metadataCache, notifier, lock };
+
+  // ── Step 0: Replay batches a previous run left uncommitted ──
+  let replayed = { written: [], refreshed: [], corrected: [] };
+  const previous = await journal.loadPending();
+  if (previous) {
+    console.log(`📓 Resuming partial run ${previous.runId}...`);
+    await journal.resume(previous);
+    replayed = await writeJournaledChunks(storage, journal, context);
+    if (replayed.error) {
+      console.error('⚠️  Replay failed — skipping new writes until the journal is cleared');
+      return { written: replayed.written, refreshed: replayed.refreshed, corrected: replayed.corrected, merged: [], skippedSeen: 0, partial: true, error: replayed.error };
+    }
+    console.log(`📓 Replayed ${replayed.written.length} episode(s) and ${replayed.refreshed.length} refresh(es)\n`);
+  }
 
   // ── Step 1: Convert all episodes ──
   const converted = [];
+  const airings = new Map(); // converted document → every episode of its group
+  const mediaOf = new Map(); // converted document → its AniList media
   let conversionErrors = 0;
   for (const data of episodesList) {
     const animeData = convertToFirestoreFormat(data);
     if (animeData) {
       converted.push(animeData);
+      airings.set(animeData, data.episodes || [{ episode: data.episode, airingAt: data.airingTime, scheduleId: data.scheduleId }]);
+      mediaOf.set(animeData, data.media);
     } else {
       conversionErrors++;
-      console.error(`   ❌ Conversion failed for MAL ID: ${data.media?.idMal}`);
+      console.error(`   ❌ Conversion failed for AniList ID: ${data.media?.id}`);
     }
   }
   console.log(`✅ Converted: ${converted.length}/${episodesList.length}\n`);
 
   if (converted.length === 0) {
     console.log('⚠️  Nothing to write.');
-    return;
+    return { written: replayed.written, refreshed: replayed.refreshed, corrected: replayed.corrected, merged: [], skippedSeen: 0, partial: false, error: null };
+  }
+
+  // ── Step 1b: Canonical ids — merge shows whose MAL ID just appeared ──
+  const merges = await resolveCanonicalIds(storage, converted, { seenMap, metadataCache });
+  if (merges.length > 0 && !storage.readOnly) {
+    // The renamed keys must survive even if nothing else is written
+    await saveSeenEpisodes(seenStore, seenMap);
+    saveMetadataCache(metadataCache);
   }
 
   // ── Step 2: Filter out already-seen episodes ──
@@ -934,70 +702,421 @@ async function updateFirestore(episodesList) {
   let skippedSeen = 0;
 
   for (const animeData of converted) {
-    const key = `${animeData.animeId}_ep${animeData.latestEpisode}`;
-
     console.log(`[${converted.indexOf(animeData) + 1}/${converted.length}] ${animeData.title}`);
-    console.log(`   Key: ${key}`);
 
-    if (seenMap.has(key)) {
-      console.log(`   ⏭️  SKIP: already in seen_episodes.json`);
-      skippedSeen++;
-    } else {
-      console.log(`   🆕 NEW — will write to Firestore`);
-      toWrite.push({ animeData, key });
+    const fresh = [];
+    for (const airing of airings.get(animeData)) {
+      const key = `${animeData.animeId}_ep${airing.episode}`;
+      if (seenMap.has(key) && !force) {
+        console.log(`   ⏭️  ${key}: SKIP — already in ${seenStore.where}`);
+        skippedSeen++;
+      } else {
+        console.log(seenMap.has(key) ? `   🔁 ${key}: FORCED — rewriting seen episode` : `   🆕 ${key}: NEW — will write to Firestore`);
+        fresh.push({ ...airing, key });
+      }
     }
+    if (fresh.length > 0) toWrite.push({ animeData, key: fresh[fresh.length - 1].key, episodes: fresh });
   }
 
-  console.log(`\n📊 New: ${toWrite.length} | Already seen: ${skippedSeen}\n`);
+  const newEpisodes = toWrite.reduce((sum, entry) => sum + entry.episodes.length, 0);
+  console.log(`\n📊 New: ${newEpisodes} episode(s) in ${toWrite.length} show(s) | Already seen: ${skippedSeen}\n`);
+
+  // Shows without a new episode whose metadata changed since their last full write
+  const newIds = new Set(toWrite.map(({ animeData }) => String(animeData.animeId)));
+  const toRefresh = [];
+  for (const animeData of converted) {
+    const id = String(animeData.animeId);
+    if (newIds.has(id) || toRefresh.some(refresh => String(refresh.animeId) === id)) continue;
+    const status = metadataStatus(metadataCache, animeData);
+    if (status !== 'fresh') {
+      console.log(`   🔄 ${animeData.title}: metadata ${status} — refreshing`);
+      toRefresh.push(animeData);
+    }
+  }
+  if (toRefresh.length > 0) console.log(`\n🔄 Metadata refreshes: ${toRefresh.length}\n`);
+
+  // Seen episodes AniList rescheduled, renumbered or withdrew since we wrote them
+  const corrections = schedules && !force ? detectCorrections(seenMap, schedules) : [];
+  if (corrections.length > 0) {
+    console.log(`🩹 Corrections for already-seen episodes: ${corrections.length}`);
+    corrections.forEach(correction => console.log(`   ${describeCorrection(correction)}`));
+    console.log('');
+  }
+  for (const correction of corrections) {
+    // A renumbered episode was already announced under its old number
+    const notified = seenMap.get(`fcm:${correction.key}`);
+    if (correction.type === CORRECTION_TYPES.RENUMBERED && notified) {
+      seenMap.set(`fcm:${correction.animeId}_ep${correction.renumberedTo}`, notified);
+    }
+  }
 
-  if (toWrite.length === 0) {
+  if (toWrite.length === 0 && toRefresh.length === 0 && corrections.length === 0) {
     console.log('✅ Nothing new to write — all episodes already seen.');
-    return;
+    return { written: replayed.written, refreshed: replayed.refreshed, corrected: replayed.corrected, merged: merges, skippedSeen, partial: false, error: null };
+  }
+
+  // ── Step 3: Enrich new episodes with MAL-only fields (Jikan) ──
+  if (CONFIG.JIKAN_ENRICH) {
+    console.log(`⭐ Enriching ${toWrite.length} new episode(s) from Jikan...`);
+    for (const entry of toWrite) {
+      entry.animeData = await jikan.enrichAnimeData(entry.animeData);
+    }
+    console.log('');
   }
 
-  // ── Step 3: Write in chunks (no reads needed) ──
+  // ── Step 4: Load history summaries (and lifecycles) of the affected parents ──
+  const parentIds = Array.from(new Set([
+    ...corrections.map(({ animeId }) => String(animeId)),
+    ...toWrite.map(({ animeData }) => String(animeData.animeId)),
+    ...toRefresh.map(animeData => String(animeData.animeId)),
+  ]));
+  const parents = await storage.getDocs(CONFIG.EPISODES_COLLECTION, parentIds);
+  const existingParents = new Set(parentIds.filter(id => parents.get(id)));
+  console.log(`📚 Loaded history summary for ${parentIds.length} show(s)\n`);
+
+  // Corrections are written first, so withdrawn episodes leave the summary before new ones join
+  const correctedAt = new Date().toISOString();
+  const correctionWrites = corrections.map(correction => {
+    const id = String(correction.animeId);
+    const parent = parents.get(id);
+    const withdrawn = correction.type === CORRECTION_TYPES.RESCHEDULED ? [] : [correction.episode];
+    const summary = buildHistorySummary(parent, [], withdrawn);
+    if (parent) parents.set(id, { ...parent, ...summary });
+    return {
+      key: correction.key,
+      correction,
+      history: historyCorrection(correction, correctedAt),
+      parent: parentCorrection(correction, parent, summary, correctedAt),
+    };
+  });
+
+  for (const entry of toWrite) {
+    const id = String(entry.animeData.animeId);
+    const parent = parents.get(id);
+    const summary = buildHistorySummary(parent, entry.episodes.map(({ episode }) => episode));
+    // A backfill of an older window must not move the parent's latest episode back
+    const latestAiredAt = Math.max(...entry.episodes.map(({ airingAt }) => airingAt));
+    entry.historyOnly = Boolean(parent?.episodeAiredAt) && latestAiredAt < parent.episodeAiredAt;
+    if (entry.historyOnly) console.log(`   📜 ${entry.animeData.title}: older than the stored latest episode — history only`);
+    parents.set(id, { ...parent, ...summary, ...(entry.historyOnly ? {} : { episodeAiredAt: latestAiredAt }) });
+    entry.summary = summary;
+  }
+
+  // ── Step 5: Full or episode-only write per show (metadata cache) ──
+  // A cached show whose parent document is gone (deleted, or never committed) is written in full
+  const fullWrites = new Set();
+  for (const entry of toWrite) {
+    const id = String(entry.animeData.animeId);
+    const fresh = existingParents.has(id) && metadataStatus(metadataCache, entry.animeData) === 'fresh';
+    entry.full = !entry.historyOnly && !fullWrites.has(id) && !fresh;
+    if (entry.full) fullWrites.add(id);
+  }
+  const episodeOnly = toWrite.filter(entry => !entry.full).length;
+  console.log(`🧾 Full writes: ${toWrite.length - episodeOnly} | Episode-only: ${episodeOnly}\n`);
+
+  // ── Step 6: Journal the planned chunks, then write them ──
+  const writes = [
+    ...correctionWrites,
+    ...toWrite,
+    // A refresh writes the lifecycle that goes with its status (the conversion
+    // can't tell stale shows or the start of the grace period); a show without
+    // a parent document is written whole
+    ...toRefresh.map(animeData => {
+      const parent = existingParents.has(String(animeData.animeId)) ? parents.get(String(animeData.animeId)) : null;
+      return { animeData, refresh: true, full: true, lifecycle: parent ? lifecycleFields(parent, mediaOf.get(animeData)) : null };
+    }),
+  ];
   const chunks = [];
-  for (let i = 0; i < toWrite.length; i += WRITE_CHUNK_SIZE) {
-    chunks.push(toWrite.slice(i, i + WRITE_CHUNK_SIZE));
+  let chunkOps = 0;
+  for (const entry of writes) {
+    const ops = entryOps(entry);
+    if (chunks.length === 0 || chunkOps + ops > CONFIG.BATCH_OP_LIMIT) {
+      chunks.push([]);
+      chunkOps = 0;
+    }
+    chunks[chunks.length - 1].push(entry);
+    chunkOps += ops;
   }
 
-  console.log(`📦 Writing ${toWrite.length} episodes in ${chunks.length} batch(es)...`);
+  console.log(`📦 Writing ${writes.length} show update(s) in ${chunks.length} batch(es)...`);
+  await journal.begin(chunks);
+  const run = await writeJournaledChunks(storage, journal, context);
+  const partial = Boolean(run.error);
+
+  const totalTime = Date.now() - startTime;
+  const written = [...replayed.written, ...run.written];
+  const episodeOnlyWritten = run.written.filter(animeData => !run.full.has(animeData)).length;
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(partial ? '⚠️  FIRESTORE UPDATE SUMMARY — PARTIAL RUN' : '📊 FIRESTORE UPDATE SUMMARY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (replayed.written.length > 0) console.log(`📓 Replayed from journal: ${replayed.written.length}`);
+  const writtenEpisodes = run.written.reduce((sum, drop) => sum + drop.newEpisodes.length, 0);
+  console.log(`✅ Written: ${writtenEpisodes}/${newEpisodes} episode(s) in ${run.written.length}/${toWrite.length} show(s) (${episodeOnlyWritten} episode-only)`);
+  console.log(`🔄 Metadata refreshes: ${run.refreshed.length}/${toRefresh.length}`);
+  console.log(`🩹 Corrections: ${run.corrected.length}/${corrections.length}`);
+  if (notifier) console.log(`🔔 Notified: ${notifier.stats.sent} (${notifier.stats.failed} failed pushes)`);
+  console.log(`⏭️  Skipped (already seen): ${skippedSeen}`);
+  console.log(`❌ Errors: ${conversionErrors + (run.error ? 1 : 0)}`);
+  console.log(`⏱️  Total time: ${totalTime}ms`);
+  console.log('');
+
+  return {
+    written,
+    refreshed: [...replayed.refreshed, ...run.refreshed],
+    corrected: [...replayed.corrected, ...run.corrected],
+    merged: merges,
+    skippedSeen,
+    partial,
+    error: run.error,
+  };
+}
+
+/**
+ * Write the journal's uncommitted chunks in order. After every commit the
+ * seen map and metadata cache are saved and notifications go out, so a
+ * later failure never loses (or re-sends) what already committed. Stops at
+ * the first failed batch and leaves the rest in the journal.
+ *
+ * Throws when the run lock was lost: the run that took it over owns the
+ * journal and the seen store now, so nothing more is written.
+ */
+async function writeJournaledChunks(storage, journal, { seenStore, seenMap, metadataCache, notifier, lock }) {
+  const chunks = journal.chunks();
+  const result = { written: [], refreshed: [], corrected: [], full: new Set(), error: null };
+
+  for (const chunk of chunks) {
+    if (chunk.state === 'committed') continue;
+    const label = `Batch ${chunk.index + 1}/${chunks.length}`;
+
+    const batch = storage.batch();
+    let ops = 0;
+    for (const entry of chunk.entries) {
+      const { animeData, summary, refresh, lifecycle, full, historyOnly, correction, history, parent } = entry;
+      if (correction) {
+        batch.set(`${CONFIG.EPISODES_COLLECTION}/${correction.animeId}/history`, correction.episode, history, { merge: true });
+        ops++;
+        if (parent) {
+          batch.set(CONFIG.EPISODES_COLLECTION, correction.animeId, parent, { merge: true });
+          ops++;
+        }
+        continue;
+      }
+      // search/{animeId} is rewritten with every parent write, so it never lags behind the titles
+      batch.set(SEARCH_COLLECTION, animeData.animeId, buildSearchDocument(animeData));
+      ops++;
+      if (refresh) {
+        const fields = lifecycle === null ? animeData : { ...pickMetadataFields(animeData), ...lifecycle };
+        batch.set(CONFIG.EPISODES_COLLECTION, animeData.animeId, fields, { merge: true });
+        ops++;
+        continue;
+      }
+      // The parent keeps the latest episode; every episode of the drop gets its history document
+      const fields = historyOnly ? {} : full ? animeData : pickEpisodeFields(animeData);
+      batch.set(CONFIG.EPISODES_COLLECTION, animeData.animeId, { ...fields, ...summary }, { merge: true });
+      ops++;
+      for (const airing of entryEpisodes(entry)) {
+        batch.set(`${CONFIG.EPISODES_COLLECTION}/${animeData.animeId}/history`, airing.episode, buildHistoryEntry(episodeView(animeData, airing)));
+        ops++;
+      }
+    }
 
-  let writeErrors = 0;
-  for (let c = 0; c < chunks.length; c++) {
-    const batch = db.batch();
-    for (const { animeData } of chunks[c]) {
-      const docRef = db.collection('episodes').doc(String(animeData.animeId));
-      batch.set(docRef, animeData, { merge: true });
+    if (lock && !lock.isHeld()) {
+      throw new Error(`Lost the run lock before ${label} — aborting, the run that took it over replays the journal`);
     }
     try {
-      console.log(`   💾 Batch ${c + 1}/${chunks.length} — ${chunks[c].length} ops...`);
+      console.log(`   💾 ${label} — ${ops} ops...`);
       await batch.commit();
-      console.log(`   ✅ Batch ${c + 1}/${chunks.length} committed`);
+      console.log(`   ✅ ${label} committed`);
+    } catch (error) {
+      console.error(`   💥 ${label} FAILED: ${error.message}`);
+      await journal.markFailed(chunk.index, error);
+      result.error = error;
+      break;
+    }
 
-      // Only add to seenMap after successful commit
-      for (const { animeData, key } of chunks[c]) {
-        seenMap.set(key, animeData.episodeAiredAt);
+    // Only add to seenMap / metadata cache after successful commit
+    const drops = [];
+    for (const entry of chunk.entries) {
+      const { animeData, key, refresh, full, correction } = entry;
+      if (correction) {
+        if (correction.type === CORRECTION_TYPES.RESCHEDULED) {
+          seenMap.set(key, seenEntry(correction.airingAt, {
+            docId: `${CONFIG.EPISODES_COLLECTION}/${correction.animeId}`,
+            scheduleId: correction.scheduleId,
+          }));
+        } else {
+          seenMap.delete(key);
+        }
+        result.corrected.push(correction);
+        continue;
       }
-    } catch (error) {
-      writeErrors++;
-      console.error(`   💥 Batch ${c + 1} FAILED: ${error.message}`);
-      throw error;
+      if (refresh) {
+        result.refreshed.push(animeData);
+      } else {
+        const episodes = entryEpisodes(entry);
+        for (const airing of episodes) {
+          seenMap.set(airing.key, seenEntry(airing.airingAt, {
+            docId: `${CONFIG.EPISODES_COLLECTION}/${animeData.animeId}`,
+            hash: hashEpisode(episodeView(animeData, airing)),
+            scheduleId: airing.scheduleId,
+          }));
+        }
+        const drop = {
+          ...animeData,
+          newEpisodes: episodes.map(({ episode }) => episode),
+          newAirings: episodes.map(({ episode, airingAt }) => ({ episode, airingAt })),
+        };
+        drops.push(drop);
+        result.written.push(drop);
+        if (full) result.full.add(drop);
+      }
+      if (full) metadataCache.set(String(animeData.animeId), cacheEntry(animeData));
+    }
+    await journal.markCommitted(chunk.index);
+    await notifier?.notify(drops, seenMap);
+
+    // Persist incrementally — the next batch may fail
+    if (!storage.readOnly) {
+      await saveSeenEpisodes(seenStore, seenMap);
+      saveMetadataCache(metadataCache);
     }
   }
 
-  // ── Step 4: Save updated seenMap ──
-  saveSeenEpisodes(seenMap);
+  if (storage.readOnly) {
+    console.log(`🧪 Dry run — ${seenStore.where}, ${CONFIG.METADATA_CACHE_FILE} and ${journal.where} left untouched`);
+  }
+  await journal.finish();
+  return result;
+}
 
-  const totalTime = Date.now() - startTime;
+// ============================================
+// UPCOMING SCHEDULE  (schedule/{yyyy-mm-dd})
+// ============================================
 
-  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log('📊 FIRESTORE UPDATE SUMMARY');
+/**
+ * Format a unix timestamp in the schedule timezone
+ */
+function toLocalParts(unixTimestamp) {
+  const date = new Date(unixTimestamp * 1000);
+  const timeZone = CONFIG.SCHEDULE_TIMEZONE;
+
+  return {
+    day: new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date),
+    time: new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date),
+    weekday: new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long' }).format(date),
+  };
+}
+
+/**
+ * Apply the content rules and group upcoming airings by local day
+ */
+function buildScheduleDays(schedules) {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`✅ Written: ${toWrite.length}`);
-  console.log(`⏭️  Skipped (already seen): ${skippedSeen}`);
-  console.log(`❌ Errors: ${conversionErrors + writeErrors}`);
-  console.log(`⏱️  Total time: ${totalTime}ms`);
+  console.log('🔍 FILTERING UPCOMING SCHEDULE');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🌍 Timezone: ${CONFIG.SCHEDULE_TIMEZONE}\n`);
+
+  const policy = loadPolicy();
+  const days = new Map();
+  let skippedAdult = 0;
+  let skippedNotAnime = 0;
+
+  for (const schedule of schedules) {
+    const media = schedule.media;
+    if (!media) continue;
+
+    const adultCheck = isAdultContent(media, policy);
+    if (adultCheck.blocked) {
+      console.log(`   🚫 SKIP: ${media.title?.romaji} — ${adultCheck.reason} [${adultCheck.rule}]`);
+      skippedAdult++;
+      continue;
+    }
+
+    const animeCheck = isAnime(media, policy);
+    if (!animeCheck.allowed) {
+      console.log(`   🚫 SKIP: ${media.title?.romaji} — ${animeCheck.reason} [${animeCheck.rule}]`);
+      skippedNotAnime++;
+      continue;
+    }
+
+    const local = toLocalParts(schedule.airingAt);
+    if (!days.has(local.day)) {
+      days.set(local.day, { date: local.day, weekday: local.weekday, slots: [] });
+    }
+
+    days.get(local.day).slots.push({
+      time: local.time,
+      airingAt: schedule.airingAt,
+      episode: schedule.episode,
+      scheduleId: schedule.id,
+      animeId: canonicalId(media),
+      anilistId: media.id,
+      title: media.title.english || media.title.romaji || media.title.userPreferred || 'Unknown',
+      titleRomaji: media.title.romaji || '',
+      imageUrl: media.coverImage?.extraLarge || media.coverImage?.large || media.coverImage?.medium || '',
+      format: media.format || '',
+      totalEpisodes: media.episodes || 0,
+      popularity: media.popularity || 0,
+    });
+  }
+
+  for (const day of days.values()) {
+    day.slots.sort((a, b) => a.airingAt - b.airingAt);
+  }
+
+  const totalSlots = Array.from(days.values()).reduce((sum, day) => sum + day.slots.length, 0);
+  console.log(`\n✅ Kept: ${totalSlots} airing(s) across ${days.size} day(s)`);
+  console.log(`🚫 Skipped - Adult/Hentai/Ecchi: ${skippedAdult}`);
+  console.log(`🚫 Skipped - Not anime (cartoon/other): ${skippedNotAnime}\n`);
+
+  return Array.from(days.values());
+}
+
+/**
+ * Write one schedule/{yyyy-mm-dd} document per day.
+ * Days are overwritten (no merge) so slots AniList removed disappear.
+ */
+async function updateSchedule(days, storage) {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('💾 UPDATING SCHEDULE COLLECTION');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  const batch = storage.batch();
+  const updatedAt = new Date().toISOString();
+
+  for (const day of days) {
+    console.log(`   📅 ${day.date} (${day.weekday}) — ${day.slots.length} airing(s)`);
+    batch.set('schedule', day.date, {
+      date: day.date,
+      weekday: day.weekday,
+      timezone: CONFIG.SCHEDULE_TIMEZONE,
+      count: day.slots.length,
+      slots: day.slots,
+      updatedAt,
+    });
+  }
+
+  await batch.commit();
+  console.log(`✅ Schedule written: ${days.length} day(s)\n`);
+}
+
+// ============================================
+// SKIP REPORT
+// ============================================
+
+/**
+ * Persist the skip report. A failure here must never fail the run.
+ */
+async function writeSkipReport(report, storage) {
+  try {
+    report.writeFile(CONFIG.SKIP_REPORT_FILE);
+    if (CONFIG.SKIP_REPORT_TO_FIRESTORE) {
+      await report.writeToStorage(storage);
+    }
+  } catch (error) {
+    console.error(`⚠️  Failed to write skip report: ${error.message}`);
+  }
   console.log('');
 }
 
@@ -1005,7 +1124,18 @@ async function updateFirestore(episodesList) {
 // MAIN EXECUTION
 // ============================================
 
-async function main() {
+/**
+ * One worker run. `--upcoming` (or FETCH_MODE=upcoming) writes the
+ * forward-looking calendar instead. Returns the exit code; the lock is
+ * released on every path.
+ */
+async function run(argv = []) {
+  const unknown = argv.filter(arg => arg !== '--upcoming');
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown argument "${unknown[0]}"\nUsage: fetch [--upcoming]`);
+    return 1;
+  }
+  const mode = argv.includes('--upcoming') ? 'upcoming' : CONFIG.FETCH_MODE;
   const scriptStartTime = Date.now();
   
   console.log('\n');
@@ -1019,30 +1149,117 @@ async function main() {
   console.log(`🔢 Episodes per fetch: ${CONFIG.EPISODES_PER_PAGE}`);
   console.log(`🔄 Max retries: ${CONFIG.MAX_RETRIES}`);
   console.log(`⏱️  Rate limit delay: ${CONFIG.RATE_LIMIT_DELAY}ms`);
+  console.log(`🗄️  Storage sink: ${CONFIG.STORAGE_SINK}`);
+  console.log(`🧭 Mode: ${mode}`);
   console.log('');
 
+  const runId = createRunId();
+  let webhooks = null;
+  let lock = null;
+
   try {
-    // Step 1: Fetch episodes from AniList
-    const schedules = await fetchRecentlyAiredEpisodes();
+    webhooks = createWebhookNotifier({ runId, mode, dryRun: CONFIG.STORAGE_SINK === 'dry-run' });
+
+    // Step 0: Connect the storage sink (fails fast on missing credentials)
+    const storage = createStorage(CONFIG.STORAGE_SINK);
+
+    // Step 0b: One run at a time — another live run holding the lease is not an error
+    lock = await acquireLock(storage, mode === 'upcoming' ? 'schedule' : 'fetch', { runId });
+    if (!lock) {
+      console.log('⏭️  Another run is in progress — exiting without changes');
+      return 0;
+    }
+
+    if (mode === 'upcoming') {
+      const upcoming = await anilist.fetchUpcomingSchedules();
+      if (upcoming.length === 0) {
+        console.log('⚠️  No upcoming airings found or API request failed');
+        await webhooks.notifyFailure(new Error('No upcoming airings found or API request failed'));
+        return 1;
+      }
+      await updateSchedule(buildScheduleDays(upcoming), storage);
+      console.log(`✅ UPCOMING SCHEDULE COMPLETED in ${((Date.now() - scriptStartTime) / 1000).toFixed(2)}s\n`);
+      return 0;
+    }
+
+    // Step 1: Fetch episodes from AniList (Jikan as fallback producer)
+    let schedules = await anilist.fetchRecentSchedules();
+
+    if (schedules.length === 0 && CONFIG.JIKAN_FALLBACK) {
+      console.log('⚠️  AniList returned no episodes — falling back to Jikan (MyAnimeList)\n');
+      schedules = await jikan.fetchRecentSchedules();
+    }
     
     if (schedules.length === 0) {
       console.log('⚠️  No episodes found or API request failed');
       console.log('   Exiting without database updates');
-      process.exit(1);
+      await webhooks.notifyFailure(new Error('No episodes found or API request failed'));
+      return 1;
     }
 
-    // Step 2: Filter and process episodes
-    const latestEpisodes = filterLatestEpisodes(schedules);
+    // Step 2: Load full media details for shows passing the cheap filters
+    const skipReport = createSkipReport(runId);
+    const detailed = await hydrateSchedules(schedules, skipReport);
+
+    // Step 3: Filter and process episodes (every drop goes to the skip report)
+    const latestEpisodes = filterLatestEpisodes(detailed, skipReport);
+    await writeSkipReport(skipReport, storage);
     
     if (latestEpisodes.length === 0) {
       console.log('⚠️  No episodes passed filtering');
       console.log('   This might be normal if no new episodes aired recently');
       console.log('   Exiting without database updates');
-      process.exit(0);
+      return 0;
     }
 
-    // Step 3: Update Firestore
-    await updateFirestore(latestEpisodes);
+    // Step 4: Update Firestore
+    const result = await updateFirestore(latestEpisodes, storage, { schedules: detailed, lock });
+
+    // Step 5: Static RSS / Atom / JSON feeds
+    if (result.written.length > 0) {
+      if (storage.readOnly) {
+        console.log(`🧪 Dry run — ${CONFIG.FEEDS_DIR}/ left untouched`);
+      } else {
+        // The episodes are committed — a feed failure must not fail the run
+        try {
+          await updateFeeds(result.written, storage);
+        } catch (error) {
+          console.error(`⚠️  Feeds not updated: ${error.message}`);
+        }
+      }
+    }
+
+    // Step 5b: Aggregate documents for the apps' home screen (feeds/*)
+    if (result.written.length > 0 || result.corrected.length > 0 || result.merged.length > 0) {
+      await updateAggregates(result, storage);
+    }
+
+    // Step 6: iCalendar export of every known future airing of the filtered shows
+    if (storage.readOnly) {
+      console.log(`🧪 Dry run — ${CONFIG.CALENDARS_DIR}/ left untouched`);
+    } else {
+      try {
+        await updateCalendars(latestEpisodes.map(({ media }) => media), storage, { merged: result.merged });
+      } catch (error) {
+        console.error(`⚠️  Calendars not updated: ${error.message}`);
+      }
+    }
+
+    // Step 7: Outbound webhooks (Discord / Slack / JSON)
+    await webhooks.notifyEpisodes(result.written);
+
+    if (result.partial) {
+      console.error('═══════════════════════════════════════════');
+      console.error('⚠️  PARTIAL RUN - SOME BATCHES DID NOT COMMIT');
+      console.error('═══════════════════════════════════════════');
+      console.error(`❌ Error: ${result.error.message}`);
+      console.error(`✅ Committed: ${result.written.length} episode(s) — the rest is replayed next run`);
+      console.error(`⏱️  Total execution time: ${((Date.now() - scriptStartTime) / 1000).toFixed(2)}s`);
+      console.error('═══════════════════════════════════════════\n');
+
+      await webhooks.notifyFailure(new Error(`Partial run: ${result.error.message}`));
+      return CONFIG.PARTIAL_EXIT_CODE;
+    }
 
     // Success summary
     const totalTime = Date.now() - scriptStartTime;
@@ -1053,7 +1270,7 @@ async function main() {
     console.log(`⏰ Finished at: ${new Date().toISOString()}`);
     console.log('═══════════════════════════════════════════\n');
     
-    process.exit(0);
+    return 0;
   } catch (error) {
     const totalTime = Date.now() - scriptStartTime;
     console.error('\n═══════════════════════════════════════════');
@@ -1065,10 +1282,27 @@ async function main() {
     console.error(`⏱️  Failed after: ${(totalTime / 1000).toFixed(2)}s`);
     console.error(`⏰ Failed at: ${new Date().toISOString()}`);
     console.error('═══════════════════════════════════════════\n');
+
+    if (webhooks) await webhooks.notifyFailure(error);
     
-    process.exit(1);
+    return 1;
+  } finally {
+    // Every exit releases the run lock first
+    if (lock) await lock.release();
   }
 }
 
 // Run the script
-main();
+if (require.main === module) {
+  runCommand(run);
+}
+
+module.exports = {
+  run,
+  hydrateSchedules,
+  filterLatestEpisodes,
+  convertToFirestoreFormat,
+  updateFirestore,
+  writeJournaledChunks,
+  writeSkipReport,
+};
@@ -0,0 +1,107 @@
+/**
+ * inspect.js
+ *
+ * Prints everything the worker knows about one show — its idMap entry,
+ * parent document, history, search document, seen keys and metadata
+ * cache entry (lib/inspect.js):
+ *
+ *   node inspect.js 59853              by MAL id
+ *   node inspect.js al171018           by AniList id
+ *   node inspect.js 59853 --json       the raw report as JSON
+ *
+ * Read-only, so it runs alongside a fetch. Exits 1 when the show is unknown.
+ */
+
+const CONFIG = require('./lib/config');
+const { runCommand } = require('./lib/command');
+const { formatTimestamp } = require('./lib/utils');
+const { createStorage } = require('./lib/storage');
+const { createSeenStore } = require('./lib/seen_store');
+const { loadMetadataCache } = require('./lib/metadata_cache');
+const { parseInspectId, inspectShow } = require('./lib/inspect');
+
+const USAGE = 'Usage: node inspect.js <malId | al{anilistId}> [--json]';
+
+function formatAiredAt(seconds) {
+  return typeof seconds === 'number' ? formatTimestamp(seconds) : 'unknown';
+}
+
+function printReport(report) {
+  const { document: doc } = report;
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🔍 ${doc?.title || report.search?.title || 'Unknown title'} — ${report.animeId}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  if (report.mergedFrom.length > 0) console.log(`🔀 Merged from: ${report.mergedFrom.join(' → ')}`);
+  if (report.idMap) {
+    console.log(`🆔 idMap: AniList ${report.idMap.ids?.anilist ?? '—'} | MAL ${report.idMap.ids?.mal ?? '—'}${report.idMap.aliases?.length ? ` | aliases ${report.idMap.aliases.join(', ')}` : ''}`);
+  } else {
+    console.log('🆔 idMap: no entry');
+  }
+
+  if (doc) {
+    console.log(`📄 ${report.collection}/${report.animeId}${doc.archivedAt ? ` (archived ${doc.archivedAt})` : ''}`);
+    console.log(`   Status: ${doc.status ?? '—'} | lifecycle ${doc.lifecycle ?? '—'}${doc.lifecycleSince ? ` since ${doc.lifecycleSince}` : ''}`);
+    console.log(`   Latest: episode ${doc.latestEpisode ?? '—'}, aired ${formatAiredAt(doc.episodeAiredAt)}`);
+    console.log(`   Updated: ${doc.lastUpdated ?? '—'}`);
+  } else {
+    console.log(`📄 No document in ${CONFIG.EPISODES_COLLECTION} or archive`);
+  }
+
+  console.log(`📜 History: ${report.history.length} document(s)`);
+  report.history.forEach(entry => {
+    console.log(`   ep${entry.episode}  ${formatAiredAt(entry.airedAt)}${entry.retracted ? `  ❌ retracted${entry.renumberedTo ? ` (now ep${entry.renumberedTo})` : ''}` : ''}`);
+  });
+
+  console.log(`🔎 Search: ${report.search ? `${report.search.tokens?.length ?? 0} token(s), ${report.search.prefixes?.length ?? 0} prefix(es)${report.search.archived ? ', archived' : ''}` : 'no document'}`);
+
+  console.log(`👁️  Seen keys: ${report.seen.length}`);
+  report.seen.forEach(entry => console.log(`   ${entry.key}  ${formatAiredAt(entry.airingAt)}`));
+
+  console.log(`🗃️  Metadata cache: ${report.cache ? `full write at ${report.cache.writtenAt ?? 'unknown'}` : 'no entry'}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+}
+
+/**
+ * Inspect one show. Returns the exit code.
+ */
+async function run(argv = []) {
+  const json = argv.includes('--json');
+  const args = argv.filter(arg => arg !== '--json');
+  const query = args.length === 1 ? parseInspectId(args[0]) : null;
+  if (!query) {
+    console.error(`❌ ${args.length === 1 ? `Invalid id "${args[0]}"` : 'inspect takes exactly one id'}\n${USAGE}`);
+    return 1;
+  }
+
+  // Progress lines go to stderr, so --json output stays parseable
+  const log = console.log;
+  if (json) console.log = console.error;
+  let report;
+  try {
+    const storage = createStorage(CONFIG.STORAGE_SINK);
+    const seenMap = await createSeenStore(CONFIG.SEEN_STORE, storage).load();
+    report = await inspectShow(storage, query, { seenMap, metadataCache: loadMetadataCache() });
+  } finally {
+    console.log = log;
+  }
+
+  if (!report) {
+    console.error(`❌ Nothing known about ${query.site === 'anilist' ? 'AniList' : 'MAL'} id ${query.id}`);
+    return 1;
+  }
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  runCommand(run);
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,286 @@
+/**
+ * Anime Hub Worker - lib/aggregates.js
+ *
+ * Denormalized aggregate documents, so the apps load their home screen
+ * with one document read instead of querying `episodes`:
+ *
+ *   feeds/latest              the AGGREGATE_LATEST_ITEMS newest episodes
+ *   feeds/byGenre_{genre}     newest episodes per genre (genreSlug, lib/feeds.js)
+ *   feeds/byDay_{weekday}     episodes of the last 7 days that aired on that
+ *                             weekday in SCHEDULE_TIMEZONE ("monday", ...)
+ *   feeds/index               every aggregate above with its page count
+ *
+ * Items: { animeId, title, imageUrl, coverColor, format, episode, episodes, airedAt, airedDate },
+ * one per episode ("{animeId}_ep{n}", like the seen keys), so a correction
+ * of any episode of a multi-episode drop finds its item.
+ *
+ * Pages: { name, page, pages, next, count, items, updatedAt }. An aggregate
+ * larger than AGGREGATE_PAGE_BYTES continues in "{name}_p2", "{name}_p3", ...
+ * (`next` holds the following document id), keeping every document below
+ * Firestore's 1 MiB limit.
+ *
+ * Like the static feeds, the item pool is local state (AGGREGATES_FILE, kept
+ * in the workflows' Actions cache), so a run reads no episodes. The pool
+ * keeps the episodes of the last AGGREGATE_WINDOW_DAYS; items of a show
+ * merged into its MAL id (lib/ids.js) move to the new id. When the file is
+ * lost the pool is rebuilt from `episodes` (the latest episode of every show
+ * that aired inside the window). Pages listed in the stored feeds/index that
+ * this run doesn't write are deleted.
+ */
+
+const fs = require('fs');
+const CONFIG = require('./config');
+const { formatTimestamp } = require('./utils');
+const { genreSlug } = require('./feeds');
+const { CORRECTION_TYPES } = require('./corrections');
+
+const AGGREGATES_COLLECTION = 'feeds';
+const INDEX_DOC = 'index';
+const DAY_SECONDS = 24 * 60 * 60;
+
+// ============================================
+// STATE
+// ============================================
+
+/**
+ * The item pool of the previous run, or null when AGGREGATES_FILE is missing or unreadable
+ */
+function loadPool(file) {
+  try {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8')).items || [];
+  } catch (e) {
+    console.error(`⚠️  Failed to load ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Pool items of the shows in `episodes` whose latest episode aired since `cutoff`
+ */
+async function rebuildPool(storage, cutoff) {
+  const docs = await storage.listRecent(CONFIG.EPISODES_COLLECTION, 'episodeAiredAt', { since: cutoff });
+  return Array.from(docs.values())
+    .filter(doc => !doc.mergedInto)
+    .flatMap(doc => aggregateItems(doc));
+}
+
+/**
+ * Ids of the documents the stored feeds/index lists (the index included)
+ */
+async function indexedDocIds(storage) {
+  const index = (await storage.getDocs(AGGREGATES_COLLECTION, [INDEX_DOC])).get(INDEX_DOC);
+  if (!index) return [];
+  const pages = (index.aggregates || []).flatMap(({ name, pages: count = 1 }) =>
+    Array.from({ length: count }, (_, i) => pageDocId(name, i + 1)));
+  return [INDEX_DOC, ...pages];
+}
+
+function itemKey(item) {
+  return `${item.animeId}_ep${item.episode}`;
+}
+
+/**
+ * Aggregate items of a written document, one per episode of the drop
+ * (`newAirings`, or the latest episode alone)
+ */
+function aggregateItems(animeData) {
+  const airings = animeData.newAirings || [{ episode: animeData.latestEpisode, airingAt: animeData.episodeAiredAt }];
+  return airings.map(({ episode, airingAt }) => ({
+    animeId: animeData.animeId,
+    title: animeData.title,
+    imageUrl: animeData.imageUrl || '',
+    coverColor: animeData.coverImageColor || '',
+    format: animeData.format || '',
+    genres: animeData.genres || [],
+    episode,
+    episodes: [episode],
+    airedAt: airingAt,
+    airedDate: formatTimestamp(airingAt),
+  }));
+}
+
+/**
+ * Re-key the pool items of merged shows ({ fromId, toId }) to their new id
+ */
+function applyMerges(byKey, merges) {
+  const moved = new Map(merges.map(({ fromId, toId }) => [String(fromId), toId]));
+  if (moved.size === 0) return;
+  for (const [key, item] of Array.from(byKey.entries())) {
+    if (!moved.has(String(item.animeId))) continue;
+    byKey.delete(key);
+    const rekeyed = { ...item, animeId: moved.get(String(item.animeId)) };
+    // An item the run wrote under the new id wins
+    if (!byKey.has(itemKey(rekeyed))) byKey.set(itemKey(rekeyed), rekeyed);
+  }
+}
+
+/**
+ * Apply committed corrections (lib/corrections.js) to the pool
+ */
+function applyCorrections(byKey, corrections) {
+  for (const correction of corrections) {
+    const key = `${correction.animeId}_ep${correction.episode}`;
+    const item = byKey.get(key);
+    if (!item) continue;
+    if (correction.type === CORRECTION_TYPES.RESCHEDULED) {
+      byKey.set(key, { ...item, airedAt: correction.airingAt, airedDate: formatTimestamp(correction.airingAt) });
+    } else {
+      byKey.delete(key);
+    }
+  }
+}
+
+// ============================================
+// PAGES
+// ============================================
+
+function weekdayOf(unixTimestamp) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: CONFIG.SCHEDULE_TIMEZONE, weekday: 'long' })
+    .format(new Date(unixTimestamp * 1000))
+    .toLowerCase();
+}
+
+/**
+ * Split items into pages of at most AGGREGATE_PAGE_BYTES (as JSON)
+ */
+function paginate(items) {
+  const pages = [[]];
+  let bytes = 0;
+  for (const item of items) {
+    const size = Buffer.byteLength(JSON.stringify(item), 'utf8');
+    if (pages[pages.length - 1].length > 0 && bytes + size > CONFIG.AGGREGATE_PAGE_BYTES) {
+      pages.push([]);
+      bytes = 0;
+    }
+    pages[pages.length - 1].push(item);
+    bytes += size;
+  }
+  return pages;
+}
+
+function pageDocId(name, page) {
+  return page === 1 ? name : `${name}_p${page}`;
+}
+
+/**
+ * Documents of one aggregate: [{ docId, data }]
+ */
+function aggregateDocs(name, items, extra, updatedAt) {
+  const pages = paginate(items);
+  return pages.map((pageItems, i) => ({
+    docId: pageDocId(name, i + 1),
+    data: {
+      name,
+      ...extra,
+      page: i + 1,
+      pages: pages.length,
+      next: i + 1 < pages.length ? pageDocId(name, i + 2) : null,
+      count: pageItems.length,
+      // Genres only decide which aggregates an item belongs to
+      items: pageItems.map(({ genres, ...item }) => item),
+      updatedAt,
+    },
+  }));
+}
+
+/**
+ * Every aggregate document for a pool sorted newest first
+ */
+function buildAggregates(items, now = Date.now() / 1000) {
+  const updatedAt = new Date().toISOString();
+  const genres = new Map();
+  const days = new Map();
+  for (const item of items) {
+    for (const genre of item.genres) {
+      if (!genres.has(genre)) genres.set(genre, []);
+      genres.get(genre).push(item);
+    }
+    if (item.airedAt >= now - 7 * DAY_SECONDS) {
+      const weekday = weekdayOf(item.airedAt);
+      if (!days.has(weekday)) days.set(weekday, []);
+      days.get(weekday).push(item);
+    }
+  }
+
+  const docs = aggregateDocs('latest', items.slice(0, CONFIG.AGGREGATE_LATEST_ITEMS), {}, updatedAt);
+  const index = [{ name: 'latest', pages: docs.length, count: Math.min(items.length, CONFIG.AGGREGATE_LATEST_ITEMS) }];
+  for (const [genre, genreItems] of Array.from(genres.entries()).sort(([a], [b]) => a.localeCompare(b))) {
+    const name = `byGenre_${genreSlug(genre)}`;
+    const genreDocs = aggregateDocs(name, genreItems, { genre }, updatedAt);
+    docs.push(...genreDocs);
+    index.push({ name, genre, pages: genreDocs.length, count: genreItems.length });
+  }
+  for (const [weekday, dayItems] of days.entries()) {
+    const name = `byDay_${weekday}`;
+    const dayDocs = aggregateDocs(name, dayItems, { weekday, timezone: CONFIG.SCHEDULE_TIMEZONE }, updatedAt);
+    docs.push(...dayDocs);
+    index.push({ name, weekday, pages: dayDocs.length, count: dayItems.length });
+  }
+
+  docs.push({ docId: INDEX_DOC, data: { aggregates: index, updatedAt } });
+  return docs;
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Add the written documents of a run to the pool, apply its merges and
+ * corrections and rewrite the aggregate documents. Never throws — the episodes
+ * themselves are already committed.
+ */
+async function updateAggregates({ written = [], corrected = [], merged = [] }, storage, file = CONFIG.AGGREGATES_FILE) {
+  try {
+    const cutoff = Date.now() / 1000 - CONFIG.AGGREGATE_WINDOW_DAYS * DAY_SECONDS;
+    let pool = loadPool(file);
+    if (!pool) {
+      pool = await rebuildPool(storage, cutoff);
+      console.log(`🗂️  No usable ${file} — rebuilt ${pool.length} item(s) from ${CONFIG.EPISODES_COLLECTION}`);
+    }
+    // Pools of older runs hold one item per drop, keyed by its latest episode
+    const byKey = new Map(pool.flatMap(item => (item.episodes || [item.episode]).map(episode => {
+      const single = { ...item, episode, episodes: [episode] };
+      return [itemKey(single), single];
+    })));
+    applyMerges(byKey, merged);
+    for (const animeData of written) {
+      for (const item of aggregateItems(animeData)) byKey.set(itemKey(item), item);
+    }
+    applyCorrections(byKey, corrected);
+
+    const items = Array.from(byKey.values())
+      .filter(item => item.airedAt >= cutoff)
+      .sort((a, b) => b.airedAt - a.airedAt);
+
+    const docs = buildAggregates(items);
+    const docIds = new Set(docs.map(({ docId }) => docId));
+    const stale = (await indexedDocIds(storage)).filter(docId => !docIds.has(docId));
+    const ops = [
+      ...docs.map(({ docId, data }) => batch => batch.set(AGGREGATES_COLLECTION, docId, data)),
+      ...stale.map(docId => batch => batch.delete(AGGREGATES_COLLECTION, docId)),
+    ];
+    for (let i = 0; i < ops.length; i += CONFIG.BATCH_OP_LIMIT) {
+      const batch = storage.batch();
+      ops.slice(i, i + CONFIG.BATCH_OP_LIMIT).forEach(op => op(batch));
+      await batch.commit();
+    }
+
+    if (storage.readOnly) {
+      console.log(`🧪 Dry run — ${file} left untouched`);
+    } else {
+      fs.writeFileSync(file, JSON.stringify({ items }, null, 2), 'utf8');
+    }
+    console.log(`🗂️  Aggregates: ${docs.length} document(s) in ${AGGREGATES_COLLECTION}/ from ${items.length} item(s)${stale.length > 0 ? `, ${stale.length} stale removed` : ''}\n`);
+  } catch (error) {
+    console.error(`⚠️  Failed to update aggregates: ${error.message}\n`);
+  }
+}
+
+module.exports = {
+  AGGREGATES_COLLECTION,
+  aggregateItems,
+  buildAggregates,
+  updateAggregates,
+};
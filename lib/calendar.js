@@ -0,0 +1,286 @@
+/**
+ * Anime Hub Worker - lib/calendar.js
+ *
+ * iCalendar (.ics) export of upcoming airings, published with the feeds (not
+ * committed):
+ *
+ *   calendars/all.ics               every known future episode
+ *   calendars/shows/{animeId}.ics   one calendar per show
+ *
+ * Events come from each show's AniList airingSchedule. The UID is derived
+ * from the AniList schedule id the first time an episode is seen and is kept
+ * per "{animeId}_ep{n}", so a rescheduled episode (new time, or even a new
+ * schedule id) updates the same event with a higher SEQUENCE instead of
+ * creating a duplicate. Future events a refreshed show no longer schedules
+ * are dropped, and events of a show merged into its MAL id (lib/ids.js) move
+ * to the new id with their UIDs.
+ *
+ * The event state lives in the storage sink, one document per show:
+ *   {CALENDAR_COLLECTION}/{animeId}   { animeId, events: { "{n}": event }, updatedAt }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const { canonicalId } = require('./ids');
+
+const PRODID = '-//Anime Hub//Anime Hub Worker//EN';
+const DEFAULT_DURATION_MINUTES = 24;
+// Future airings per media in the AniList query (airingSchedule(notYetAired: true, perPage: 25))
+const SCHEDULE_PAGE_SIZE = 25;
+
+// ============================================
+// STATE
+// ============================================
+
+/**
+ * Event state by "{animeId}_ep{n}", read from the per-show documents
+ */
+async function loadState(storage) {
+  const state = {};
+  for (const doc of (await storage.listDocs(CONFIG.CALENDAR_COLLECTION)).values()) {
+    for (const event of Object.values(doc.events || {})) {
+      state[`${event.animeId}_ep${event.episode}`] = event;
+    }
+  }
+  return state;
+}
+
+/**
+ * Group the state into per-show documents: Map(animeId → { animeId, events })
+ */
+function stateDocs(state) {
+  const docs = new Map();
+  for (const event of Object.values(state)) {
+    const docId = String(event.animeId);
+    if (!docs.has(docId)) docs.set(docId, { animeId: event.animeId, events: {} });
+    docs.get(docId).events[event.episode] = event;
+  }
+  return docs;
+}
+
+/**
+ * Write the show documents whose events changed and delete the ones left without events
+ */
+async function saveState(storage, previous, state) {
+  const before = stateDocs(previous);
+  const after = stateDocs(state);
+  const updatedAt = new Date().toISOString();
+  const ops = [];
+  for (const [docId, doc] of after.entries()) {
+    if (JSON.stringify(doc.events) === JSON.stringify(before.get(docId)?.events)) continue;
+    ops.push(batch => batch.set(CONFIG.CALENDAR_COLLECTION, docId, { ...doc, updatedAt }));
+  }
+  for (const docId of before.keys()) {
+    if (!after.has(docId)) ops.push(batch => batch.delete(CONFIG.CALENDAR_COLLECTION, docId));
+  }
+  for (let i = 0; i < ops.length; i += CONFIG.BATCH_OP_LIMIT) {
+    const batch = storage.batch();
+    ops.slice(i, i + CONFIG.BATCH_OP_LIMIT).forEach(op => op(batch));
+    await batch.commit();
+  }
+  return ops.length;
+}
+
+/**
+ * Move the events of merged shows ({ fromId, toId }) to their new id, UIDs
+ * included, so subscribed calendars update their events instead of
+ * duplicating them. Returns the number of events moved.
+ */
+function applyMerges(state, merges) {
+  let moved = 0;
+  for (const { fromId, toId } of merges) {
+    const animeId = /^\d+$/.test(String(toId)) ? Number(toId) : toId;
+    for (const [key, event] of Object.entries(state)) {
+      if (String(event.animeId) !== String(fromId)) continue;
+      delete state[key];
+      const rekeyed = `${animeId}_ep${event.episode}`;
+      // An event already recorded under the new id keeps its UID
+      if (!state[rekeyed]) state[rekeyed] = { ...event, animeId };
+      moved++;
+    }
+  }
+  return moved;
+}
+
+/**
+ * Merge the airing schedules of the given AniList media into the state and
+ * drop future events a show no longer schedules (AniList removed or
+ * renumbered them). Returns the number of new, rescheduled and dropped events.
+ */
+function mergeSchedules(state, mediaList, now) {
+  let added = 0;
+  let rescheduled = 0;
+  let dropped = 0;
+
+  for (const media of mediaList) {
+    if (!media?.airingSchedule) continue;
+    const animeId = canonicalId(media);
+    const title = media.title?.english || media.title?.romaji || 'Unknown';
+    const nodes = (media.airingSchedule.edges || []).map(({ node }) => node).filter(Boolean);
+
+    // A full page may stop before the show's last episodes — only drop events it covers
+    const scheduled = new Set(nodes.map(({ episode }) => episode));
+    const coveredUntil = nodes.length < SCHEDULE_PAGE_SIZE ? Infinity : Math.max(...nodes.map(({ airingAt }) => airingAt));
+    for (const [key, event] of Object.entries(state)) {
+      if (String(event.animeId) !== String(animeId) || event.airingAt * 1000 < now) continue;
+      if (scheduled.has(event.episode) || event.airingAt > coveredUntil) continue;
+      delete state[key];
+      dropped++;
+      console.log(`   📅 Dropped: ${title} — Episode ${event.episode} (no longer scheduled)`);
+    }
+
+    for (const node of nodes) {
+      if (node.airingAt * 1000 < now) continue;
+
+      const key = `${animeId}_ep${node.episode}`;
+      const existing = state[key];
+      const event = {
+        uid: existing?.uid || `anilist-schedule-${node.id}@anime-hub`,
+        scheduleId: node.id,
+        animeId,
+        episode: node.episode,
+        title,
+        url: media.siteUrl || `https://anilist.co/anime/${media.id}`,
+        duration: media.duration || DEFAULT_DURATION_MINUTES,
+        airingAt: node.airingAt,
+        sequence: existing?.sequence || 0,
+        updatedAt: existing?.updatedAt || new Date(now).toISOString(),
+      };
+
+      if (!existing) {
+        added++;
+      } else if (existing.airingAt !== node.airingAt || existing.scheduleId !== node.id) {
+        event.sequence = existing.sequence + 1;
+        event.updatedAt = new Date(now).toISOString();
+        rescheduled++;
+        console.log(`   📅 Rescheduled: ${title} — Episode ${node.episode} (SEQUENCE ${event.sequence})`);
+      }
+      state[key] = event;
+    }
+  }
+
+  return { added, rescheduled, dropped };
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+function icsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 §3.1)
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function renderEvent(event) {
+  const start = new Date(event.airingAt * 1000);
+  const end = new Date(start.getTime() + event.duration * 60 * 1000);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${icsDate(new Date(event.updatedAt))}`,
+    `SEQUENCE:${event.sequence}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${escapeText(`${event.title} — Episode ${event.episode}`)}`,
+    `DESCRIPTION:${escapeText(`Episode ${event.episode} of ${event.title}\n${event.url}`)}`,
+    `URL:${event.url}`,
+    'END:VEVENT',
+  ];
+}
+
+function renderCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(renderEvent),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Merge the future airings of the given AniList media (after moving the
+ * events of merged shows) and regenerate every calendar
+ */
+async function updateCalendars(mediaList, storage, { merged = [] } = {}, dir = CONFIG.CALENDARS_DIR) {
+  const now = Date.now();
+  const previous = await loadState(storage);
+  const state = { ...previous };
+  const moved = applyMerges(state, merged);
+  const { added, rescheduled, dropped } = mergeSchedules(state, mediaList, now);
+
+  // Keep aired events for a while so late reschedules still find their UID
+  const cutoff = now / 1000 - CONFIG.RECENCY_DAYS * 24 * 60 * 60;
+  for (const [key, event] of Object.entries(state)) {
+    if (event.airingAt < cutoff) delete state[key];
+  }
+
+  const upcoming = Object.values(state)
+    .filter(event => event.airingAt * 1000 >= now)
+    .sort((a, b) => a.airingAt - b.airingAt);
+
+  const byShow = new Map();
+  for (const event of upcoming) {
+    if (!byShow.has(event.animeId)) byShow.set(event.animeId, []);
+    byShow.get(event.animeId).push(event);
+  }
+
+  const showsDir = path.join(dir, 'shows');
+  fs.rmSync(showsDir, { recursive: true, force: true });
+  fs.mkdirSync(showsDir, { recursive: true });
+
+  const changed = await saveState(storage, previous, state);
+  fs.writeFileSync(path.join(dir, 'all.ics'), renderCalendar('Anime Hub — All airing', upcoming), 'utf8');
+  for (const [animeId, events] of byShow.entries()) {
+    fs.writeFileSync(path.join(showsDir, `${animeId}.ics`), renderCalendar(`Anime Hub — ${events[0].title}`, events), 'utf8');
+  }
+
+  console.log(`📅 Calendars written to ${dir}/ — ${upcoming.length} upcoming event(s) in ${byShow.size} show(s) (${added} new, ${rescheduled} rescheduled, ${dropped} dropped${moved > 0 ? `, ${moved} moved by merges` : ''}; ${changed} ${CONFIG.CALENDAR_COLLECTION} document(s) updated)`);
+}
+
+module.exports = {
+  applyMerges,
+  mergeSchedules,
+  renderCalendar,
+  updateCalendars,
+};
@@ -0,0 +1,39 @@
+/**
+ * Anime Hub Worker - lib/command.js
+ *
+ * Runs a command — fetch.js, backfill.js, cleanup_seen.js, lifecycle.js,
+ * inspect.js — from the command line: setting flags and --config are split
+ * off, the configuration is loaded and validated (lib/settings.js), and
+ * the command's `run(argv)` gets the remaining arguments. The process exits
+ * with the code it returns.
+ *
+ * Commands themselves never call process.exit(), so requiring them has no
+ * side effects and cli.js can dispatch to any of them.
+ */
+
+const { extractConfigFlags, loadConfig } = require('./settings');
+
+/**
+ * Load the configuration, run the command and exit with its code.
+ * Invalid configuration exits 1 before the command starts.
+ */
+async function runCommand(run, argv = process.argv.slice(2)) {
+  const { flags, file, rest } = extractConfigFlags(argv);
+  try {
+    loadConfig({ file, flags });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    process.exit(await run(rest));
+  } catch (error) {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  runCommand,
+};
@@ -0,0 +1,14 @@
+/**
+ * Anime Hub Worker - lib/config.js
+ *
+ * Shared worker configuration: the defaults and environment of every
+ * setting declared in lib/settings.js. Requiring it never fails or reads a
+ * file; entry points call loadConfig() (lib/settings.js) to add the config
+ * file and flags, validate, and update this object in place.
+ */
+
+const { resolveConfig } = require('./settings');
+
+const CONFIG = resolveConfig({ file: false }).values;
+
+module.exports = CONFIG;
@@ -0,0 +1,199 @@
+/**
+ * Anime Hub Worker - lib/corrections.js
+ *
+ * Reschedule and retraction detection for episodes already in the seen
+ * store. A seen key is never written again, so when AniList changes an
+ * episode after we wrote it, the stored airingAt / scheduleId are compared
+ * against what this run fetched:
+ *
+ *   rescheduled   same "{animeId}_ep{n}" with a new airingAt or schedule id
+ *                 (also found among the show's future airings when it was delayed)
+ *   renumbered    the stored schedule id now belongs to another episode number
+ *   retracted     the episode is gone, although the fetch covered its airing
+ *                 time and returned other airings of the show
+ *
+ * Only AniList schedules are compared — Jikan fallback ids are synthetic.
+ * Writing the correction documents is up to updateFirestore (fetch.js).
+ */
+
+const { formatTimestamp } = require('./utils');
+const { canonicalId, parseSeenKey } = require('./ids');
+
+const CORRECTION_TYPES = {
+  RESCHEDULED: 'rescheduled',
+  RENUMBERED: 'renumbered',
+  RETRACTED: 'retracted',
+};
+
+/**
+ * Index every airing known to this run by seen key and schedule id.
+ * Recently aired schedules win over the future airings of hydrated media.
+ */
+function indexAirings(schedules) {
+  const byKey = new Map();
+  const bySchedule = new Map();
+  const titles = new Map();
+  let coveredFrom = Infinity;
+
+  const add = (animeId, { id, episode, airingAt }) => {
+    const key = `${animeId}_ep${episode}`;
+    if (byKey.has(key)) return;
+    byKey.set(key, { animeId, episode, airingAt, scheduleId: id });
+    if (id != null) bySchedule.set(id, key);
+  };
+
+  for (const schedule of schedules) {
+    const media = schedule.media;
+    if (!media) continue;
+    const animeId = String(canonicalId(media));
+    titles.set(animeId, media.title?.english || media.title?.romaji || 'Unknown');
+    coveredFrom = Math.min(coveredFrom, schedule.airingAt);
+    add(animeId, schedule);
+  }
+
+  for (const schedule of schedules) {
+    const media = schedule.media;
+    if (!media) continue;
+    const animeId = String(canonicalId(media));
+    for (const { node } of media.airingSchedule?.edges || []) {
+      if (node) add(animeId, node);
+    }
+    if (media.nextAiringEpisode) add(animeId, media.nextAiringEpisode);
+  }
+
+  return { byKey, bySchedule, titles, coveredFrom };
+}
+
+/**
+ * Compare the seen map against this run's schedules. Returns a list of
+ *   { type, key, animeId, episode, title, previousAiredAt, previousScheduleId,
+ *     airingAt, scheduleId, renumberedTo }
+ */
+function detectCorrections(seenMap, schedules, now = Date.now() / 1000) {
+  if (schedules.length === 0 || schedules.some(schedule => (schedule.source || 'anilist') !== 'anilist')) {
+    return [];
+  }
+
+  const { byKey, bySchedule, titles, coveredFrom } = indexAirings(schedules);
+  const corrections = [];
+
+  for (const [key, entry] of seenMap.entries()) {
+    const parsed = key.startsWith('fcm:') ? null : parseSeenKey(key);
+    if (!parsed || !titles.has(String(parsed.animeId))) continue;
+
+    const base = {
+      key,
+      ...parsed,
+      title: titles.get(String(parsed.animeId)),
+      previousAiredAt: entry.airingAt,
+      previousScheduleId: entry.scheduleId ?? null,
+    };
+
+    const current = byKey.get(key);
+    if (current) {
+      const moved = current.airingAt !== entry.airingAt;
+      const newSchedule = entry.scheduleId != null && current.scheduleId !== entry.scheduleId;
+      if (moved || newSchedule) {
+        corrections.push({
+          ...base,
+          type: CORRECTION_TYPES.RESCHEDULED,
+          airingAt: current.airingAt,
+          scheduleId: current.scheduleId,
+        });
+      }
+      continue;
+    }
+
+    const renumberedKey = entry.scheduleId != null ? bySchedule.get(entry.scheduleId) : null;
+    if (renumberedKey) {
+      const renumbered = byKey.get(renumberedKey);
+      corrections.push({
+        ...base,
+        type: CORRECTION_TYPES.RENUMBERED,
+        airingAt: renumbered.airingAt,
+        scheduleId: renumbered.scheduleId,
+        renumberedTo: renumbered.episode,
+      });
+    } else if (entry.airingAt >= coveredFrom && entry.airingAt <= now) {
+      corrections.push({ ...base, type: CORRECTION_TYPES.RETRACTED, airingAt: null, scheduleId: null });
+    }
+  }
+
+  return corrections;
+}
+
+/**
+ * One log line per correction
+ */
+function describeCorrection(correction) {
+  const { type, title, episode, previousAiredAt, airingAt, renumberedTo } = correction;
+  switch (type) {
+    case CORRECTION_TYPES.RESCHEDULED:
+      return `📅 Rescheduled: ${title} — Episode ${episode}: ${formatTimestamp(previousAiredAt)} → ${formatTimestamp(airingAt)}`;
+    case CORRECTION_TYPES.RENUMBERED:
+      return `🔢 Renumbered: ${title} — Episode ${episode} is now Episode ${renumberedTo}`;
+    default:
+      return `🗑️  Retracted: ${title} — Episode ${episode} (was ${formatTimestamp(previousAiredAt)})`;
+  }
+}
+
+/**
+ * Merge fields for episodes/{animeId}/history/{episode}
+ */
+function historyCorrection(correction, correctedAt) {
+  const fields = {
+    animeId: correction.animeId,
+    episode: correction.episode,
+    correction: correction.type,
+    previousAiredAt: correction.previousAiredAt,
+    correctedAt,
+  };
+  if (correction.type === CORRECTION_TYPES.RESCHEDULED) {
+    return {
+      ...fields,
+      scheduleId: correction.scheduleId,
+      airedAt: correction.airingAt,
+      airedDate: formatTimestamp(correction.airingAt),
+    };
+  }
+  return {
+    ...fields,
+    retracted: true,
+    renumberedTo: correction.renumberedTo ?? null,
+  };
+}
+
+/**
+ * Merge fields for the parent episodes/{animeId} document, or null when it
+ * needs none. `summary` is the history summary without a withdrawn episode.
+ */
+function parentCorrection(correction, parent, summary, correctedAt) {
+  if (!parent) return null;
+  const isLatest = parent.latestEpisode === correction.episode;
+
+  if (correction.type === CORRECTION_TYPES.RESCHEDULED) {
+    if (!isLatest) return null;
+    return {
+      episodeAiredAt: correction.airingAt,
+      episodeAiredDate: formatTimestamp(correction.airingAt),
+      scheduleId: correction.scheduleId,
+      previousAiredAt: correction.previousAiredAt,
+      correctedAt,
+    };
+  }
+
+  // The latest* fields stay — only the history summary and the marker change
+  return {
+    ...summary,
+    ...(isLatest ? { retractedEpisode: correction.episode, previousAiredAt: correction.previousAiredAt } : {}),
+    correctedAt,
+  };
+}
+
+module.exports = {
+  CORRECTION_TYPES,
+  detectCorrections,
+  describeCorrection,
+  historyCorrection,
+  parentCorrection,
+};
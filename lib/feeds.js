@@ -0,0 +1,250 @@
+/**
+ * Anime Hub Worker - lib/feeds.js
+ *
+ * Static feeds of newly aired episodes, published by the fetch workflow to
+ * GitHub Pages ({FEED_BASE_URL}/latest.xml, ...; not committed):
+ *
+ *   feeds/latest.xml            RSS 2.0
+ *   feeds/latest.atom           Atom 1.0
+ *   feeds/latest.json           JSON Feed 1.1
+ *   feeds/genres/{genre}.*      the same three formats per genre
+ *   feeds/items.json            feed state (the last FEED_MAX_ITEMS items)
+ *
+ * Items are built from convertToFirestoreFormat documents, one per show and
+ * drop, and keep the seen key "{animeId}_ep{n}" as their GUID
+ * ("{animeId}_ep{first}-{last}" for a multi-episode drop), so feed readers
+ * never see an episode twice. When items.json is missing (a cold Actions
+ * cache) the items are rebuilt from the FEED_MAX_ITEMS parent documents in
+ * `episodes` that aired last.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CONFIG = require('./config');
+const { describeEpisodes } = require('./utils');
+
+const FEED_TITLE = 'Anime Hub — New Episodes';
+const FEED_DESCRIPTION = 'Newly aired anime episodes';
+
+// ============================================
+// ITEMS
+// ============================================
+
+function feedItem(animeData) {
+  const episodes = [...(animeData.newEpisodes || [animeData.latestEpisode])].sort((a, b) => a - b);
+  const first = episodes[0];
+  const last = episodes[episodes.length - 1];
+  return {
+    guid: episodes.length === 1 ? `${animeData.animeId}_ep${first}` : `${animeData.animeId}_ep${first}-${last}`,
+    animeId: animeData.animeId,
+    title: episodes.length === 1 ?
+      `${animeData.title} — Episode ${first}` :
+      `${animeData.title} — ${episodes.length} new episodes (${describeEpisodes(episodes)})`,
+    showTitle: animeData.title,
+    episode: animeData.latestEpisode,
+    episodes,
+    url: animeData.anilist_url || animeData.mal_url,
+    imageUrl: animeData.imageUrl || null,
+    summary: (animeData.synopsis || '').substring(0, 300),
+    genres: animeData.genres || [],
+    publishedAt: animeData.episodeAiredDate,
+  };
+}
+
+/**
+ * File name of a genre feed: ASCII-folded ("Comédie" → "comedie"), or
+ * "genre-{hash}" when nothing ASCII is left ("日常" never becomes ".xml")
+ */
+function genreSlug(genre) {
+  const slug = genre.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || `genre-${crypto.createHash('sha1').update(genre).digest('hex').substring(0, 8)}`;
+}
+
+/**
+ * The feed items of the previous run, or null when items.json is missing or unreadable
+ */
+function loadItems(dir) {
+  const file = path.join(dir, 'items.json');
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(`⚠️  Failed to load ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Feed items of the parent documents that aired last (their latest episode
+ * each), skipping the shows of `animeDataList`, which bring their own items
+ */
+async function rebuildItems(storage, animeDataList) {
+  const written = new Set(animeDataList.map(({ animeId }) => String(animeId)));
+  const docs = await storage.listRecent(CONFIG.EPISODES_COLLECTION, 'episodeAiredAt', { limit: CONFIG.FEED_MAX_ITEMS });
+  return Array.from(docs.values())
+    .filter(doc => !doc.mergedInto && !written.has(String(doc.animeId)))
+    .map(doc => feedItem(doc));
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function feedUrl(name, extension) {
+  return CONFIG.FEED_BASE_URL ? `${CONFIG.FEED_BASE_URL.replace(/\/$/, '')}/${name}.${extension}` : null;
+}
+
+function renderRss(feed, items) {
+  const self = feedUrl(feed.name, 'xml');
+  const entries = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+    `      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(item.summary)}</description>`,
+    ...item.genres.map(genre => `      <category>${escapeXml(genre)}</category>`),
+    item.imageUrl ? `      <enclosure url="${escapeXml(item.imageUrl)}" length="0" type="image/jpeg"/>` : null,
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(self || 'https://anilist.co')}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <lastBuildDate>${new Date(feed.updatedAt).toUTCString()}</lastBuildDate>`,
+    self ? `    <atom:link href="${escapeXml(self)}" rel="self" type="application/rss+xml"/>` : null,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].filter(line => line !== null).join('\n');
+}
+
+function renderAtom(feed, items) {
+  const self = feedUrl(feed.name, 'atom');
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <id>urn:anime-hub:episode:${escapeXml(item.guid)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link href="${escapeXml(item.url)}"/>`,
+    `    <published>${item.publishedAt}</published>`,
+    `    <updated>${item.publishedAt}</updated>`,
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    ...item.genres.map(genre => `    <category term="${escapeXml(genre)}"/>`),
+    item.imageUrl ? `    <link rel="enclosure" href="${escapeXml(item.imageUrl)}" type="image/jpeg"/>` : null,
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>urn:anime-hub:feed:${escapeXml(feed.name)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${feed.updatedAt}</updated>`,
+    '  <author><name>Anime Hub</name></author>',
+    self ? `  <link rel="self" href="${escapeXml(self)}"/>` : null,
+    ...entries,
+    '</feed>',
+    '',
+  ].filter(line => line !== null).join('\n');
+}
+
+function renderJsonFeed(feed, items) {
+  const self = feedUrl(feed.name, 'json');
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    ...(self ? { feed_url: self } : {}),
+    items: items.map(item => ({
+      id: item.guid,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_text: item.summary || item.title,
+      image: item.imageUrl || undefined,
+      date_published: item.publishedAt,
+      tags: item.genres,
+      _anime_hub: { animeId: item.animeId, episode: item.episode, episodes: item.episodes || [item.episode] },
+    })),
+  }, null, 2);
+}
+
+function writeFeed(dir, feed, items) {
+  fs.mkdirSync(path.dirname(path.join(dir, feed.name)), { recursive: true });
+  fs.writeFileSync(path.join(dir, `${feed.name}.xml`), renderRss(feed, items), 'utf8');
+  fs.writeFileSync(path.join(dir, `${feed.name}.atom`), renderAtom(feed, items), 'utf8');
+  fs.writeFileSync(path.join(dir, `${feed.name}.json`), renderJsonFeed(feed, items), 'utf8');
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Add newly written episodes (converted documents) to the feeds and
+ * regenerate every feed file
+ */
+async function updateFeeds(animeDataList, storage, dir = CONFIG.FEEDS_DIR) {
+  let previous = loadItems(dir);
+  if (!previous) {
+    previous = await rebuildItems(storage, animeDataList);
+    console.log(`📰 No usable ${path.join(dir, 'items.json')} — rebuilt ${previous.length} item(s) from ${CONFIG.EPISODES_COLLECTION}`);
+  }
+  const byGuid = new Map(previous.map(item => [item.guid, item]));
+  for (const animeData of animeDataList) {
+    const item = feedItem(animeData);
+    byGuid.set(item.guid, item);
+  }
+
+  const items = Array.from(byGuid.values())
+    .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt))
+    .slice(0, CONFIG.FEED_MAX_ITEMS);
+  const updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'items.json'), JSON.stringify(items, null, 2), 'utf8');
+  writeFeed(dir, { name: 'latest', title: FEED_TITLE, description: FEED_DESCRIPTION, updatedAt }, items);
+
+  // Per-genre feeds — rebuilt from scratch so genres that dropped out disappear
+  const genresDir = path.join(dir, 'genres');
+  fs.rmSync(genresDir, { recursive: true, force: true });
+  const genres = new Map();
+  for (const item of items) {
+    for (const genre of item.genres) {
+      if (!genres.has(genre)) genres.set(genre, []);
+      genres.get(genre).push(item);
+    }
+  }
+  for (const [genre, genreItems] of genres.entries()) {
+    writeFeed(dir, {
+      name: `genres/${genreSlug(genre)}`,
+      title: `${FEED_TITLE} (${genre})`,
+      description: `${FEED_DESCRIPTION} — ${genre}`,
+      updatedAt,
+    }, genreItems);
+  }
+
+  console.log(`📰 Feeds written to ${dir}/ — ${items.length} item(s), ${genres.size} genre feed(s)`);
+}
+
+module.exports = {
+  feedItem,
+  genreSlug,
+  updateFeeds,
+};
@@ -0,0 +1,222 @@
+/**
+ * Anime Hub Worker - lib/ids.js
+ *
+ * Canonical show ids. Documents, seen keys, topics and feeds are keyed by
+ *
+ *   {malId}         when AniList knows the MyAnimeList id
+ *   al{anilistId}   otherwise (new donghua / ONAs AniList lists before MAL)
+ *
+ * idMap/{site}_{id} maps every known site id to the canonical id:
+ *   { canonicalId, ids: { anilist, mal }, aliases, updatedAt }
+ *
+ * When a show tracked as al{anilistId} gets its MAL id, resolveCanonicalIds
+ * merges it into {malId}: the parent document and its history move over,
+ * the old document becomes a { mergedInto } stub, its search document is
+ * dropped, seen keys and metadata cache entries are renamed, and the old
+ * id is kept in `idAliases` so notifications still reach users following
+ * the anime_al{anilistId} topic.
+ */
+
+const CONFIG = require('./config');
+const { SEARCH_COLLECTION } = require('./search');
+
+const ID_MAP_COLLECTION = 'idMap';
+
+/**
+ * Canonical id of an AniList media (number for MAL ids, "al{id}" otherwise)
+ */
+function canonicalId(media) {
+  return media.idMal || `al${media.id}`;
+}
+
+/**
+ * Parse a seen key ("{animeId}_ep{n}", optionally "fcm:" prefixed)
+ */
+function parseSeenKey(key) {
+  const match = /^(?:fcm:)?((?:al)?\d+)_ep(\d+)$/.exec(key);
+  if (!match) return null;
+  const animeId = match[1].startsWith('al') ? match[1] : Number(match[1]);
+  return { animeId, episode: Number(match[2]) };
+}
+
+/**
+ * idMap document id of a site id ("mal_59853", "anilist_171018")
+ */
+function idMapDocId(site, id) {
+  return `${site}_${id}`;
+}
+
+/**
+ * The idMap documents describing one show
+ */
+function idMapEntries(animeData, aliases, updatedAt) {
+  const data = {
+    canonicalId: String(animeData.animeId),
+    ids: { anilist: animeData.anilistId, mal: animeData.malId || null },
+    aliases,
+    updatedAt,
+  };
+  const entries = [{ docId: idMapDocId('anilist', animeData.anilistId), data }];
+  if (animeData.malId) entries.push({ docId: idMapDocId('mal', animeData.malId), data });
+  return entries;
+}
+
+/**
+ * Move every seen key of `fromId` to `toId` ("fcm:" keys included)
+ */
+function renameSeenKeys(seenMap, fromId, toId) {
+  let renamed = 0;
+  for (const [key, entry] of Array.from(seenMap.entries())) {
+    const parsed = parseSeenKey(key);
+    if (!parsed || String(parsed.animeId) !== String(fromId)) continue;
+    const prefix = key.startsWith('fcm:') ? 'fcm:' : '';
+    seenMap.delete(key);
+    seenMap.set(`${prefix}${toId}_ep${parsed.episode}`, { ...entry, docId: `${CONFIG.EPISODES_COLLECTION}/${toId}` });
+    renamed++;
+  }
+  return renamed;
+}
+
+/**
+ * Merge episodes/{fromId} (and its history) into episodes/{toId}.
+ * History moves first and the parent last, so a merge interrupted halfway
+ * is simply finished by the next run.
+ */
+async function mergeShow(storage, fromId, toId) {
+  const docs = await storage.getDocs(CONFIG.EPISODES_COLLECTION, [fromId, toId]);
+  const source = docs.get(String(fromId));
+  const target = docs.get(String(toId));
+  const history = Array.from((await storage.listDocs(`${CONFIG.EPISODES_COLLECTION}/${fromId}/history`)).entries());
+  const targetHistory = await storage.listDocs(`${CONFIG.EPISODES_COLLECTION}/${toId}/history`);
+
+  for (let i = 0; i < history.length; i += CONFIG.WRITE_CHUNK_SIZE) {
+    const batch = storage.batch();
+    for (const [docId, data] of history.slice(i, i + CONFIG.WRITE_CHUNK_SIZE)) {
+      // Episodes already recorded under the new id keep their document
+      if (!targetHistory.has(docId)) batch.set(`${CONFIG.EPISODES_COLLECTION}/${toId}/history`, docId, { ...data, animeId: toId });
+      batch.delete(`${CONFIG.EPISODES_COLLECTION}/${fromId}/history`, docId);
+    }
+    await batch.commit();
+  }
+
+  const moved = Boolean(source && !source.mergedInto);
+  if (moved) {
+    const mergedAt = new Date().toISOString();
+    const episodes = new Set([...(source.historyEpisodes || []), ...(target?.historyEpisodes || [])]);
+    const sorted = Array.from(episodes).sort((a, b) => a - b);
+    const batch = storage.batch();
+    // A target written before the merge has the newer episode — it wins
+    batch.set(CONFIG.EPISODES_COLLECTION, toId, {
+      ...source,
+      ...(target || {}),
+      animeId: toId,
+      historyEpisodes: sorted,
+      episodeCount: sorted.length,
+      firstEpisode: sorted[0] ?? null,
+      lastEpisode: sorted[sorted.length - 1] ?? null,
+      idAliases: Array.from(new Set([...(target?.idAliases || []), ...(source.idAliases || []), String(fromId)])),
+      mergedAt,
+    });
+    batch.set(CONFIG.EPISODES_COLLECTION, fromId, { animeId: toId, mergedInto: toId, mergedAt });
+    // The run that merged rewrites search/{toId} with the show's next write
+    batch.delete(SEARCH_COLLECTION, fromId);
+    await batch.commit();
+  }
+  return { moved, history: history.length };
+}
+
+/**
+ * idMap document a converted document is looked up by: its AniList id, or
+ * its MAL id for Jikan-fallback documents (which have no AniList id)
+ */
+function idMapKey(animeData) {
+  if (animeData.anilistId) return idMapDocId('anilist', animeData.anilistId);
+  return animeData.malId ? idMapDocId('mal', animeData.malId) : null;
+}
+
+/**
+ * Look up the idMap entries of the converted documents, merge shows that
+ * just got their MAL id and record ids seen for the first time.
+ * Sets `idAliases` on every document. Returns the merges that happened.
+ * Jikan-fallback documents only read their aliases: without an AniList id
+ * there is nothing to merge or record.
+ */
+async function resolveCanonicalIds(storage, animeDataList, { seenMap, metadataCache }) {
+  const groups = new Map();
+  for (const animeData of animeDataList) {
+    const docId = idMapKey(animeData);
+    if (!docId) {
+      animeData.idAliases = [];
+      continue;
+    }
+    if (!groups.has(docId)) groups.set(docId, []);
+    groups.get(docId).push(animeData);
+  }
+  const known = await storage.getDocs(ID_MAP_COLLECTION, Array.from(groups.keys()));
+  const updatedAt = new Date().toISOString();
+  const merges = [];
+  const idWrites = [];
+  let recorded = 0;
+
+  for (const [docId, group] of groups.entries()) {
+    const existing = known.get(docId);
+    const [animeData] = group;
+    const id = String(animeData.animeId);
+    let aliases = existing?.aliases || [];
+
+    if (!animeData.anilistId) {
+      group.forEach(doc => { doc.idAliases = aliases; });
+      continue;
+    }
+
+    if (existing && existing.canonicalId !== id && existing.canonicalId !== `al${animeData.anilistId}`) {
+      // AniList dropped the MAL id we keyed this show by — keep writing to the existing documents
+      console.log(`⚠️  ${animeData.title}: idMap says ${existing.canonicalId}, AniList now gives ${id} — not remapping`);
+      const canonical = /^\d+$/.test(existing.canonicalId) ? Number(existing.canonicalId) : existing.canonicalId;
+      group.forEach(doc => {
+        doc.animeId = canonical;
+        doc.idAliases = aliases;
+      });
+      continue;
+    }
+
+    if (existing && existing.canonicalId !== id) {
+      const fromId = existing.canonicalId;
+      console.log(`🔀 ${animeData.title}: ${fromId} → ${id} (MAL ID appeared) — merging documents...`);
+      const { moved, history } = await mergeShow(storage, fromId, animeData.animeId);
+      const keys = renameSeenKeys(seenMap, fromId, id);
+      metadataCache.delete(fromId);
+      aliases = Array.from(new Set([...aliases, fromId]));
+      console.log(`   ✅ ${moved ? 'Parent' : 'No parent'} + ${history} history doc(s) moved, ${keys} seen key(s) renamed`);
+      merges.push({ fromId, toId: id, title: animeData.title });
+    }
+
+    group.forEach(doc => { doc.idAliases = aliases; });
+    if (!existing || existing.canonicalId !== id || (animeData.malId || null) !== (existing.ids?.mal ?? null)) {
+      idWrites.push(...idMapEntries(animeData, aliases, updatedAt));
+      recorded++;
+    }
+  }
+
+  for (let i = 0; i < idWrites.length; i += CONFIG.WRITE_CHUNK_SIZE) {
+    const batch = storage.batch();
+    for (const { docId, data } of idWrites.slice(i, i + CONFIG.WRITE_CHUNK_SIZE)) {
+      batch.set(ID_MAP_COLLECTION, docId, data);
+    }
+    await batch.commit();
+  }
+  if (recorded > 0) {
+    console.log(`🆔 idMap: recorded ${recorded} show(s)${merges.length > 0 ? `, merged ${merges.length}` : ''}\n`);
+  }
+  return merges;
+}
+
+module.exports = {
+  ID_MAP_COLLECTION,
+  canonicalId,
+  idMapDocId,
+  parseSeenKey,
+  renameSeenKeys,
+  mergeShow,
+  resolveCanonicalIds,
+};
@@ -0,0 +1,94 @@
+/**
+ * Anime Hub Worker - lib/inspect.js
+ *
+ * Everything the worker knows about one show, for `cli.js inspect`:
+ *
+ *   idMap       the idMap entry the id resolves through (lib/ids.js)
+ *   document    episodes/{animeId} (merge stubs followed) or archive/{animeId}
+ *   history     its history documents, retracted ones included
+ *   search      search/{animeId} (lib/search.js)
+ *   seen        seen keys of the show and its aliases, "fcm:" keys included
+ *   cache       its metadata cache entry (lib/metadata_cache.js)
+ *
+ * Read-only: nothing is written, so it needs no run lock.
+ */
+
+const CONFIG = require('./config');
+const { ID_MAP_COLLECTION, idMapDocId, parseSeenKey } = require('./ids');
+const { SEARCH_COLLECTION } = require('./search');
+const { ARCHIVE_COLLECTION } = require('./lifecycle');
+
+// Merge stubs point to the canonical document; never follow a cycle
+const MAX_MERGE_HOPS = 5;
+
+/**
+ * Parse an inspect id: a MAL id ("59853") or an AniList id ("al171018").
+ * Returns { site, id } or null.
+ */
+function parseInspectId(value) {
+  const match = /^(al)?(\d+)$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  return { site: match[1] ? 'anilist' : 'mal', id: Number(match[2]) };
+}
+
+async function getDoc(storage, collection, docId) {
+  return (await storage.getDocs(collection, [String(docId)])).get(String(docId)) ?? null;
+}
+
+/**
+ * Collect the report for `query` ({ site, id } from parseInspectId).
+ * Returns null when no document, idMap entry or seen key knows the show.
+ */
+async function inspectShow(storage, query, { seenMap, metadataCache }) {
+  const idMap = await getDoc(storage, ID_MAP_COLLECTION, idMapDocId(query.site, query.id));
+  let animeId = idMap?.canonicalId ?? (query.site === 'anilist' ? `al${query.id}` : String(query.id));
+
+  // Follow merge stubs (lib/ids.js mergeShow) to the canonical document
+  const mergedFrom = [];
+  let document = await getDoc(storage, CONFIG.EPISODES_COLLECTION, animeId);
+  while (document?.mergedInto && mergedFrom.length < MAX_MERGE_HOPS) {
+    mergedFrom.push(animeId);
+    animeId = String(document.mergedInto);
+    document = await getDoc(storage, CONFIG.EPISODES_COLLECTION, animeId);
+  }
+
+  let collection = document ? CONFIG.EPISODES_COLLECTION : null;
+  if (!document) {
+    document = await getDoc(storage, ARCHIVE_COLLECTION, animeId);
+    if (document) collection = ARCHIVE_COLLECTION;
+  }
+
+  const history = collection ?
+    Array.from((await storage.listDocs(`${collection}/${animeId}/history`)).entries())
+      .map(([docId, entry]) => ({ ...entry, episode: Number(entry.episode ?? docId) }))
+      .sort((a, b) => a.episode - b.episode) :
+    [];
+
+  const ids = new Set([animeId, ...mergedFrom, ...(document?.idAliases || [])].map(String));
+  const seen = Array.from(seenMap.entries())
+    .filter(([key]) => ids.has(String(parseSeenKey(key)?.animeId)))
+    .map(([key, entry]) => ({ key, ...entry }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  const search = await getDoc(storage, SEARCH_COLLECTION, animeId);
+  const cache = metadataCache.get(animeId) ?? null;
+
+  if (!idMap && !document && !search && !cache && seen.length === 0) return null;
+  return {
+    query: `${query.site === 'anilist' ? 'al' : ''}${query.id}`,
+    animeId,
+    mergedFrom,
+    idMap,
+    collection,
+    document,
+    history,
+    search,
+    seen,
+    cache,
+  };
+}
+
+module.exports = {
+  parseInspectId,
+  inspectShow,
+};
@@ -0,0 +1,182 @@
+/**
+ * Anime Hub Worker - lib/journal.js
+ *
+ * Write-ahead journal for updateFirestore, kept in the storage sink next to
+ * the writes it describes (JOURNAL_DOC, default state/write_journal), so it
+ * survives a job that dies halfway through its writes.
+ *
+ * Before the first batch is sent every chunk is recorded with state
+ * "pending", and its planned writes go to {JOURNAL_DOC}/entries (one
+ * document per write, so no document gets near the 1 MiB limit). Each
+ * commit flips its chunk to "committed". A run that finishes removes the
+ * journal. A run that fails halfway leaves it with status "partial", and
+ * the next run replays only the chunks that never committed before doing
+ * new work.
+ *
+ *   {JOURNAL_DOC}           { runId, startedAt, status: "running" | "partial",
+ *                             chunks: [{ index, keys, state: "pending" | "committed" | "failed", error }] }
+ *   {JOURNAL_DOC}/entries   { chunk, position, entry }
+ *
+ * Entries are stored as JSON strings: a replay sees exactly what a file
+ * journal would have (undefined fields dropped), and Firestore never
+ * rejects a nested array.
+ */
+
+const CONFIG = require('./config');
+
+/**
+ * "{animeId}_ep{n}" per episode, "refresh:{animeId}" / "{correction}:{animeId}_ep{n}" otherwise
+ */
+function entryLabels(entry) {
+  if (entry.correction) return [`${entry.correction.type}:${entry.key}`];
+  if (entry.episodes) return entry.episodes.map(({ key }) => key);
+  return [entry.key || `refresh:${entry.animeData.animeId}`];
+}
+
+function entryDocId(chunk, position) {
+  return `${chunk}_${position}`;
+}
+
+/**
+ * Write `ops` (functions taking a batch) in batches of BATCH_OP_LIMIT
+ */
+async function commitOps(storage, ops) {
+  for (let i = 0; i < ops.length; i += CONFIG.BATCH_OP_LIMIT) {
+    const batch = storage.batch();
+    ops.slice(i, i + CONFIG.BATCH_OP_LIMIT).forEach(op => op(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Create the journal for one run. With `enabled: false` (read-only sinks) every call is a no-op.
+ */
+function createWriteJournal(storage, { doc = CONFIG.JOURNAL_DOC, runId, enabled = true } = {}) {
+  const [collection, docId] = [doc.slice(0, doc.lastIndexOf('/')), doc.slice(doc.lastIndexOf('/') + 1)];
+  const entriesCollection = `${doc}/entries`;
+  let current = null;
+
+  // The header without the entries, which live in their own documents
+  function header() {
+    return { ...current, chunks: current.chunks.map(({ entries, ...chunk }) => chunk) };
+  }
+
+  async function saveHeader() {
+    if (!enabled || !current) return;
+    const batch = storage.batch();
+    batch.set(collection, docId, header());
+    await batch.commit();
+  }
+
+  async function remove(entryIds) {
+    await commitOps(storage, [
+      ...entryIds.map(id => batch => batch.delete(entriesCollection, id)),
+      batch => batch.delete(collection, docId),
+    ]);
+  }
+
+  return {
+    where: doc,
+
+    /**
+     * The journal a previous run left behind, if it still has uncommitted chunks
+     */
+    async loadPending() {
+      if (!enabled) return null;
+      const previous = (await storage.getDocs(collection, [docId])).get(docId);
+      if (!previous) return null;
+
+      const stored = await storage.listDocs(entriesCollection);
+      const uncommitted = (previous.chunks || []).filter(chunk => chunk.state !== 'committed');
+      if (uncommitted.length === 0) {
+        await remove(Array.from(stored.keys()));
+        return null;
+      }
+
+      const entries = new Map();
+      for (const { chunk, position, entry } of stored.values()) {
+        if (!entries.has(chunk)) entries.set(chunk, []);
+        entries.get(chunk)[position] = JSON.parse(entry);
+      }
+      console.log(`📓 ${doc}: run ${previous.runId} left ${uncommitted.length}/${previous.chunks.length} batch(es) uncommitted`);
+      return {
+        ...previous,
+        chunks: previous.chunks.map(chunk => ({ ...chunk, entries: (entries.get(chunk.index) || []).filter(Boolean) })),
+      };
+    },
+
+    /**
+     * Continue a previous run's journal (replay)
+     */
+    async resume(previous) {
+      current = { ...previous, status: 'running', resumedBy: runId };
+      await saveHeader();
+    },
+
+    /**
+     * Record every chunk's intent before the first commit
+     */
+    async begin(chunks) {
+      current = {
+        runId,
+        startedAt: new Date().toISOString(),
+        status: 'running',
+        chunks: chunks.map((entries, index) => ({
+          index,
+          keys: entries.flatMap(entryLabels),
+          state: 'pending',
+          error: null,
+          entries,
+        })),
+      };
+      if (!enabled) return;
+      // Entries first: a header always finds its entries
+      await commitOps(storage, current.chunks.flatMap(chunk => chunk.entries.map((entry, position) =>
+        batch => batch.set(entriesCollection, entryDocId(chunk.index, position), { chunk: chunk.index, position, entry: JSON.stringify(entry) }))));
+      await saveHeader();
+    },
+
+    chunks() {
+      return current ? current.chunks : [];
+    },
+
+    async markCommitted(index) {
+      const chunk = current.chunks[index];
+      chunk.state = 'committed';
+      chunk.error = null;
+      chunk.committedAt = new Date().toISOString();
+      await saveHeader();
+    },
+
+    async markFailed(index, error) {
+      const chunk = current.chunks[index];
+      chunk.state = 'failed';
+      chunk.error = error.message;
+      await saveHeader();
+    },
+
+    /**
+     * Remove the journal when everything committed, otherwise mark the run partial.
+     * Returns the number of uncommitted chunks.
+     */
+    async finish() {
+      if (!current) return 0;
+      const uncommitted = current.chunks.filter(chunk => chunk.state !== 'committed').length;
+      if (uncommitted === 0) {
+        // Listed rather than derived from the positions: a replayed chunk's entries
+        // lost the positions of entry documents that were missing
+        if (enabled) await remove(Array.from((await storage.listDocs(entriesCollection)).keys()));
+      } else {
+        current.status = 'partial';
+        await saveHeader();
+        console.error(`📓 ${uncommitted} uncommitted batch(es) kept in ${doc} for the next run`);
+      }
+      current = null;
+      return uncommitted;
+    },
+  };
+}
+
+module.exports = {
+  createWriteJournal,
+};
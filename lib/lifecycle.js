@@ -0,0 +1,267 @@
+/**
+ * Anime Hub Worker - lib/lifecycle.js
+ *
+ * Show lifecycle. Every converted document carries the AniList status
+ * (`anilistStatus`), a display `status` and a `lifecycle`:
+ *
+ *   airing   RELEASING / NOT_YET_RELEASED      status "Currently Airing" / "Not Yet Aired"
+ *   hiatus   HIATUS                            status "On Hiatus"
+ *   ended    FINISHED / CANCELLED              status "Finished Airing" / "Cancelled"
+ *   stale    still RELEASING, but nothing aired for LIFECYCLE_STALE_WEEKS
+ *            and no airing scheduled in the next UPCOMING_DAYS       "Not Currently Airing"
+ *
+ * fetch.js only sees shows in the recent schedule, so the daily lifecycle
+ * pass (lifecycle.js) lists `episodes`, asks AniList for every show that
+ * isn't archived yet and writes the transitions:
+ *
+ *   { status, anilistStatus, lifecycle, lifecycleSince, endDate, lifecycleCheckedAt }
+ *
+ * `endDate` comes from AniList, or the last aired episode when AniList has
+ * none. Ended shows move to archive/{animeId} (with their history) once
+ * they have been ended for LIFECYCLE_GRACE_DAYS; stale and hiatus shows
+ * stay, since they may resume. Transitions go to LIFECYCLE_REPORT_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const { formatTimestamp, formatFuzzyDate } = require('./utils');
+const { SEARCH_COLLECTION } = require('./search');
+
+const ARCHIVE_COLLECTION = 'archive';
+
+const LIFECYCLES = {
+  AIRING: 'airing',
+  HIATUS: 'hiatus',
+  ENDED: 'ended',
+  STALE: 'stale',
+};
+
+const STATUS_LABELS = {
+  RELEASING: 'Currently Airing',
+  NOT_YET_RELEASED: 'Not Yet Aired',
+  HIATUS: 'On Hiatus',
+  FINISHED: 'Finished Airing',
+  CANCELLED: 'Cancelled',
+};
+const STALE_LABEL = 'Not Currently Airing';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// ============================================
+// STATUS
+// ============================================
+
+/**
+ * Display status of an AniList status (unknown ones count as airing)
+ */
+function statusLabel(anilistStatus) {
+  return STATUS_LABELS[anilistStatus] || STATUS_LABELS.RELEASING;
+}
+
+/**
+ * Lifecycle of an AniList status, before the staleness check
+ */
+function lifecycleOf(anilistStatus) {
+  switch (anilistStatus) {
+    case 'FINISHED':
+    case 'CANCELLED':
+      return LIFECYCLES.ENDED;
+    case 'HIATUS':
+      return LIFECYCLES.HIATUS;
+    default:
+      return LIFECYCLES.AIRING;
+  }
+}
+
+/**
+ * The lifecycle fields a show should have now, from its parent document
+ * and its AniList media ({ status, endDate, nextAiringEpisode })
+ */
+function currentLifecycle(doc, media, now = Date.now() / 1000) {
+  let lifecycle = lifecycleOf(media.status);
+  let status = statusLabel(media.status);
+
+  if (lifecycle === LIFECYCLES.AIRING) {
+    const quietSince = now - CONFIG.LIFECYCLE_STALE_WEEKS * 7 * DAY_SECONDS;
+    const nextAiring = media.nextAiringEpisode?.airingAt;
+    const resumesSoon = nextAiring && nextAiring <= now + CONFIG.UPCOMING_DAYS * DAY_SECONDS;
+    if (doc.episodeAiredAt && doc.episodeAiredAt < quietSince && !resumesSoon) {
+      lifecycle = LIFECYCLES.STALE;
+      status = STALE_LABEL;
+    }
+  }
+
+  const endDate = lifecycle === LIFECYCLES.ENDED ?
+    formatFuzzyDate(media.endDate) || (doc.episodeAiredAt ? formatTimestamp(doc.episodeAiredAt).substring(0, 10) : null) :
+    formatFuzzyDate(media.endDate);
+
+  return { lifecycle, status, anilistStatus: media.status || null, endDate };
+}
+
+/**
+ * currentLifecycle plus `lifecycleSince`, which starts the grace period: it
+ * is kept while the lifecycle stays and cleared while the show airs.
+ * fetch.js also clears it with every new episode, so a show that aired
+ * again counts from scratch.
+ */
+function lifecycleFields(doc, media, now = Date.now() / 1000) {
+  const next = currentLifecycle(doc, media, now);
+  const from = doc.lifecycle || LIFECYCLES.AIRING;
+  const since = next.lifecycle === from && doc.lifecycleSince ? doc.lifecycleSince : new Date(now * 1000).toISOString();
+  return { ...next, lifecycleSince: next.lifecycle === LIFECYCLES.AIRING ? null : since };
+}
+
+/**
+ * The transition of one show, or null when its document is up to date
+ */
+function planTransition(doc, media, now = Date.now() / 1000) {
+  const fields = lifecycleFields(doc, media, now);
+  const from = doc.lifecycle || LIFECYCLES.AIRING;
+  const needsSince = fields.lifecycle !== LIFECYCLES.AIRING && !doc.lifecycleSince;
+  const changed = fields.lifecycle !== from || fields.status !== doc.status ||
+    fields.anilistStatus !== (doc.anilistStatus ?? null) || fields.endDate !== (doc.endDate ?? null);
+  if (!changed && !needsSince) return null;
+
+  return {
+    animeId: doc.animeId,
+    title: doc.title,
+    from,
+    to: fields.lifecycle,
+    fields,
+  };
+}
+
+/**
+ * Ended for longer than LIFECYCLE_GRACE_DAYS
+ */
+function isDueForArchive(doc, now = Date.now() / 1000) {
+  if (doc.lifecycle !== LIFECYCLES.ENDED || !doc.lifecycleSince) return false;
+  return Date.parse(doc.lifecycleSince) / 1000 <= now - CONFIG.LIFECYCLE_GRACE_DAYS * DAY_SECONDS;
+}
+
+// ============================================
+// ARCHIVE
+// ============================================
+
+/**
+ * Commit one batch, unless the run lock expired or was taken over — the
+ * pass must not write under the run that holds it now
+ */
+async function commitWhileHeld(batch, lock) {
+  if (lock && !lock.isHeld()) throw new Error('Lost the run lock — aborting the lifecycle pass');
+  await batch.commit();
+}
+
+/**
+ * Move episodes/{animeId} and its history to archive/{animeId}.
+ * History moves first and the parent last, so an interrupted move is
+ * finished by the next pass.
+ */
+async function archiveShow(storage, animeId, doc, archivedAt, lock = null) {
+  const history = Array.from((await storage.listDocs(`${CONFIG.EPISODES_COLLECTION}/${animeId}/history`)).entries());
+  for (let i = 0; i < history.length; i += CONFIG.WRITE_CHUNK_SIZE) {
+    const batch = storage.batch();
+    for (const [docId, data] of history.slice(i, i + CONFIG.WRITE_CHUNK_SIZE)) {
+      batch.set(`${ARCHIVE_COLLECTION}/${animeId}/history`, docId, data);
+      batch.delete(`${CONFIG.EPISODES_COLLECTION}/${animeId}/history`, docId);
+    }
+    await commitWhileHeld(batch, lock);
+  }
+
+  const batch = storage.batch();
+  batch.set(ARCHIVE_COLLECTION, animeId, { ...doc, archivedAt });
+  batch.delete(CONFIG.EPISODES_COLLECTION, animeId);
+  // Search results keep the show, flagged so the app opens the archive
+  batch.set(SEARCH_COLLECTION, animeId, { archived: true, archivedAt }, { merge: true });
+  await commitWhileHeld(batch, lock);
+  return history.length;
+}
+
+// ============================================
+// PASS
+// ============================================
+
+/**
+ * Check every show in `episodes` against AniList, write the transitions
+ * and archive ended shows past the grace period. `fetchStatuses` takes
+ * AniList IDs and returns a Map(id → media). Every batch checks `lock`
+ * (lib/lock.js) first. Returns the report.
+ */
+async function runLifecyclePass(storage, fetchStatuses, { runId, lock = null }) {
+  const now = Date.now() / 1000;
+  const checkedAt = new Date(now * 1000).toISOString();
+  const docs = Array.from((await storage.listDocs(CONFIG.EPISODES_COLLECTION)).entries())
+    // Merge stubs (lib/ids.js) only point to another document
+    .filter(([, doc]) => !doc.mergedInto);
+  console.log(`📚 ${docs.length} show(s) in episodes\n`);
+
+  const anilistIds = Array.from(new Set(docs.map(([, doc]) => doc.anilistId).filter(Boolean)));
+  const statuses = await fetchStatuses(anilistIds);
+
+  const transitions = [];
+  const unknown = [];
+  const toArchive = [];
+  for (const [docId, doc] of docs) {
+    const media = doc.anilistId ? statuses.get(doc.anilistId) : null;
+    if (!media) {
+      unknown.push({ animeId: docId, title: doc.title || null });
+      continue;
+    }
+    const transition = planTransition({ ...doc, animeId: doc.animeId ?? docId }, media, now);
+    const current = transition ? { ...doc, ...transition.fields } : doc;
+    if (transition) {
+      transitions.push(transition);
+      console.log(`   🔁 ${doc.title}: ${transition.from} → ${transition.to} (${transition.fields.status}${transition.fields.endDate ? `, ended ${transition.fields.endDate}` : ''})`);
+    }
+    if (isDueForArchive(current, now)) toArchive.push([docId, current]);
+  }
+
+  for (let i = 0; i < transitions.length; i += CONFIG.WRITE_CHUNK_SIZE) {
+    const batch = storage.batch();
+    for (const { animeId, fields } of transitions.slice(i, i + CONFIG.WRITE_CHUNK_SIZE)) {
+      batch.set(CONFIG.EPISODES_COLLECTION, animeId, { ...fields, lifecycleCheckedAt: checkedAt }, { merge: true });
+    }
+    await commitWhileHeld(batch, lock);
+  }
+
+  const archived = [];
+  for (const [docId, doc] of toArchive) {
+    const history = await archiveShow(storage, docId, doc, checkedAt, lock);
+    console.log(`   📦 Archived ${doc.title} (ended ${doc.endDate || 'unknown'}, ${history} history doc(s))`);
+    archived.push({ animeId: docId, title: doc.title, endDate: doc.endDate ?? null, history });
+  }
+
+  return {
+    runId,
+    generatedAt: checkedAt,
+    checked: docs.length - unknown.length,
+    transitions: transitions.map(({ animeId, title, from, to, fields }) => ({ animeId, title, from, to, ...fields })),
+    archived,
+    unknown,
+  };
+}
+
+/**
+ * Write the pass report. A failure here must never fail the pass.
+ */
+function writeLifecycleReport(report, file = CONFIG.LIFECYCLE_REPORT_FILE) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`📝 Lifecycle report written to ${file}`);
+  } catch (error) {
+    console.error(`⚠️  Failed to write lifecycle report: ${error.message}`);
+  }
+}
+
+module.exports = {
+  ARCHIVE_COLLECTION,
+  LIFECYCLES,
+  statusLabel,
+  lifecycleOf,
+  lifecycleFields,
+  planTransition,
+  runLifecyclePass,
+  writeLifecycleReport,
+};
@@ -0,0 +1,204 @@
+/**
+ * Anime Hub Worker - lib/lock.js
+ *
+ * Lease-based run lock, so overlapping fetch / cleanup / backfill runs
+ * (all triggered externally) don't race on the seen store and
+ * Firestore writes.
+ *
+ * The lease lives in locks/{name}:
+ *   { owner, runId, host, acquiredAt, heartbeatAt, expiresAt, expiresAtMs, takenOverFrom }
+ *
+ *   firestore / emulator   Firestore document, changed only inside transactions
+ *   json                   {STORAGE_DIR}/locks/{name}.json, guarded by an
+ *                          exclusive-create mutex file
+ *   dry-run                no lock (nothing is written)
+ *
+ * The holder renews the lease every LOCK_TTL_MS / 3. A lease whose expiry
+ * has passed belongs to a crashed run and is taken over (recorded in
+ * `takenOverFrom`). Writers check `isHeld()` before every commit: once
+ * another run took the lease over, or renewals failed until it expired,
+ * the holder must stop writing.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('./config');
+const { delay } = require('./utils');
+
+// A mutex file older than this was left by a crashed process
+const MUTEX_STALE_MS = 30000;
+const MUTEX_ATTEMPTS = 50;
+
+// ============================================
+// BACKENDS
+// ============================================
+
+/**
+ * Each backend exposes update(mutator): atomically read the lease, call
+ * mutator(current) and store its result (null = delete, undefined = keep).
+ */
+function firestoreBackend(db, name) {
+  const ref = db.collection('locks').doc(name);
+  return {
+    where: `locks/${name}`,
+    update(mutator) {
+      return db.runTransaction(async tx => {
+        const snap = await tx.get(ref);
+        const { next, result } = mutator(snap.exists ? snap.data() : null);
+        if (next === null) tx.delete(ref);
+        else if (next !== undefined) tx.set(ref, next);
+        return result;
+      });
+    },
+  };
+}
+
+function fileBackend(dir, name) {
+  const file = path.join(dir, 'locks', `${name}.json`);
+  const mutex = `${file}.mutex`;
+
+  async function withMutex(fn) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    for (let attempt = 1; ; attempt++) {
+      try {
+        fs.closeSync(fs.openSync(mutex, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const age = Date.now() - fs.statSync(mutex, { throwIfNoEntry: false })?.mtimeMs;
+        if (age > MUTEX_STALE_MS) fs.rmSync(mutex, { force: true });
+        if (attempt >= MUTEX_ATTEMPTS) throw new Error(`Could not acquire ${mutex}`);
+        await delay(100);
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(mutex, { force: true });
+    }
+  }
+
+  return {
+    where: file,
+    update(mutator) {
+      return withMutex(() => {
+        const current = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+        const { next, result } = mutator(current);
+        if (next === null) fs.rmSync(file, { force: true });
+        else if (next !== undefined) fs.writeFileSync(file, JSON.stringify(next, null, 2), 'utf8');
+        return result;
+      });
+    },
+  };
+}
+
+function lockBackend(storage, name) {
+  if (storage.db) return firestoreBackend(storage.db, name);
+  if (storage.dir && !storage.readOnly) return fileBackend(storage.dir, name);
+  return null;
+}
+
+// ============================================
+// LOCK
+// ============================================
+
+/**
+ * Try to acquire the `name` lease. Resolves with a handle
+ * ({ owner, isHeld(), release() }) or null when another live run holds it.
+ */
+async function acquireLock(storage, name, { runId, ttlMs = CONFIG.LOCK_TTL_MS } = {}) {
+  const backend = lockBackend(storage, name);
+  if (!backend) {
+    console.log(`🔓 Storage sink "${storage.name}" — running without the ${name} lock`);
+    return { owner: null, isHeld: () => true, release: async () => {} };
+  }
+
+  const owner = `${os.hostname()}:${process.pid}:${runId}`;
+  const lease = (now, extra = {}) => ({
+    owner,
+    runId,
+    host: os.hostname(),
+    heartbeatAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+    expiresAtMs: now + ttlMs,
+    ...extra,
+  });
+
+  const outcome = await backend.update(current => {
+    const now = Date.now();
+    if (current && current.owner !== owner && current.expiresAtMs > now) {
+      return { next: undefined, result: { acquired: false, holder: current } };
+    }
+    const takenOverFrom = current ? { owner: current.owner, expiresAt: current.expiresAt } : null;
+    const next = lease(now, { acquiredAt: new Date(now).toISOString(), takenOverFrom });
+    return { next, result: { acquired: true, takenOverFrom, expiresAtMs: next.expiresAtMs } };
+  });
+
+  if (!outcome.acquired) {
+    const { holder } = outcome;
+    console.log(`🔒 ${backend.where} is held by ${holder.owner} (heartbeat ${holder.heartbeatAt}, expires ${holder.expiresAt})`);
+    return null;
+  }
+  if (outcome.takenOverFrom) {
+    console.log(`🔓 Took over stale lease of ${outcome.takenOverFrom.owner} (expired ${outcome.takenOverFrom.expiresAt})`);
+  }
+  console.log(`🔒 Acquired ${backend.where} as ${owner} (lease ${Math.round(ttlMs / 1000)}s)`);
+
+  // A lost lease stays lost: once it expired, another run may already have taken it over
+  let lost = false;
+  let { expiresAtMs } = outcome;
+  const markLost = reason => {
+    if (lost) return;
+    lost = true;
+    clearInterval(heartbeat);
+    console.error(`⚠️  Lost ${backend.where} — ${reason}`);
+  };
+
+  const heartbeat = setInterval(async () => {
+    if (Date.now() >= expiresAtMs) return markLost('it expired before a renewal');
+    try {
+      const renewed = await backend.update(current => {
+        if (!current || current.owner !== owner || current.expiresAtMs <= Date.now()) return { next: undefined, result: null };
+        const next = { ...current, ...lease(Date.now(), { acquiredAt: current.acquiredAt }) };
+        return { next, result: next.expiresAtMs };
+      });
+      if (lost) return;
+      if (renewed) expiresAtMs = renewed;
+      else markLost('another run took it over, or it expired');
+    } catch (error) {
+      console.error(`⚠️  Lease heartbeat failed: ${error.message}`);
+    }
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+  heartbeat.unref();
+
+  return {
+    owner,
+
+    /**
+     * False once the lease was taken over or expired without a renewal
+     */
+    isHeld() {
+      if (Date.now() >= expiresAtMs) markLost('it expired before a renewal');
+      return !lost;
+    },
+
+    async release() {
+      clearInterval(heartbeat);
+      try {
+        await backend.update(current => (
+          current && current.owner === owner ?
+            { next: null, result: true } :
+            { next: undefined, result: false }
+        ));
+        console.log(`🔓 Released ${backend.where}`);
+      } catch (error) {
+        console.error(`⚠️  Failed to release ${backend.where}: ${error.message} (expires on its own)`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  acquireLock,
+};
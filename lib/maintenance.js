@@ -0,0 +1,177 @@
+/**
+ * Anime Hub Worker - lib/maintenance.js
+ *
+ * Seen store maintenance, driven by cleanup_seen.js:
+ *
+ *   trim      drop entries older than RECENCY_DAYS (what every save does)
+ *   verify    compare seen keys with the history documents in storage
+ *   rebuild   regenerate the seen store from storage after loss or corruption
+ *   forget    remove a show's (or one episode's) keys so the next fetch rewrites it
+ *
+ * "Storage" is what the sink holds: episodes/{animeId}/history/{episode}
+ * for every show whose latest episode aired inside RECENCY_DAYS, plus every
+ * show the seen store mentions. Retracted history documents
+ * (lib/corrections.js) have no seen key and are ignored.
+ *
+ * Every operation only computes; saving is up to the caller, so each has a
+ * dry run for free.
+ */
+
+const CONFIG = require('./config');
+const { seenEntry, hashEpisode, trimEntries } = require('./seen_store');
+const { parseSeenKey } = require('./ids');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+function recencyCutoff() {
+  return Date.now() / 1000 - CONFIG.RECENCY_DAYS * DAY_SECONDS;
+}
+
+/**
+ * Episode keys of the seen map ("fcm:" notification keys left out)
+ */
+function episodeKeys(seenMap) {
+  return Array.from(seenMap.keys()).filter(key => !key.startsWith('fcm:') && parseSeenKey(key));
+}
+
+// ============================================
+// STORAGE SCAN
+// ============================================
+
+/**
+ * Map(seen key → { animeId, episode, airedAt, scheduleId, recordedAt, docAnimeId, title })
+ * of the history documents in storage, for recent shows and `extraIds`
+ */
+async function scanStorage(storage, extraIds = []) {
+  const cutoff = recencyCutoff();
+  const parents = await storage.listDocs(CONFIG.EPISODES_COLLECTION);
+  const ids = new Set(extraIds.map(String));
+  for (const [id, doc] of parents.entries()) {
+    if (!doc.mergedInto && (doc.episodeAiredAt ?? 0) >= cutoff) ids.add(id);
+  }
+
+  const episodes = new Map();
+  for (const id of ids) {
+    const parent = parents.get(id);
+    if (!parent || parent.mergedInto) continue;
+    const history = await storage.listDocs(`${CONFIG.EPISODES_COLLECTION}/${id}/history`);
+    for (const [docId, entry] of history.entries()) {
+      if (entry.retracted) continue;
+      const episode = Number(entry.episode ?? docId);
+      episodes.set(`${id}_ep${episode}`, {
+        animeId: id,
+        episode,
+        airedAt: entry.airedAt,
+        scheduleId: entry.scheduleId ?? null,
+        recordedAt: entry.recordedAt ?? null,
+        docAnimeId: parent.animeId ?? id,
+        title: parent.title ?? null,
+      });
+    }
+  }
+  console.log(`🔎 Scanned ${ids.size} show(s) in ${storage.name} — ${episodes.size} history document(s)`);
+  return episodes;
+}
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+/**
+ * { kept, removed } — the map without entries older than RECENCY_DAYS
+ */
+function trim(seenMap) {
+  return trimEntries(seenMap);
+}
+
+/**
+ * Drift between the seen map and storage, both ways:
+ *   missingInStorage   seen keys without a history document (never rewritten)
+ *   missingInSeen      recent history documents without a seen key (rewritten and re-announced)
+ *   mismatched         both exist, but the airing time differs
+ */
+async function verify(storage, seenMap) {
+  const keys = episodeKeys(seenMap);
+  const stored = await scanStorage(storage, keys.map(key => parseSeenKey(key).animeId));
+  const cutoff = recencyCutoff();
+
+  const missingInStorage = keys.filter(key => !stored.has(key));
+  const missingInSeen = Array.from(stored.entries())
+    .filter(([key, episode]) => episode.airedAt >= cutoff && !seenMap.has(key))
+    .map(([key]) => key);
+  const mismatched = keys
+    .filter(key => stored.has(key) && stored.get(key).airedAt !== seenMap.get(key).airingAt)
+    .map(key => ({ key, seenAiringAt: seenMap.get(key).airingAt, storedAiredAt: stored.get(key).airedAt }));
+
+  return {
+    missingInStorage,
+    missingInSeen,
+    mismatched,
+    consistent: missingInStorage.length === 0 && missingInSeen.length === 0 && mismatched.length === 0,
+  };
+}
+
+/**
+ * A seen map regenerated from storage. Existing "fcm:" keys are kept and
+ * every rebuilt episode without one gets it: it was written before, so it
+ * must not be announced again. Returns { map, added, removed, changed,
+ * notified } — episode keys relative to `seenMap`, and the "fcm:" keys added.
+ */
+async function rebuild(storage, seenMap) {
+  const stored = await scanStorage(storage, episodeKeys(seenMap).map(key => parseSeenKey(key).animeId));
+  const cutoff = recencyCutoff();
+  const map = new Map(Array.from(seenMap.entries()).filter(([key]) => key.startsWith('fcm:')));
+  const notified = [];
+
+  for (const [key, episode] of stored.entries()) {
+    if (episode.airedAt < cutoff) continue;
+    const hash = hashEpisode({
+      animeId: episode.docAnimeId,
+      latestEpisode: episode.episode,
+      episodeAiredAt: episode.airedAt,
+      scheduleId: episode.scheduleId,
+      title: episode.title,
+    });
+    const entry = seenEntry(episode.airedAt, { docId: `${CONFIG.EPISODES_COLLECTION}/${episode.animeId}`, hash, scheduleId: episode.scheduleId });
+    map.set(key, { ...entry, writtenAt: episode.recordedAt ?? entry.writtenAt });
+    if (!map.has(`fcm:${key}`)) {
+      map.set(`fcm:${key}`, seenEntry(episode.airedAt, { docId: `${CONFIG.EPISODES_COLLECTION}/${episode.animeId}` }));
+      notified.push(`fcm:${key}`);
+    }
+  }
+
+  const rebuilt = episodeKeys(map);
+  const added = rebuilt.filter(key => !seenMap.has(key));
+  const removed = episodeKeys(seenMap).filter(key => !map.has(key));
+  const changed = rebuilt.filter(key => {
+    const previous = seenMap.get(key);
+    const entry = map.get(key);
+    return previous && (previous.airingAt !== entry.airingAt || (previous.scheduleId ?? null) !== entry.scheduleId);
+  });
+  return { map, added, removed, changed, notified };
+}
+
+/**
+ * Remove the seen keys of one show (or one of its episodes) from seenMap.
+ * "fcm:" keys stay, so the rewrite is not announced again.
+ * Returns the removed keys.
+ */
+function forget(seenMap, animeId, episode = null) {
+  const removed = [];
+  for (const key of episodeKeys(seenMap)) {
+    const parsed = parseSeenKey(key);
+    if (String(parsed.animeId) !== String(animeId)) continue;
+    if (episode !== null && parsed.episode !== episode) continue;
+    seenMap.delete(key);
+    removed.push(key);
+  }
+  return removed;
+}
+
+module.exports = {
+  scanStorage,
+  trim,
+  verify,
+  rebuild,
+  forget,
+};
@@ -0,0 +1,164 @@
+/**
+ * Anime Hub Worker - lib/metadata_cache.js
+ *
+ * Local metadata cache (metadata_cache.json, kept in the workflows'
+ * Actions cache rather than committed) so unchanged shows don't rewrite
+ * their whole ~60-field document on every new episode. A missing file
+ * only costs full writes.
+ *
+ *   "{animeId}": { anilistUpdatedAt, hash, writtenAt }
+ *
+ * `hash` covers the stable metadata fields — everything except the
+ * per-episode fields and the volatile counters (scores, popularity, ...).
+ * A show gets a full write when it is missing from the cache, when AniList's
+ * updatedAt or the hash changed, or when its last full write is older than
+ * METADATA_MAX_AGE_DAYS (which keeps the counters reasonably fresh).
+ * Otherwise only the episode fields are written.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const CONFIG = require('./config');
+
+// Fields that change with every episode — always written with a new episode
+const EPISODE_FIELDS = [
+  'animeId',
+  'latestEpisode',
+  'latestEpisodeTitle',
+  'episodeAiredDate',
+  'episodeAiredAt',
+  'previousAiredAt',
+  'lifecycle',
+  'lifecycleSince',
+  'episodeAddedAt',
+  'lastUpdated',
+  'scheduleId',
+  'nextEpisode',
+  'nextEpisodeAiringAt',
+  'timeUntilNextEpisode',
+];
+
+// The AniList status behind `lifecycle` — written with it, so an episode-only
+// write never pairs a new lifecycle with a stale status (still hashed, so a
+// status change alone triggers a metadata refresh)
+const STATUS_FIELDS = ['status', 'anilistStatus'];
+const LIFECYCLE_FIELDS = ['lifecycle', 'lifecycleSince'];
+
+// Fields that drift constantly and are left out of the hash
+const VOLATILE_FIELDS = [
+  'rating',
+  'averageScore',
+  'meanScore',
+  'popularity',
+  'trending',
+  'favourites',
+  'rankings',
+  'scoreDistribution',
+  'statusDistribution',
+  'anilistUpdatedAt',
+  'provenance',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadMetadataCache(file = CONFIG.METADATA_CACHE_FILE) {
+  try {
+    if (!fs.existsSync(file)) {
+      console.log(`📂 ${file} not found — every show gets a full write`);
+      return new Map();
+    }
+    const map = new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))));
+    console.log(`📂 Loaded metadata cache for ${map.size} show(s) from ${file}`);
+    return map;
+  } catch (e) {
+    console.error(`⚠️  Failed to load ${file}: ${e.message} — starting fresh`);
+    return new Map();
+  }
+}
+
+/**
+ * Save the cache, dropping shows not fully written for METADATA_CACHE_TTL_DAYS
+ */
+function saveMetadataCache(cache, file = CONFIG.METADATA_CACHE_FILE) {
+  const cutoff = Date.now() - CONFIG.METADATA_CACHE_TTL_DAYS * DAY_MS;
+  const kept = {};
+  let removed = 0;
+  for (const [id, entry] of cache.entries()) {
+    if (Date.parse(entry.writtenAt) >= cutoff) {
+      kept[id] = entry;
+    } else {
+      removed++;
+    }
+  }
+  fs.writeFileSync(file, JSON.stringify(kept, null, 2), 'utf8');
+  console.log(`💾 Saved metadata cache for ${Object.keys(kept).length} show(s) (removed ${removed} expired)`);
+}
+
+/**
+ * Hash of the stable metadata fields of a converted document
+ */
+function hashMetadata(animeData) {
+  const stable = {};
+  for (const [field, value] of Object.entries(animeData)) {
+    if (EPISODE_FIELDS.includes(field) || VOLATILE_FIELDS.includes(field) || field.startsWith('mal')) continue;
+    stable[field] = value;
+  }
+  return crypto.createHash('sha1').update(JSON.stringify(stable)).digest('hex').substring(0, 16);
+}
+
+/**
+ * 'missing' | 'changed' | 'stale' | 'fresh'
+ */
+function metadataStatus(cache, animeData) {
+  const entry = cache.get(String(animeData.animeId));
+  if (!entry) return 'missing';
+  if (entry.anilistUpdatedAt !== animeData.anilistUpdatedAt || entry.hash !== hashMetadata(animeData)) {
+    return 'changed';
+  }
+  if (Date.now() - Date.parse(entry.writtenAt) > CONFIG.METADATA_MAX_AGE_DAYS * DAY_MS) return 'stale';
+  return 'fresh';
+}
+
+function cacheEntry(animeData) {
+  return {
+    anilistUpdatedAt: animeData.anilistUpdatedAt,
+    hash: hashMetadata(animeData),
+    writtenAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Subset of a converted document written when only the episode changed.
+ * MAL fields from Jikan enrichment are fetched per new episode, so they ride along.
+ */
+function pickEpisodeFields(animeData) {
+  const fields = {};
+  for (const [field, value] of Object.entries(animeData)) {
+    if (EPISODE_FIELDS.includes(field) || STATUS_FIELDS.includes(field) || field.startsWith('mal')) fields[field] = value;
+  }
+  if (animeData.provenance?.jikanFetchedAt) fields.provenance = animeData.provenance;
+  return fields;
+}
+
+/**
+ * Converted document minus the episode fields — for refreshing a show
+ * whose metadata changed without a new episode. The lifecycle stays with
+ * the status it belongs to.
+ */
+function pickMetadataFields(animeData) {
+  const fields = {};
+  for (const [field, value] of Object.entries(animeData)) {
+    if (field === 'animeId' || LIFECYCLE_FIELDS.includes(field) || !EPISODE_FIELDS.includes(field)) fields[field] = value;
+  }
+  return fields;
+}
+
+module.exports = {
+  loadMetadataCache,
+  saveMetadataCache,
+  hashMetadata,
+  metadataStatus,
+  cacheEntry,
+  pickEpisodeFields,
+  pickMetadataFields,
+};
@@ -0,0 +1,189 @@
+/**
+ * Anime Hub Worker - lib/notifications.js
+ *
+ * Firebase Cloud Messaging push notifications for newly written episodes.
+ * One message per show and drop ("Episode 4 is out now" or "3 new episodes
+ * are out now (Episodes 1–3)") goes to these topics:
+ *
+ *   anime_{animeId}   users following that show (FCM_TOPIC_PREFIX)
+ *   anime_{alias}     users who followed it under an older id (idAliases, lib/ids.js)
+ *   new_episodes      everyone (FCM_GLOBAL_TOPIC)
+ *
+ * Title/body are sent as localization keys (Android titleLocKey/bodyLocKey,
+ * APNs title-loc-key/loc-key) so the apps render them in the user's
+ * language; the English `notification` block is the fallback. `data`
+ * carries the deep link.
+ *
+ * Dedup goes through the seen map: every notified episode is recorded as
+ * "fcm:{animeId}_ep{n}", so reruns and forced rewrites (backfill) never
+ * notify twice. Episodes older than RECENCY_DAYS are never notified.
+ */
+
+const CONFIG = require('./config');
+const { seenEntry } = require('./seen_store');
+const { announceEpisodes } = require('./utils');
+
+// FCM accepts at most 500 messages per sendEach call
+const SEND_CHUNK_SIZE = 500;
+
+const LOC_KEYS = {
+  title: 'new_episode_title', // e.g. "%1$s"
+  body: 'new_episode_body', // e.g. "Episode %1$s is out now"
+  dropBody: 'new_episodes_body', // e.g. "%1$s new episodes are out now (Episodes %2$s–%3$s)"
+};
+
+/**
+ * Seen-map key recording that an episode was notified
+ */
+function notificationKey(animeData, episode = animeData.latestEpisode) {
+  return `fcm:${animeData.animeId}_ep${episode}`;
+}
+
+/**
+ * Episode numbers a written document stands for (its drop, or just the latest)
+ */
+function dropEpisodes(animeData) {
+  return animeData.newEpisodes || [animeData.latestEpisode];
+}
+
+/**
+ * The topic messages for one new episode (or drop)
+ */
+function buildMessages(animeData) {
+  const { animeId, title, latestEpisode } = animeData;
+  const episodes = [...dropEpisodes(animeData)].sort((a, b) => a - b);
+  const episode = String(latestEpisode);
+  const imageUrl = animeData.imageUrl || undefined;
+  // A drop opens at its first episode
+  const link = `${CONFIG.DEEP_LINK_BASE}/${animeId}?episode=${episodes[0]}`;
+  const body = episodes.length === 1 ?
+    { key: LOC_KEYS.body, args: [String(episodes[0])] } :
+    { key: LOC_KEYS.dropBody, args: [String(episodes.length), String(episodes[0]), String(episodes[episodes.length - 1])] };
+
+  const message = {
+    notification: {
+      title,
+      body: announceEpisodes(episodes),
+      imageUrl,
+    },
+    data: {
+      type: episodes.length === 1 ? 'new_episode' : 'new_episodes',
+      animeId: String(animeId),
+      episode,
+      episodes: episodes.join(','),
+      link,
+    },
+    android: {
+      collapseKey: `anime_${animeId}`,
+      notification: {
+        titleLocKey: LOC_KEYS.title,
+        titleLocArgs: [title],
+        bodyLocKey: body.key,
+        bodyLocArgs: body.args,
+        imageUrl,
+        tag: `anime_${animeId}`,
+      },
+    },
+    apns: {
+      payload: {
+        aps: {
+          alert: {
+            'title-loc-key': LOC_KEYS.title,
+            'title-loc-args': [title],
+            'loc-key': body.key,
+            'loc-args': body.args,
+          },
+          'mutable-content': 1,
+        },
+      },
+      fcmOptions: imageUrl ? { imageUrl } : undefined,
+    },
+  };
+
+  const showTopics = [animeId, ...(animeData.idAliases || [])].map(id => `${CONFIG.FCM_TOPIC_PREFIX}${id}`);
+  return [...showTopics, CONFIG.FCM_GLOBAL_TOPIC].map(topic => ({ ...message, topic }));
+}
+
+/**
+ * Create a notifier for one run. Without a messaging-capable sink
+ * (json, dry-run, emulator) messages are only printed.
+ */
+function createNotifier(storage) {
+  const enabled = CONFIG.FCM_NOTIFICATIONS;
+  const messaging = enabled && storage.messaging ? storage.messaging() : null;
+  const stats = { sent: 0, failed: 0, skipped: 0 };
+
+  if (!enabled) {
+    console.log('🔕 FCM notifications disabled (FCM_NOTIFICATIONS=false)');
+  } else if (!messaging) {
+    console.log(`🔕 Storage sink "${storage.name}" cannot send FCM — notifications are only printed`);
+  }
+
+  return {
+    stats,
+
+    /**
+     * Notify the given converted documents. Records "fcm:" keys in seenMap
+     * for delivered episodes. Never throws — a failed push must not fail the run.
+     */
+    async notify(animeDataList, seenMap) {
+      if (!enabled) return;
+
+      const cutoff = Date.now() / 1000 - CONFIG.RECENCY_DAYS * 24 * 60 * 60;
+      const pending = [];
+      for (const animeData of animeDataList) {
+        // Only the episodes of the drop that were never announced
+        const episodes = dropEpisodes(animeData).filter(ep => !seenMap.has(notificationKey(animeData, ep)));
+        if (episodes.length === 0 || animeData.episodeAiredAt < cutoff) {
+          stats.skipped++;
+        } else {
+          pending.push({ ...animeData, newEpisodes: episodes });
+        }
+      }
+      if (pending.length === 0) return;
+
+      if (!messaging) {
+        for (const animeData of pending) {
+          const topics = buildMessages(animeData).map(({ topic }) => topic).join(' + ');
+          console.log(`   🔔 Would notify ${topics}: ${animeData.title} — ${announceEpisodes(animeData.newEpisodes)}`);
+        }
+        return;
+      }
+
+      const messages = pending.flatMap(animeData => buildMessages(animeData).map(message => ({ message, animeData })));
+      const delivered = new Set();
+      try {
+        for (let i = 0; i < messages.length; i += SEND_CHUNK_SIZE) {
+          const chunk = messages.slice(i, i + SEND_CHUNK_SIZE).map(({ message }) => message);
+          const response = await messaging.sendEach(chunk);
+          response.responses.forEach((result, n) => {
+            const { animeData } = messages[i + n];
+            if (result.success) {
+              delivered.add(animeData);
+            } else {
+              stats.failed++;
+              console.error(`   ❌ FCM ${chunk[n].topic} failed: ${result.error?.message}`);
+            }
+          });
+        }
+      } catch (error) {
+        console.error(`   ❌ FCM send failed: ${error.message}`);
+      }
+
+      // One delivered topic message counts — retrying would double-notify the other topics
+      for (const animeData of delivered) {
+        for (const episode of animeData.newEpisodes) {
+          seenMap.set(notificationKey(animeData, episode), seenEntry(animeData.episodeAiredAt, { docId: `${CONFIG.EPISODES_COLLECTION}/${animeData.animeId}` }));
+        }
+      }
+      stats.sent += delivered.size;
+      console.log(`   🔔 Notified ${delivered.size}/${pending.length} show(s)`);
+    },
+  };
+}
+
+module.exports = {
+  createNotifier,
+  buildMessages,
+  notificationKey,
+};
@@ -0,0 +1,223 @@
+/**
+ * Anime Hub Worker - lib/policy.js
+ *
+ * Content filter policy, loaded from a versioned JSON file
+ * (CONTENT_POLICY_FILE, default content_policy.json) instead of
+ * constants baked into fetch.js.
+ *
+ * Every decision records the rule that matched and the policy version:
+ *   { blocked | allowed, reason, rule, details, policyVersion }
+ *
+ * Rule ids:
+ *   override.allowMalId / override.denyMalId   explicit per-MAL-ID overrides
+ *   adult.isAdultFlag                          AniList media isAdult flag
+ *   adult.genre                                adult.blockedGenres
+ *   adult.tag                                  adult.blockedTags (optional minRank)
+ *   adult.adultTag                             any tag flagged isAdult (blockAdultTags)
+ *   anime.type                                 anime.types
+ *   anime.format.allow / anime.format.deny     anime.formats
+ *   anime.country.allow / anime.country.deny   anime.countries
+ *   default                                    nothing matched
+ */
+
+const fs = require('fs');
+const CONFIG = require('./config');
+
+let cachedPolicy = null;
+
+// ============================================
+// LOADING AND VALIDATION
+// ============================================
+
+function assertStringArray(value, field) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`Invalid content policy: "${field}" must be an array of strings`);
+  }
+  return value;
+}
+
+// MAL ids may be numbers or numeric strings ("59853")
+function assertMalIdArray(value, field) {
+  if (value === undefined) return [];
+  const ids = Array.isArray(value) ?
+    value.map(item => (typeof item === 'string' && /^\d+$/.test(item.trim()) ? Number(item) : item)) :
+    null;
+  if (!ids || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new Error(`Invalid content policy: "${field}" must be an array of positive integer MAL ids`);
+  }
+  return ids;
+}
+
+/**
+ * Validate a raw policy object and fill in defaults
+ */
+function normalizePolicy(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Invalid content policy: expected a JSON object');
+  }
+  if (!raw.version) {
+    throw new Error('Invalid content policy: "version" is required');
+  }
+
+  const adult = raw.adult || {};
+  const anime = raw.anime || {};
+  const overrides = raw.overrides || {};
+
+  // blockedTags accepts "Name" or { name, minRank }
+  const blockedTags = (adult.blockedTags || []).map((tag, i) => {
+    const entry = typeof tag === 'string' ? { name: tag } : tag;
+    if (!entry || typeof entry.name !== 'string') {
+      throw new Error(`Invalid content policy: "adult.blockedTags[${i}]" needs a name`);
+    }
+    if (entry.minRank !== undefined && typeof entry.minRank !== 'number') {
+      throw new Error(`Invalid content policy: "adult.blockedTags[${i}].minRank" must be a number`);
+    }
+    return { name: entry.name, minRank: entry.minRank || 0 };
+  });
+
+  return {
+    version: String(raw.version),
+    overrides: {
+      allowMalIds: assertMalIdArray(overrides.allowMalIds, 'overrides.allowMalIds'),
+      denyMalIds: assertMalIdArray(overrides.denyMalIds, 'overrides.denyMalIds'),
+    },
+    adult: {
+      blockIsAdultFlag: adult.blockIsAdultFlag !== false,
+      blockAdultTags: adult.blockAdultTags === true,
+      adultTagMinRank: adult.adultTagMinRank || 0,
+      blockedGenres: assertStringArray(adult.blockedGenres, 'adult.blockedGenres'),
+      blockedTags,
+    },
+    anime: {
+      types: assertStringArray(anime.types, 'anime.types'),
+      formats: {
+        allow: assertStringArray(anime.formats?.allow, 'anime.formats.allow'),
+        deny: assertStringArray(anime.formats?.deny, 'anime.formats.deny'),
+      },
+      countries: {
+        allow: assertStringArray(anime.countries?.allow, 'anime.countries.allow'),
+        deny: assertStringArray(anime.countries?.deny, 'anime.countries.deny'),
+      },
+    },
+  };
+}
+
+/**
+ * Load (and cache) the policy file
+ */
+function loadPolicy(file = CONFIG.POLICY_FILE) {
+  if (cachedPolicy && cachedPolicy.file === file) return cachedPolicy;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read content policy ${file}: ${error.message}`);
+  }
+
+  cachedPolicy = { ...normalizePolicy(raw), file };
+  console.log(`📜 Content policy ${cachedPolicy.version} loaded from ${file}`);
+  return cachedPolicy;
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+function overrideDecision(media, policy) {
+  if (policy.overrides.denyMalIds.includes(media.idMal)) {
+    return { rule: 'override.denyMalId', details: { malId: media.idMal }, deny: true };
+  }
+  if (policy.overrides.allowMalIds.includes(media.idMal)) {
+    return { rule: 'override.allowMalId', details: { malId: media.idMal }, deny: false };
+  }
+  return null;
+}
+
+/**
+ * Check if a media entry should be blocked due to adult/hentai content
+ */
+function isAdultContent(media, policy = loadPolicy()) {
+  const policyVersion = policy.version;
+  const block = (reason, rule, details) => ({ blocked: true, reason, rule, details, policyVersion });
+
+  const override = overrideDecision(media, policy);
+  if (override) {
+    return override.deny ?
+      block(`MAL ID ${media.idMal} is on the deny list`, override.rule, override.details) :
+      { blocked: false, reason: `MAL ID ${media.idMal} is on the allow list`, rule: override.rule, details: override.details, policyVersion };
+  }
+
+  // AniList's own isAdult flag
+  if (policy.adult.blockIsAdultFlag && media.isAdult === true) {
+    return block('isAdult flag', 'adult.isAdultFlag', {});
+  }
+
+  // Block by genre
+  for (const genre of media.genres || []) {
+    if (policy.adult.blockedGenres.includes(genre)) {
+      return block(`Blocked genre: ${genre}`, 'adult.genre', { genre });
+    }
+  }
+
+  // Block by tag — tags without a rank (e.g. MAL themes) count as rank 100
+  for (const tag of media.tags || []) {
+    const rank = tag.rank ?? 100;
+    const rule = policy.adult.blockedTags.find(blocked => blocked.name === tag.name);
+    if (rule && rank >= rule.minRank) {
+      return block(`Blocked tag: ${tag.name} (rank ${rank})`, 'adult.tag', { tag: tag.name, rank, minRank: rule.minRank });
+    }
+    if (policy.adult.blockAdultTags && tag.isAdult === true && rank >= policy.adult.adultTagMinRank) {
+      return block(`Adult tag: ${tag.name} (rank ${rank})`, 'adult.adultTag', { tag: tag.name, rank, minRank: policy.adult.adultTagMinRank });
+    }
+  }
+
+  return { blocked: false, reason: null, rule: 'default', details: {}, policyVersion };
+}
+
+/**
+ * Check if a media entry is a proper anime (not a cartoon)
+ */
+function isAnime(media, policy = loadPolicy()) {
+  const policyVersion = policy.version;
+  const reject = (reason, rule, details) => ({ allowed: false, reason, rule, details, policyVersion });
+  const { types, formats, countries } = policy.anime;
+
+  const override = overrideDecision(media, policy);
+  if (override) {
+    return override.deny ?
+      reject(`MAL ID ${media.idMal} is on the deny list`, override.rule, override.details) :
+      { allowed: true, reason: `MAL ID ${media.idMal} is on the allow list`, rule: override.rule, details: override.details, policyVersion };
+  }
+
+  if (types.length > 0 && !types.includes(media.type)) {
+    return reject(`Not anime type: ${media.type}`, 'anime.type', { type: media.type });
+  }
+
+  if (formats.deny.includes(media.format)) {
+    return reject(`Denied format: ${media.format}`, 'anime.format.deny', { format: media.format });
+  }
+  if (formats.allow.length > 0 && !formats.allow.includes(media.format)) {
+    return reject(`Blocked format: ${media.format}`, 'anime.format.allow', { format: media.format });
+  }
+
+  // Country is optional (Jikan/MAL does not expose it)
+  if (media.countryOfOrigin) {
+    if (countries.deny.includes(media.countryOfOrigin)) {
+      return reject(`Denied country: ${media.countryOfOrigin}`, 'anime.country.deny', { country: media.countryOfOrigin });
+    }
+    if (countries.allow.length > 0 && !countries.allow.includes(media.countryOfOrigin)) {
+      return reject(`Blocked country: ${media.countryOfOrigin}`, 'anime.country.allow', { country: media.countryOfOrigin });
+    }
+  }
+
+  return { allowed: true, reason: null, rule: 'default', details: {}, policyVersion };
+}
+
+module.exports = {
+  loadPolicy,
+  normalizePolicy,
+  isAdultContent,
+  isAnime,
+};
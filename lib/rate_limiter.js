@@ -0,0 +1,144 @@
+/**
+ * Anime Hub Worker - lib/rate_limiter.js
+ *
+ * Shared request scheduler. All requests to one API go through a single
+ * scheduler, so pagination, backfills and multi-query runs share one
+ * budget instead of each sleeping a fixed delay.
+ *
+ * - Requests run one at a time, at least `minInterval` ms apart
+ * - X-RateLimit-Remaining / X-RateLimit-Reset spread the remaining quota
+ *   over the rest of the window (slower as the quota drops)
+ * - 429 waits for Retry-After (or X-RateLimit-Reset) before retrying
+ * - Other failures retry with jittered exponential backoff
+ * - 4xx responses (except 408/429) and errors flagged `retryable = false`
+ *   are thrown immediately
+ */
+
+const { delay } = require('./utils');
+
+function headerNumber(headers, name) {
+  const value = headers?.[name];
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Whether a failed request is worth retrying
+ */
+function isRetryable(error) {
+  if (error.retryable === false) return false;
+  const status = error.response?.status;
+  if (!status) return true; // network error / timeout
+  if (status === 408 || status === 429) return true;
+  return status >= 500;
+}
+
+/**
+ * Create a scheduler. `run(fn, label)` queues `fn` (which must return an
+ * axios-style response with `headers`) and resolves with its response.
+ */
+function createRequestScheduler({
+  name,
+  minInterval,
+  maxRetries,
+  retryDelay,
+  maxRetryDelay = 60000,
+}) {
+  let queue = Promise.resolve();
+  let nextAllowedAt = 0;
+  const quota = { limit: null, remaining: null, resetAt: null };
+
+  function updateQuota(headers) {
+    const limit = headerNumber(headers, 'x-ratelimit-limit');
+    const remaining = headerNumber(headers, 'x-ratelimit-remaining');
+    const reset = headerNumber(headers, 'x-ratelimit-reset');
+    if (limit !== null) quota.limit = limit;
+    if (remaining !== null) quota.remaining = remaining;
+    if (reset !== null) quota.resetAt = reset * 1000;
+  }
+
+  /**
+   * Delay before the next request, based on the quota left in this window
+   */
+  function paceInterval() {
+    const now = Date.now();
+    const windowLeft = quota.resetAt && quota.resetAt > now ? quota.resetAt - now : 60000;
+
+    if (quota.remaining === null) return minInterval;
+    if (quota.remaining <= 0) return windowLeft;
+
+    // Spread what is left evenly over the rest of the window
+    const spread = windowLeft / quota.remaining;
+    return Math.max(minInterval, Math.round(spread));
+  }
+
+  function backoff(attempt) {
+    const base = retryDelay * Math.pow(2, attempt - 1);
+    const jitter = 0.5 + Math.random();
+    return Math.min(maxRetryDelay, Math.round(base * jitter));
+  }
+
+  /**
+   * Wait time after a 429: Retry-After wins, then X-RateLimit-Reset
+   */
+  function rateLimitedWait(headers, attempt) {
+    const retryAfter = headerNumber(headers, 'retry-after');
+    if (retryAfter !== null) return retryAfter * 1000;
+    const reset = headerNumber(headers, 'x-ratelimit-reset');
+    if (reset !== null) return Math.max(0, reset * 1000 - Date.now()) + 1000;
+    return backoff(attempt);
+  }
+
+  async function waitTurn() {
+    const wait = nextAllowedAt - Date.now();
+    if (wait <= 0) return;
+    if (wait > minInterval) {
+      console.log(`   🐢 ${name}: waiting ${(wait / 1000).toFixed(1)}s (quota ${quota.remaining ?? '?'}/${quota.limit ?? '?'})`);
+    }
+    await delay(wait);
+  }
+
+  async function execute(fn, label) {
+    for (let attempt = 1; ; attempt++) {
+      await waitTurn();
+      try {
+        const response = await fn();
+        updateQuota(response.headers);
+        nextAllowedAt = Date.now() + paceInterval();
+        return response;
+      } catch (error) {
+        const headers = error.response?.headers;
+        updateQuota(headers);
+
+        if (!isRetryable(error)) {
+          console.error(`   ⛔ ${name}: ${label} failed with a non-retryable error — not retrying`);
+          throw error;
+        }
+        if (attempt >= maxRetries) throw error;
+
+        const wait = error.response?.status === 429 ?
+          rateLimitedWait(headers, attempt) :
+          backoff(attempt);
+        nextAllowedAt = Date.now() + wait;
+
+        console.error(`   ❌ ${name}: ${label} failed (Attempt ${attempt}/${maxRetries}): ${error.message}`);
+        console.log(`   ⏳ Retrying in ${(wait / 1000).toFixed(1)} seconds...`);
+      }
+    }
+  }
+
+  return {
+    quota,
+
+    run(fn, label = 'request') {
+      const result = queue.then(() => execute(fn, label));
+      queue = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  createRequestScheduler,
+};
@@ -0,0 +1,237 @@
+/**
+ * Anime Hub Worker - lib/search.js
+ *
+ * Search index documents. Firestore has no substring search, so every
+ * write of episodes/{animeId} also writes search/{animeId}:
+ *
+ *   { animeId, anilistId, malId, title, imageUrl, format, seasonYear,
+ *     tokens, prefixes, updatedAt }
+ *
+ * built from titleRomaji, titleEnglish, titleNative and synonyms:
+ *
+ *   tokens     whole words, CJK bigrams, and the romaji of kana words
+ *   prefixes   prefixes (2+ characters) of every word and of every whole title
+ *
+ * Normalization: NFKC (full-width → half-width), case folding, Latin
+ * diacritics stripped, punctuation dropped, katakana folded to hiragana,
+ * and loose romaji ("Shōnen" / "Shounen" / "Shonen" → "shonen").
+ *
+ * The app normalizes the query the same way (searchKey) and queries
+ * `where(field, 'array-contains', value)`, filtering the rest client-side.
+ */
+
+const SEARCH_COLLECTION = 'search';
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 20;
+// Keeps a show with dozens of synonyms well inside Firestore's index entry limits
+const MAX_ENTRIES = 1000;
+
+// Hiragana → Hepburn romaji (katakana is folded to hiragana first)
+const KANA = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n',
+  が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ゔ: 'vu', ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o',
+};
+const YOON = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+// Small vowels after a consonant replace its vowel (てぃ → ti, ふぁ → fa)
+const SMALL_VOWELS = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー々]+/gu;
+const KANA_ONLY = /^[\p{Script=Hiragana}ー]+$/u;
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+/**
+ * Case-fold, strip Latin diacritics and punctuation, fold katakana to hiragana
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .replace(/ß/g, 'ss')
+    .replace(/æ/g, 'ae')
+    .replace(/œ/g, 'oe')
+    .replace(/ø/g, 'o')
+    .replace(/ł/g, 'l')
+    .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}\p{M}ー]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Collapse the long-vowel spellings of romaji ("toukyou", "tookyoo" → "tokyo")
+ */
+function looseRomaji(word) {
+  return word
+    .replace(/ou|oo|oh(?![aeiou])/g, 'o')
+    .replace(/uu/g, 'u')
+    .replace(/aa/g, 'a')
+    .replace(/m(?=[bp])/g, 'n');
+}
+
+/**
+ * Hepburn romaji of a hiragana word, or null when it has anything else
+ */
+function kanaToRomaji(word) {
+  if (!KANA_ONLY.test(word)) return null;
+  let romaji = '';
+  let double = false;
+  const chars = Array.from(word);
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    if (char === 'っ') {
+      double = true;
+      continue;
+    }
+    if (char === 'ー') {
+      romaji += romaji.slice(-1);
+      continue;
+    }
+    let syllable = KANA[char];
+    if (!syllable) continue;
+    const small = YOON[chars[i + 1]];
+    if (small && syllable.endsWith('i') && syllable.length > 1) {
+      syllable = /^(shi|chi|ji)$/.test(syllable) ? syllable.slice(0, -1) + small : `${syllable.slice(0, -1)}y${small}`;
+      i++;
+    } else if (SMALL_VOWELS[chars[i + 1]] && syllable.length > 1) {
+      syllable = syllable.slice(0, -1) + SMALL_VOWELS[chars[i + 1]];
+      i++;
+    }
+    if (double) {
+      romaji += syllable.startsWith('ch') ? 't' : syllable[0];
+      double = false;
+    }
+    romaji += syllable;
+  }
+  return romaji || null;
+}
+
+/**
+ * Overlapping bigrams of a CJK run ("進撃の巨人" → 進撃, 撃の, の巨, 巨人)
+ */
+function bigrams(run) {
+  const chars = Array.from(run);
+  if (chars.length === 1) return chars;
+  return chars.slice(1).map((char, i) => chars[i] + char);
+}
+
+function prefixesOf(text) {
+  const chars = Array.from(text);
+  const prefixes = [];
+  for (let length = MIN_PREFIX_LENGTH; length <= Math.min(chars.length, MAX_PREFIX_LENGTH); length++) {
+    prefixes.push(chars.slice(0, length).join(''));
+  }
+  return prefixes;
+}
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+/**
+ * Every title of a converted document (titles, then synonyms)
+ */
+function searchTitles(animeData) {
+  const titles = [animeData.titleEnglish, animeData.titleRomaji, animeData.titleNative, ...(animeData.synonyms || [])];
+  return Array.from(new Set(titles.filter(Boolean)));
+}
+
+/**
+ * { tokens, prefixes } of a list of titles
+ */
+function indexTitles(titles) {
+  const tokens = new Set();
+  const prefixes = new Set();
+
+  for (const title of titles) {
+    const normalized = normalizeText(title);
+    if (!normalized) continue;
+    for (const variant of new Set([normalized, looseRomaji(normalized)])) {
+      prefixesOf(variant).forEach(prefix => prefixes.add(prefix));
+    }
+
+    for (const word of normalized.split(' ')) {
+      const latin = word.replace(CJK_RUN, ' ').trim();
+      for (const part of latin.split(' ').filter(Boolean)) {
+        for (const variant of new Set([part, looseRomaji(part)])) {
+          tokens.add(variant);
+          prefixesOf(variant).forEach(prefix => prefixes.add(prefix));
+        }
+      }
+      for (const run of word.match(CJK_RUN) || []) {
+        bigrams(run).forEach(bigram => tokens.add(bigram));
+        const romaji = kanaToRomaji(run);
+        if (romaji) {
+          for (const variant of new Set([romaji, looseRomaji(romaji)])) {
+            tokens.add(variant);
+            prefixesOf(variant).forEach(prefix => prefixes.add(prefix));
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    tokens: Array.from(tokens).slice(0, MAX_ENTRIES),
+    prefixes: Array.from(prefixes).slice(0, MAX_ENTRIES),
+  };
+}
+
+/**
+ * The search/{animeId} document of a converted document
+ */
+function buildSearchDocument(animeData) {
+  return {
+    animeId: animeData.animeId,
+    anilistId: animeData.anilistId ?? null,
+    malId: animeData.malId ?? null,
+    title: animeData.title,
+    imageUrl: animeData.imageUrl || '',
+    format: animeData.format || '',
+    seasonYear: animeData.seasonYear ?? null,
+    ...indexTitles(searchTitles(animeData)),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * The array-contains clause for a user query: { field, value }, or null
+ * for an empty query. Latin queries match `prefixes` (whole-title prefix
+ * when it has several words), CJK queries their first bigram in `tokens`.
+ */
+function searchKey(query) {
+  const normalized = normalizeText(query);
+  if (!normalized) return null;
+  const cjk = normalized.match(CJK_RUN);
+  if (cjk && cjk.join('') === normalized.replace(/ /g, '')) {
+    return { field: 'tokens', value: bigrams(cjk[0])[0] };
+  }
+  return { field: 'prefixes', value: Array.from(looseRomaji(normalized)).slice(0, MAX_PREFIX_LENGTH).join('') };
+}
+
+module.exports = {
+  SEARCH_COLLECTION,
+  normalizeText,
+  indexTitles,
+  buildSearchDocument,
+  searchKey,
+};
@@ -0,0 +1,282 @@
+/**
+ * Anime Hub Worker - lib/seen_store.js
+ *
+ * Where the seen-episode map lives. Pick a backend with SEEN_STORE
+ * (default: firestore with the firestore / emulator sink, json otherwise):
+ *
+ *   json        SEEN_FILE (default seen_episodes.json), a local file
+ *   firestore   one compact document, SEEN_DOC (default state/seen_episodes)
+ *   sqlite      SEEN_SQLITE_FILE (default seen_episodes.sqlite), needs the
+ *               optional better-sqlite3 dependency
+ *
+ * Entries (schema v3):
+ *   "{animeId}_ep{n}": { v: 3, airingAt, writtenAt, docId, hash, scheduleId }
+ *
+ * Schema v1 was a bare `airingAt` number per key, v2 had no `scheduleId`;
+ * both are migrated on load (unknown fields become null).
+ * The firestore and sqlite backends import SEEN_FILE while they are empty.
+ * Every save drops entries older than RECENCY_DAYS.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const CONFIG = require('./config');
+const { parseSeenKey } = require('./ids');
+
+const SCHEMA_VERSION = 3;
+const BACKENDS = ['json', 'firestore', 'sqlite'];
+
+// ============================================
+// ENTRIES
+// ============================================
+
+/**
+ * A fresh entry for a key written (or notified) now
+ */
+function seenEntry(airingAt, { docId = null, hash = null, scheduleId = null } = {}) {
+  return { v: SCHEMA_VERSION, airingAt, writtenAt: new Date().toISOString(), docId, hash, scheduleId };
+}
+
+/**
+ * Content hash of the episode fields a seen key stands for
+ */
+function hashEpisode(animeData) {
+  const fields = [animeData.animeId, animeData.latestEpisode, animeData.episodeAiredAt, animeData.scheduleId, animeData.title];
+  return crypto.createHash('sha1').update(JSON.stringify(fields)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Upgrade one stored value to the current schema
+ */
+function migrateEntry(key, value) {
+  if (typeof value === 'number') {
+    const parsed = parseSeenKey(key);
+    return {
+      v: SCHEMA_VERSION,
+      airingAt: value,
+      writtenAt: null,
+      docId: parsed ? `${CONFIG.EPISODES_COLLECTION}/${parsed.animeId}` : null,
+      hash: null,
+      scheduleId: null,
+    };
+  }
+  return { ...value, scheduleId: value.scheduleId ?? null, v: SCHEMA_VERSION };
+}
+
+function toEntryMap(raw) {
+  let migrated = 0;
+  const map = new Map();
+  for (const [key, value] of Object.entries(raw)) {
+    if (value?.v !== SCHEMA_VERSION) migrated++;
+    map.set(key, migrateEntry(key, value));
+  }
+  return { map, migrated };
+}
+
+/**
+ * Split a map into entries inside RECENCY_DAYS and the keys that fell out
+ */
+function trimEntries(map, recencyDays = CONFIG.RECENCY_DAYS) {
+  const cutoff = Date.now() / 1000 - recencyDays * 24 * 60 * 60;
+  const kept = new Map();
+  const removed = [];
+  for (const [key, entry] of map.entries()) {
+    if (entry.airingAt >= cutoff) {
+      kept.set(key, entry);
+    } else {
+      removed.push(key);
+    }
+  }
+  return { kept, removed };
+}
+
+/**
+ * Raw key → value object of SEEN_FILE in either schema (for imports)
+ */
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) return null;
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return raw.schemaVersion ? raw.entries : raw;
+}
+
+// ============================================
+// BACKENDS
+// ============================================
+
+function jsonBackend(file) {
+  return {
+    where: file,
+    async read() {
+      return readJsonFile(file);
+    },
+    async write(map) {
+      const data = { schemaVersion: SCHEMA_VERSION, entries: Object.fromEntries(map) };
+      fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+    },
+  };
+}
+
+/**
+ * One document; entries are packed as [v, airingAt, writtenAt, docId, hash, scheduleId]
+ * to stay far below the 1 MiB document limit
+ */
+function firestoreBackend(storage, docPath) {
+  if (!storage?.db) {
+    throw new Error(`SEEN_STORE=firestore needs the firestore or emulator storage sink (got "${storage?.name}")`);
+  }
+  const ref = storage.db.doc(docPath);
+
+  return {
+    where: docPath,
+    async read() {
+      const snap = await ref.get();
+      if (!snap.exists) return null;
+      const entries = {};
+      for (const [key, [v, airingAt, writtenAt, docId, hash, scheduleId]] of Object.entries(snap.data().entries || {})) {
+        entries[key] = { v, airingAt, writtenAt, docId, hash, scheduleId };
+      }
+      return entries;
+    },
+    async write(map) {
+      const entries = {};
+      for (const [key, entry] of map.entries()) {
+        entries[key] = [
+          entry.v,
+          entry.airingAt,
+          entry.writtenAt ?? null,
+          entry.docId ?? null,
+          entry.hash ?? null,
+          entry.scheduleId ?? null,
+        ];
+      }
+      await ref.set({ schemaVersion: SCHEMA_VERSION, updatedAt: new Date().toISOString(), entries });
+    },
+  };
+}
+
+function sqliteBackend(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SEEN_STORE=sqlite needs the optional better-sqlite3 dependency (npm install better-sqlite3)');
+  }
+
+  const db = new Database(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS seen (
+      key TEXT PRIMARY KEY,
+      v INTEGER NOT NULL,
+      airing_at INTEGER NOT NULL,
+      written_at TEXT,
+      doc_id TEXT,
+      hash TEXT,
+      schedule_id INTEGER
+    )
+  `);
+  // Tables created by schema v2 have no schedule_id column yet
+  if (!db.prepare('PRAGMA table_info(seen)').all().some(column => column.name === 'schedule_id')) {
+    db.exec('ALTER TABLE seen ADD COLUMN schedule_id INTEGER');
+  }
+
+  return {
+    where: file,
+    async read() {
+      const rows = db.prepare('SELECT * FROM seen').all();
+      if (rows.length === 0) return null;
+      const entries = {};
+      for (const row of rows) {
+        entries[row.key] = {
+          v: row.v,
+          airingAt: row.airing_at,
+          writtenAt: row.written_at,
+          docId: row.doc_id,
+          hash: row.hash,
+          scheduleId: row.schedule_id,
+        };
+      }
+      return entries;
+    },
+    async write(map) {
+      const insert = db.prepare(
+        'INSERT INTO seen (key, v, airing_at, written_at, doc_id, hash, schedule_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      );
+      db.transaction(() => {
+        db.prepare('DELETE FROM seen').run();
+        for (const [key, entry] of map.entries()) {
+          insert.run(key, entry.v, entry.airingAt, entry.writtenAt, entry.docId, entry.hash, entry.scheduleId ?? null);
+        }
+      })();
+    },
+  };
+}
+
+// ============================================
+// STORE
+// ============================================
+
+/**
+ * Create the seen store. `storage` is only needed by the firestore backend.
+ */
+function createSeenStore(backend = CONFIG.SEEN_STORE, storage = null) {
+  let impl;
+  switch (backend) {
+    case 'json':
+      impl = jsonBackend(CONFIG.SEEN_FILE);
+      break;
+    case 'firestore':
+      impl = firestoreBackend(storage, CONFIG.SEEN_DOC);
+      break;
+    case 'sqlite':
+      impl = sqliteBackend(CONFIG.SEEN_SQLITE_FILE);
+      break;
+    default:
+      throw new Error(`Unknown SEEN_STORE "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+
+  return {
+    name: backend,
+    where: impl.where,
+
+    /**
+     * Load the map of key → entry, migrating older schemas
+     */
+    async load() {
+      let raw = await impl.read();
+      if (raw === null && backend !== 'json') {
+        raw = readJsonFile(CONFIG.SEEN_FILE);
+        if (raw) console.log(`📥 ${impl.where} is empty — importing ${CONFIG.SEEN_FILE}`);
+      }
+      if (raw === null) {
+        console.log(`📂 ${impl.where} not found — starting fresh`);
+        return new Map();
+      }
+
+      const { map, migrated } = toEntryMap(raw);
+      if (migrated > 0) console.log(`🔁 Migrated ${migrated} seen entr${migrated === 1 ? 'y' : 'ies'} to schema v${SCHEMA_VERSION}`);
+      console.log(`📂 Loaded ${map.size} seen episodes from ${impl.where} (${backend})`);
+      return map;
+    },
+
+    /**
+     * Save the map, dropping entries older than RECENCY_DAYS.
+     * Returns the removed keys.
+     */
+    async save(map) {
+      const { kept, removed } = trimEntries(map);
+      await impl.write(kept);
+      console.log(`💾 Saved ${kept.size} seen episodes to ${impl.where} (removed ${removed.length} old entries)`);
+      return removed;
+    },
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  BACKENDS,
+  seenEntry,
+  hashEpisode,
+  migrateEntry,
+  trimEntries,
+  createSeenStore,
+};
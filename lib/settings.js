@@ -0,0 +1,294 @@
+/**
+ * Anime Hub Worker - lib/settings.js
+ *
+ * Schema and layering of the worker configuration (lib/config.js).
+ * Later layers win:
+ *
+ *   defaults  <  config file  <  environment  <  command-line flags
+ *
+ * Every setting is declared once in SCHEMA with its type, bounds and
+ * environment variable; its flag is the kebab-cased name
+ * (RECENCY_DAYS → --recency-days 14, booleans also --no-jikan-enrich).
+ * The config file is a JSON object keyed by setting name
+ * ({ "RECENCY_DAYS": 14 }): --config <file>, ANIME_HUB_CONFIG, or
+ * anime-hub.config.json when it exists.
+ *
+ * loadConfig() validates every layer and throws one error listing every
+ * problem (with the layer it came from), then updates CONFIG in place so
+ * modules that already required it see the result.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_CONFIG_FILE = 'anime-hub.config.json';
+
+// Firebase credentials stay environment-only — they never belong in a config file
+const FIREBASE_ENV = ['FIREBASE_PROJECT_ID', 'FIREBASE_PRIVATE_KEY', 'FIREBASE_CLIENT_EMAIL'];
+
+const SCHEMA = {
+  // ── Sources ──
+  ANILIST_API: { type: 'string', default: 'https://graphql.anilist.co' },
+  RECENCY_DAYS: { type: 'integer', default: 7, min: 1, max: 90, env: 'RECENCY_DAYS' },
+  EPISODES_PER_PAGE: { type: 'integer', default: 50, min: 1, max: 50, env: 'EPISODES_PER_PAGE' }, // AniList caps perPage at 50
+  MAX_RETRIES: { type: 'integer', default: 3, min: 1, max: 10, env: 'MAX_RETRIES' }, // attempts per request, the first one included
+  RETRY_DELAY: { type: 'integer', default: 2000, min: 0 }, // base of the jittered exponential backoff
+  RATE_LIMIT_DELAY: { type: 'integer', default: 700, min: 0, env: 'RATE_LIMIT_DELAY' }, // ms between AniList requests (lib/rate_limiter.js)
+  UPCOMING_DAYS: { type: 'integer', default: 7, min: 1, max: 30 }, // how far ahead the upcoming schedule mode looks
+  JIKAN_API: { type: 'string', default: 'https://api.jikan.moe/v4' },
+  JIKAN_RATE_LIMIT_DELAY: { type: 'integer', default: 1000, min: 0 }, // Jikan allows ~3 req/s and 60 req/min
+  JIKAN_FALLBACK: { type: 'boolean', default: true, env: 'JIKAN_FALLBACK' }, // use Jikan when AniList returns nothing
+  JIKAN_ENRICH: { type: 'boolean', default: true, env: 'JIKAN_ENRICH' }, // add MAL score/rank/members to new episodes
+
+  // ── Storage ──
+  STORAGE_SINK: { type: 'enum', values: ['firestore', 'emulator', 'json', 'dry-run'], default: 'firestore', env: 'STORAGE_SINK' },
+  STORAGE_DIR: { type: 'string', default: '.local_store', env: 'STORAGE_DIR' }, // json / dry-run sinks (lib/storage.js)
+  EPISODES_COLLECTION: { type: 'collection', default: 'episodes', env: 'EPISODES_COLLECTION' },
+  WRITE_CHUNK_SIZE: { type: 'integer', default: 200, min: 1, max: 250 }, // documents per batch when each costs a set and a delete
+  BATCH_OP_LIMIT: { type: 'integer', default: 450, min: 1, max: 500 }, // Firestore batches are capped at 500 ops
+  LOCK_TTL_MS: { type: 'integer', default: 10 * 60 * 1000, min: 3000 }, // run lock lease, renewed every third of it (lib/lock.js)
+  JOURNAL_DOC: { type: 'string', default: 'state/write_journal', env: 'WRITE_JOURNAL_DOC' }, // lib/journal.js, stored in the sink
+
+  // ── Seen store / metadata cache ──
+  // lib/seen_store.js; the default follows the sink, so runs against Firestore never depend on a local file
+  SEEN_STORE: { type: 'enum', values: ['json', 'firestore', 'sqlite'], default: null, derived: 'firestore with the firestore / emulator sink, else json', env: 'SEEN_STORE' },
+  SEEN_FILE: { type: 'string', default: 'seen_episodes.json', env: 'SEEN_FILE' },
+  SEEN_DOC: { type: 'string', default: 'state/seen_episodes', env: 'SEEN_DOC' },
+  SEEN_SQLITE_FILE: { type: 'string', default: 'seen_episodes.sqlite', env: 'SEEN_SQLITE_FILE' },
+  METADATA_CACHE_FILE: { type: 'string', default: 'metadata_cache.json', env: 'METADATA_CACHE_FILE' }, // lib/metadata_cache.js
+  METADATA_MAX_AGE_DAYS: { type: 'integer', default: 7, min: 1 }, // force a full write after this long, to refresh scores/popularity
+  METADATA_CACHE_TTL_DAYS: { type: 'integer', default: 30, min: 1 }, // drop cache entries not fully written for this long
+
+  // ── Filtering / reports ──
+  FETCH_MODE: { type: 'enum', values: ['recent', 'upcoming'], default: 'recent', env: 'FETCH_MODE' },
+  SCHEDULE_TIMEZONE: { type: 'timezone', default: 'UTC', env: 'SCHEDULE_TIMEZONE' }, // day grouping + slot times
+  POLICY_FILE: { type: 'string', default: 'content_policy.json', env: 'CONTENT_POLICY_FILE' }, // lib/policy.js
+  SKIP_REPORT_FILE: { type: 'string', default: 'reports/skip_report.json', env: 'SKIP_REPORT_FILE' },
+  SKIP_REPORT_TO_FIRESTORE: { type: 'boolean', default: false, env: 'SKIP_REPORT_TO_FIRESTORE' }, // also write runs/{runId}/skips
+  PARTIAL_EXIT_CODE: { type: 'integer', default: 2, min: 2, max: 125 }, // exit status when some batches did not commit
+  INCONSISTENT_EXIT_CODE: { type: 'integer', default: 3, min: 2, max: 125 }, // cleanup: seen store and storage disagree
+
+  // ── Outputs ──
+  FCM_NOTIFICATIONS: { type: 'boolean', default: true, env: 'FCM_NOTIFICATIONS' }, // lib/notifications.js
+  FCM_TOPIC_PREFIX: { type: 'string', default: 'anime_' }, // per-show topic: anime_{animeId}
+  FCM_GLOBAL_TOPIC: { type: 'string', default: 'new_episodes' },
+  DEEP_LINK_BASE: { type: 'string', default: 'animehub://anime', env: 'DEEP_LINK_BASE' }, // link: {base}/{animeId}?episode={n}
+  WEBHOOKS_FILE: { type: 'string', default: 'webhooks.json', env: 'WEBHOOKS_FILE' }, // lib/webhooks.js
+  WEBHOOK_MIN_INTERVAL: { type: 'integer', default: 1000, min: 0 }, // ms between posts to one webhook target
+  FEEDS_DIR: { type: 'string', default: 'feeds', env: 'FEEDS_DIR' }, // RSS / Atom / JSON Feed output (lib/feeds.js)
+  FEED_MAX_ITEMS: { type: 'integer', default: 100, min: 1 },
+  FEED_BASE_URL: { type: 'string', default: '', env: 'FEED_BASE_URL' }, // public URL of FEEDS_DIR, for self links
+  CALENDARS_DIR: { type: 'string', default: 'calendars', env: 'CALENDARS_DIR' }, // .ics output (lib/calendar.js)
+  CALENDAR_COLLECTION: { type: 'collection', default: 'calendar', env: 'CALENDAR_COLLECTION' }, // event state (UID, SEQUENCE), one document per show
+  AGGREGATES_FILE: { type: 'string', default: 'aggregates.json', env: 'AGGREGATES_FILE' }, // item pool of feeds/* (lib/aggregates.js)
+  AGGREGATE_LATEST_ITEMS: { type: 'integer', default: 100, min: 1 }, // items in feeds/latest
+  AGGREGATE_WINDOW_DAYS: { type: 'integer', default: 14, min: 7 }, // how long an episode stays in the pool (byDay needs a week)
+  AGGREGATE_PAGE_BYTES: { type: 'integer', default: 512 * 1024, min: 16 * 1024, max: 900 * 1024 }, // below the 1 MiB document limit
+
+  // ── Lifecycle ──
+  LIFECYCLE_STALE_WEEKS: { type: 'integer', default: 4, min: 1 }, // a releasing show with no airing for this long is "stale" (lib/lifecycle.js)
+  LIFECYCLE_GRACE_DAYS: { type: 'integer', default: 30, min: 0 }, // ended shows move to archive/ after this long
+  LIFECYCLE_REPORT_FILE: { type: 'string', default: 'reports/lifecycle_report.json', env: 'LIFECYCLE_REPORT_FILE' },
+};
+
+// ============================================
+// VALUES
+// ============================================
+
+function flagName(key) {
+  return `--${key.toLowerCase().replace(/_/g, '-')}`;
+}
+
+function describe(spec) {
+  switch (spec.type) {
+    case 'integer':
+      return `an integer${spec.min !== undefined ? ` ≥ ${spec.min}` : ''}${spec.max !== undefined ? ` and ≤ ${spec.max}` : ''}`;
+    case 'boolean':
+      return 'true or false';
+    case 'enum':
+      return `one of ${spec.values.join(', ')}`;
+    case 'timezone':
+      return 'an IANA time zone (e.g. Asia/Tokyo)';
+    case 'collection':
+      return 'a top-level collection name (no "/")';
+    default:
+      return 'a string';
+  }
+}
+
+/**
+ * Parse one raw value (string from env / flags, any JSON type from the file).
+ * Returns { value } or { error }.
+ */
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN);
+      const ok = Number.isInteger(value) &&
+        (spec.min === undefined || value >= spec.min) &&
+        (spec.max === undefined || value <= spec.max);
+      return ok ? { value } : { error: describe(spec) };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) return { value: true };
+      if (['false', '0', 'no'].includes(text)) return { value: false };
+      return { error: describe(spec) };
+    }
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : { error: describe(spec) };
+    case 'timezone':
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: String(raw) });
+        return { value: String(raw) };
+      } catch (error) {
+        return { error: describe(spec) };
+      }
+    case 'collection':
+      return typeof raw === 'string' && /^[A-Za-z0-9_-]+$/.test(raw) ? { value: raw } : { error: describe(spec) };
+    default:
+      return typeof raw === 'string' ? { value: raw } : { error: describe(spec) };
+  }
+}
+
+// ============================================
+// LAYERS
+// ============================================
+
+/**
+ * Split argv into setting flags ({ KEY: raw }), the config file and the
+ * remaining (command) arguments. Unknown flags stay in `rest`.
+ */
+function extractConfigFlags(argv) {
+  const byFlag = new Map(Object.keys(SCHEMA).map(key => [flagName(key), key]));
+  const flags = {};
+  const rest = [];
+  let file = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inline] = argv[i].split(/=(.*)/s, 2);
+    const negated = name.startsWith('--no-') ? byFlag.get(`--${name.slice(5)}`) : null;
+    const key = byFlag.get(name);
+
+    if (name === '--config') {
+      file = inline ?? argv[++i];
+    } else if (negated && SCHEMA[negated].type === 'boolean') {
+      flags[negated] = false;
+    } else if (key) {
+      const next = argv[i + 1];
+      if (inline !== undefined) {
+        flags[key] = inline;
+      } else if (SCHEMA[key].type === 'boolean' && !/^(true|false|yes|no|1|0)$/i.test(next ?? '')) {
+        // A bare boolean flag never swallows the command's next argument
+        flags[key] = true;
+      } else {
+        flags[key] = next;
+        i++;
+      }
+    } else {
+      rest.push(argv[i]);
+    }
+  }
+  return { flags, file, rest };
+}
+
+function readConfigFile(file, explicit, problems) {
+  if (!file) return {};
+  if (!fs.existsSync(file)) {
+    if (explicit) problems.push(`config file ${file} not found`);
+    return {};
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      problems.push(`config file ${file} must hold a JSON object`);
+      return {};
+    }
+    return data;
+  } catch (error) {
+    problems.push(`config file ${file} is not valid JSON: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Resolve every setting from the layers (`file: false` skips the config
+ * file). Invalid values keep the previous layer's value and are listed in
+ * `problems`. Returns { values, sources, problems }.
+ */
+function resolveConfig({ file = null, env = process.env, flags = {} } = {}) {
+  const problems = [];
+  const explicitFile = Boolean(file || env.ANIME_HUB_CONFIG);
+  const configFile = file === false ? null : file || env.ANIME_HUB_CONFIG || DEFAULT_CONFIG_FILE;
+  const fileValues = readConfigFile(configFile, explicitFile, problems);
+
+  for (const key of Object.keys(fileValues)) {
+    if (!SCHEMA[key]) problems.push(`${configFile}: unknown setting ${key}`);
+  }
+
+  const values = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    values[key] = spec.default;
+    sources[key] = 'default';
+    const layers = [
+      [configFile, fileValues[key]],
+      [spec.env && `env ${spec.env}`, spec.env ? env[spec.env] : undefined],
+      [flagName(key), flags[key]],
+    ];
+    for (const [source, raw] of layers) {
+      // An empty environment variable means "not set", as before
+      if (raw === undefined || (source?.startsWith('env ') && raw === '')) continue;
+      const { value, error } = parseValue(spec, raw);
+      if (error) {
+        problems.push(`${key} (${source}): must be ${error}, got ${JSON.stringify(raw)}`);
+      } else {
+        values[key] = value;
+        sources[key] = source;
+      }
+    }
+  }
+
+  // Defaults that follow other settings
+  if (values.SEEN_STORE === null) {
+    values.SEEN_STORE = ['firestore', 'emulator'].includes(values.STORAGE_SINK) ? 'firestore' : 'json';
+  }
+
+  // Rules across settings
+  if (values.STORAGE_SINK === 'firestore') {
+    const missing = FIREBASE_ENV.filter(name => !env[name]);
+    if (missing.length > 0) {
+      problems.push(`STORAGE_SINK=firestore needs the environment variable(s) ${missing.join(', ')}`);
+    }
+  }
+  if (values.SEEN_STORE === 'firestore' && !['firestore', 'emulator'].includes(values.STORAGE_SINK)) {
+    problems.push(`SEEN_STORE=firestore needs the firestore or emulator storage sink (got ${values.STORAGE_SINK})`);
+  }
+  if (values.METADATA_CACHE_TTL_DAYS < values.METADATA_MAX_AGE_DAYS) {
+    problems.push('METADATA_CACHE_TTL_DAYS must be ≥ METADATA_MAX_AGE_DAYS');
+  }
+
+  return { values, sources, problems };
+}
+
+/**
+ * Resolve and validate the configuration, then update CONFIG in place.
+ * Throws one Error listing every problem.
+ */
+function loadConfig(options = {}) {
+  const { values, problems } = resolveConfig(options);
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  const CONFIG = require('./config');
+  Object.assign(CONFIG, values);
+  return CONFIG;
+}
+
+module.exports = {
+  SCHEMA,
+  flagName,
+  extractConfigFlags,
+  resolveConfig,
+  loadConfig,
+};
@@ -0,0 +1,112 @@
+/**
+ * Anime Hub Worker - lib/skip_report.js
+ *
+ * Machine-readable report of every schedule dropped by filterLatestEpisodes,
+ * so "why didn't show X appear?" can be answered after the run.
+ *
+ * Written to SKIP_REPORT_FILE (default reports/skip_report.json, uploaded
+ * as a workflow artifact) and, with SKIP_REPORT_TO_FIRESTORE=true, to
+ * runs/{runId} + runs/{runId}/skips/{scheduleId}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Reason codes
+const SKIP_REASONS = {
+  NO_MEDIA: 'NO_MEDIA',
+  ADULT: 'ADULT',
+  NOT_ANIME: 'NOT_ANIME',
+  TOO_OLD: 'TOO_OLD',
+  NOT_RELEASING: 'NOT_RELEASING',
+  DUPLICATE: 'DUPLICATE',
+  NO_DETAILS: 'NO_DETAILS', // passed the cheap filters but media details failed to load
+};
+
+// Firestore batches are capped at 500 ops
+const REPORT_CHUNK_SIZE = 450;
+
+/**
+ * Create an empty skip report for one run
+ */
+function createSkipReport(runId) {
+  const skips = [];
+  const counts = {};
+  let policyVersion = null;
+  let processed = 0;
+
+  return {
+    runId,
+    skips,
+
+    setPolicyVersion(version) {
+      policyVersion = version;
+    },
+
+    setProcessed(total) {
+      processed = total;
+    },
+
+    /**
+     * Record one dropped schedule.
+     * `rule` / `details` come from lib/policy.js decisions when relevant.
+     */
+    add(schedule, reason, message, { rule = null, details = {} } = {}) {
+      const media = schedule.media || {};
+      counts[reason] = (counts[reason] || 0) + 1;
+      skips.push({
+        scheduleId: schedule.id ?? null,
+        mediaId: media.id ?? null,
+        malId: media.idMal ?? null,
+        title: media.title?.english || media.title?.romaji || 'Unknown',
+        episode: schedule.episode ?? null,
+        airingAt: schedule.airingAt ?? null,
+        reason,
+        message,
+        rule,
+        details,
+      });
+    },
+
+    toJSON() {
+      return {
+        runId,
+        generatedAt: new Date().toISOString(),
+        policyVersion,
+        processed,
+        skipped: skips.length,
+        counts,
+        skips,
+      };
+    },
+
+    writeFile(file) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(this.toJSON(), null, 2), 'utf8');
+      console.log(`📝 Skip report written: ${file} (${skips.length} skipped)`);
+    },
+
+    async writeToStorage(storage) {
+      const report = this.toJSON();
+      const { skips: entries, ...summary } = report;
+
+      const summaryBatch = storage.batch();
+      summaryBatch.set('runs', runId, summary);
+      await summaryBatch.commit();
+
+      for (let i = 0; i < entries.length; i += REPORT_CHUNK_SIZE) {
+        const batch = storage.batch();
+        entries.slice(i, i + REPORT_CHUNK_SIZE).forEach((skip, n) => {
+          batch.set(`runs/${runId}/skips`, String(skip.scheduleId ?? `n${i + n}`), skip);
+        });
+        await batch.commit();
+      }
+      console.log(`📝 Skip report written to runs/${runId}/skips (${entries.length} skipped)`);
+    },
+  };
+}
+
+module.exports = {
+  SKIP_REASONS,
+  createSkipReport,
+};
@@ -0,0 +1,672 @@
+/**
+ * Anime Hub Worker - lib/sources/anilist.js
+ *
+ * AniList GraphQL source (primary producer).
+ * Endpoint: https://graphql.anilist.co
+ *
+ * Every source returns schedules in AniList's shape:
+ *   [{ id, episode, airingAt, media: { id, idMal, title, ... } }]
+ */
+
+const axios = require('axios');
+const CONFIG = require('../config');
+const { formatTimestamp } = require('../utils');
+const { createRequestScheduler } = require('../rate_limiter');
+
+// ============================================
+// GRAPHQL QUERIES
+// ============================================
+
+// Schedule pages stay slim: ids, episode, airingAt and the scalar fields the
+// cheap filters need. Everything else comes from MEDIA_DETAILS_QUERY.
+
+const AIRING_SCHEDULE_QUERY = `
+query ($page: Int, $perPage: Int) {
+  Page(page: $page, perPage: $perPage) {
+    pageInfo {
+      total
+      currentPage
+      lastPage
+      hasNextPage
+      perPage
+    }
+    airingSchedules(notYetAired: false, sort: TIME_DESC) {
+      id
+      episode
+      airingAt
+      mediaId
+      media {
+        id
+        idMal
+        title {
+          romaji
+        }
+        type
+        format
+        status
+        countryOfOrigin
+        isAdult
+      }
+    }
+  }
+}
+`;
+
+// Full media details — fetched once per unique media ID that passed the cheap filters
+const MEDIA_DETAILS_QUERY = `
+query ($page: Int, $perPage: Int, $ids: [Int]) {
+  Page(page: $page, perPage: $perPage) {
+    pageInfo {
+      hasNextPage
+      lastPage
+    }
+    media(id_in: $ids, type: ANIME) {
+      id
+      idMal
+      title {
+        romaji
+        english
+        native
+        userPreferred
+      }
+      coverImage {
+        extraLarge
+        large
+        medium
+        color
+      }
+      bannerImage
+      startDate {
+        year
+        month
+        day
+      }
+      endDate {
+        year
+        month
+        day
+      }
+      description
+      season
+      seasonYear
+      seasonInt
+      episodes
+      duration
+      countryOfOrigin
+      isLicensed
+      source
+      hashtag
+      trailer {
+        id
+        site
+      }
+      updatedAt
+      genres
+      synonyms
+      averageScore
+      meanScore
+      popularity
+      isLocked
+      trending
+      favourites
+      tags {
+        id
+        name
+        description
+        category
+        rank
+        isGeneralSpoiler
+        isMediaSpoiler
+        isAdult
+      }
+      relations {
+        edges {
+          id
+          relationType
+          node {
+            id
+            idMal
+            title {
+              romaji
+              english
+            }
+            type
+          }
+        }
+      }
+      characters {
+        edges {
+          id
+          role
+          name
+          node {
+            id
+            name {
+              first
+              middle
+              last
+              full
+              native
+            }
+          }
+        }
+      }
+      staff {
+        edges {
+          id
+          role
+          node {
+            id
+            name {
+              first
+              middle
+              last
+              full
+              native
+            }
+          }
+        }
+      }
+      studios(isMain: true) {
+        edges {
+          isMain
+          node {
+            id
+            name
+            isAnimationStudio
+            siteUrl
+          }
+        }
+      }
+      isAdult
+      nextAiringEpisode {
+        id
+        airingAt
+        timeUntilAiring
+        episode
+        mediaId
+      }
+      airingSchedule(notYetAired: true, perPage: 25) {
+        edges {
+          node {
+            id
+            airingAt
+            timeUntilAiring
+            episode
+          }
+        }
+      }
+      externalLinks {
+        id
+        url
+        site
+        type
+        language
+        color
+        icon
+      }
+      streamingEpisodes {
+        title
+        thumbnail
+        url
+        site
+      }
+      rankings {
+        id
+        rank
+        type
+        format
+        year
+        season
+        allTime
+        context
+      }
+      stats {
+        scoreDistribution {
+          score
+          amount
+        }
+        statusDistribution {
+          status
+          amount
+        }
+      }
+      siteUrl
+      autoCreateForumThread
+      isRecommendationBlocked
+      isReviewBlocked
+      modNotes
+      type
+      format
+      status
+    }
+  }
+}
+`;
+
+// Upcoming airings — only what the schedule view and the content filters need
+const UPCOMING_SCHEDULE_QUERY = `
+query ($page: Int, $perPage: Int, $from: Int, $until: Int) {
+  Page(page: $page, perPage: $perPage) {
+    pageInfo {
+      total
+      currentPage
+      lastPage
+      hasNextPage
+      perPage
+    }
+    airingSchedules(notYetAired: true, airingAt_greater: $from, airingAt_lesser: $until, sort: TIME) {
+      id
+      episode
+      airingAt
+      timeUntilAiring
+      media {
+        id
+        idMal
+        title {
+          romaji
+          english
+          native
+          userPreferred
+        }
+        coverImage {
+          extraLarge
+          large
+          medium
+          color
+        }
+        type
+        format
+        status
+        episodes
+        duration
+        countryOfOrigin
+        isAdult
+        genres
+        tags {
+          name
+          rank
+          isAdult
+        }
+        popularity
+        averageScore
+        siteUrl
+      }
+    }
+  }
+}
+`;
+
+// Same payload as AIRING_SCHEDULE_QUERY, bounded by date range and/or media IDs.
+// AniList ignores arguments passed as null.
+const BACKFILL_SCHEDULE_QUERY = AIRING_SCHEDULE_QUERY
+  .replace('query ($page: Int, $perPage: Int)',
+    'query ($page: Int, $perPage: Int, $from: Int, $until: Int, $mediaIds: [Int])')
+  .replace('airingSchedules(notYetAired: false, sort: TIME_DESC)',
+    'airingSchedules(notYetAired: false, airingAt_greater: $from, airingAt_lesser: $until, mediaId_in: $mediaIds, sort: TIME)');
+
+const MEDIA_IDS_BY_MAL_QUERY = `
+query ($page: Int, $perPage: Int, $malIds: [Int]) {
+  Page(page: $page, perPage: $perPage) {
+    pageInfo {
+      hasNextPage
+      lastPage
+    }
+    media(idMal_in: $malIds, type: ANIME) {
+      id
+      idMal
+    }
+  }
+}
+`;
+
+// Just enough for the lifecycle pass (lib/lifecycle.js)
+const MEDIA_STATUS_QUERY = `
+query ($page: Int, $perPage: Int, $ids: [Int]) {
+  Page(page: $page, perPage: $perPage) {
+    pageInfo {
+      hasNextPage
+      lastPage
+    }
+    media(id_in: $ids, type: ANIME) {
+      id
+      status
+      endDate {
+        year
+        month
+        day
+      }
+      nextAiringEpisode {
+        airingAt
+        episode
+      }
+    }
+  }
+}
+`;
+
+const MEDIA_IDS_BY_SEASON_QUERY = `
+query ($page: Int, $perPage: Int, $season: MediaSeason, $year: Int) {
+  Page(page: $page, perPage: $perPage) {
+    pageInfo {
+      hasNextPage
+      lastPage
+    }
+    media(season: $season, seasonYear: $year, type: ANIME) {
+      id
+      idMal
+    }
+  }
+}
+`;
+
+// ============================================
+// API FUNCTIONS
+// ============================================
+
+// One scheduler for every AniList call — see lib/rate_limiter.js.
+// Created on first use, so it picks up the loaded configuration.
+let scheduler = null;
+
+function getScheduler() {
+  if (!scheduler) {
+    scheduler = createRequestScheduler({
+      name: 'AniList',
+      minInterval: CONFIG.RATE_LIMIT_DELAY,
+      maxRetries: CONFIG.MAX_RETRIES,
+      retryDelay: CONFIG.RETRY_DELAY,
+    });
+  }
+  return scheduler;
+}
+
+/**
+ * POST a GraphQL query through the shared scheduler.
+ * Returns `{ data, errors, headers }`; throws once retries are exhausted
+ * or the error is not retryable (4xx, GraphQL validation errors).
+ */
+async function anilistRequest(query, variables = {}, label = 'request') {
+  const response = await getScheduler().run(async () => {
+    const res = await axios.post(CONFIG.ANILIST_API, { query, variables }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+      timeout: 30000,
+    });
+
+    // GraphQL errors with no data at all: retrying the same query will not help
+    if (res.data?.errors && !res.data?.data) {
+      const error = new Error(`GraphQL error: ${res.data.errors.map(err => err.message).join('; ')}`);
+      error.retryable = false;
+      throw error;
+    }
+    return res;
+  }, label);
+
+  // Partial data with errors — log and carry on
+  if (response.data.errors) {
+    console.error('⚠️  GraphQL Errors detected:');
+    response.data.errors.forEach((err, i) => {
+      console.error(`   Error ${i + 1}: ${err.message}`);
+      if (err.locations) {
+        console.error(`   Location: Line ${err.locations[0].line}, Column ${err.locations[0].column}`);
+      }
+    });
+  }
+
+  return { data: response.data.data, errors: response.data.errors, headers: response.headers };
+}
+
+/**
+ * Fetch a single page (retries and pacing handled by the scheduler)
+ */
+async function fetchPage(page, query = AIRING_SCHEDULE_QUERY, variables = {}) {
+  try {
+    const startTime = Date.now();
+
+    const response = await anilistRequest(query, {
+      ...variables,
+      page,
+      perPage: CONFIG.EPISODES_PER_PAGE,
+    }, `page ${page}`);
+
+    const requestTime = Date.now() - startTime;
+
+    const schedules = response.data?.Page?.airingSchedules || [];
+    const media = response.data?.Page?.media || [];
+    const pageInfo = response.data?.Page?.pageInfo || {};
+
+    console.log(`✅ Page ${page} fetched successfully`);
+    console.log(`   Response time: ${requestTime}ms`);
+    console.log(`   ${media.length > 0 ? `Media in page: ${media.length}` : `Episodes in page: ${schedules.length}`}`);
+    console.log(`   hasNextPage: ${pageInfo.hasNextPage} | lastPage: ${pageInfo.lastPage}`);
+    const { quota } = getScheduler();
+    console.log(`   Rate limit remaining: ${quota.remaining ?? 'N/A'}/${quota.limit ?? 'N/A'}`);
+
+    return { schedules, media, pageInfo };
+  } catch (error) {
+    console.error(`💥 Page ${page} failed: ${error.message}`);
+    if (error.response) {
+      console.error(`   Status: ${error.response.status}`);
+      console.error(`   Data:`, JSON.stringify(error.response.data, null, 2));
+    } else if (error.request) {
+      console.error(`   No response received from server`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Fetch ALL episodes with full pagination support
+ */
+async function fetchRecentlyAiredEpisodes() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📺 FETCHING EPISODES FROM ANILIST (ALL PAGES)');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🔗 API Endpoint: ${CONFIG.ANILIST_API}`);
+  console.log(`📄 Episodes per page: ${CONFIG.EPISODES_PER_PAGE}`);
+  console.log(`⏱️  Request time: ${new Date().toISOString()}\n`);
+
+  const allSchedules = [];
+  let currentPage = 1;
+  let hasNextPage = true;
+  const now = Date.now() / 1000;
+  const cutoffDate = now - (CONFIG.RECENCY_DAYS * 24 * 60 * 60);
+
+  while (hasNextPage) {
+    console.log(`\n📄 Fetching page ${currentPage}...`);
+
+    const result = await fetchPage(currentPage);
+
+    if (!result) {
+      console.error(`⚠️  Failed to fetch page ${currentPage}, stopping pagination`);
+      break;
+    }
+
+    const { schedules, pageInfo } = result;
+    allSchedules.push(...schedules);
+
+    // Early exit: if the last episode on this page is older than our cutoff,
+    // no need to fetch more pages (API returns TIME_DESC order)
+    if (schedules.length > 0) {
+      const oldestOnPage = schedules[schedules.length - 1].airingAt;
+      if (oldestOnPage < cutoffDate) {
+        console.log(`\n⏹️  Oldest episode on page ${currentPage} is beyond ${CONFIG.RECENCY_DAYS}-day window — stopping early`);
+        hasNextPage = false;
+        break;
+      }
+    }
+
+    hasNextPage = pageInfo.hasNextPage;
+
+    if (hasNextPage) {
+      currentPage++;
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`✅ Pagination complete!`);
+  console.log(`   Total pages fetched: ${currentPage}`);
+  console.log(`   Total episodes fetched: ${allSchedules.length}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  if (allSchedules.length === 0) {
+    console.log('⚠️  Warning: No episodes returned from API');
+  }
+
+  return allSchedules;
+}
+
+/**
+ * Fetch every page of a Page query and return the concatenated
+ * airingSchedules (or media, for media queries)
+ */
+async function fetchAllPages(query, variables = {}) {
+  const items = [];
+  let currentPage = 1;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    console.log(`\n📄 Fetching page ${currentPage}...`);
+
+    const result = await fetchPage(currentPage, query, variables);
+
+    if (!result) {
+      console.error(`⚠️  Failed to fetch page ${currentPage}, stopping pagination`);
+      break;
+    }
+
+    items.push(...result.schedules, ...result.media);
+    hasNextPage = result.pageInfo.hasNextPage;
+
+    if (hasNextPage) {
+      currentPage++;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Fetch full media details for unique AniList IDs, EPISODES_PER_PAGE per query.
+ * Returns a Map(mediaId → media); IDs that failed to load are missing.
+ */
+async function fetchMediaDetails(mediaIds) {
+  const details = new Map();
+  if (mediaIds.length === 0) return details;
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`📚 FETCHING MEDIA DETAILS (${mediaIds.length} show(s))`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  for (let i = 0; i < mediaIds.length; i += CONFIG.EPISODES_PER_PAGE) {
+    const ids = mediaIds.slice(i, i + CONFIG.EPISODES_PER_PAGE);
+    const media = await fetchAllPages(MEDIA_DETAILS_QUERY, { ids });
+    media.forEach(m => details.set(m.id, m));
+  }
+
+  console.log(`\n✅ Media details loaded: ${details.size}/${mediaIds.length}\n`);
+  return details;
+}
+
+/**
+ * Fetch status, endDate and next airing for AniList IDs (lifecycle pass).
+ * Returns a Map(mediaId → media); IDs that failed to load are missing.
+ */
+async function fetchMediaStatuses(mediaIds) {
+  const statuses = new Map();
+  for (let i = 0; i < mediaIds.length; i += CONFIG.EPISODES_PER_PAGE) {
+    const ids = mediaIds.slice(i, i + CONFIG.EPISODES_PER_PAGE);
+    const media = await fetchAllPages(MEDIA_STATUS_QUERY, { ids });
+    media.forEach(m => statuses.set(m.id, m));
+  }
+  return statuses;
+}
+
+/**
+ * Fetch every airing in the next CONFIG.UPCOMING_DAYS days (TIME ascending)
+ */
+async function fetchUpcomingSchedules() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🗓️  FETCHING UPCOMING SCHEDULE FROM ANILIST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  const from = Math.floor(Date.now() / 1000);
+  const until = from + (CONFIG.UPCOMING_DAYS * 24 * 60 * 60);
+  console.log(`📅 Window: ${formatTimestamp(from)} → ${formatTimestamp(until)}\n`);
+
+  const allSchedules = await fetchAllPages(UPCOMING_SCHEDULE_QUERY, { from, until });
+
+  console.log(`\n✅ Upcoming airings fetched: ${allSchedules.length}\n`);
+  return allSchedules;
+}
+
+// ============================================
+// BACKFILL
+// ============================================
+
+// mediaId_in accepts long lists, but keep each query's complexity reasonable
+const MEDIA_ID_CHUNK_SIZE = 25;
+
+/**
+ * Resolve MAL IDs to AniList media IDs
+ */
+async function resolveMalIds(malIds) {
+  const media = await fetchAllPages(MEDIA_IDS_BY_MAL_QUERY, { malIds });
+  const found = new Set(media.map(m => m.idMal));
+  malIds.filter(id => !found.has(id)).forEach(id => {
+    console.log(`   ⚠️  MAL ID ${id} not found on AniList`);
+  });
+  return media.map(m => m.id);
+}
+
+/**
+ * AniList media IDs of every anime in a season
+ */
+async function fetchSeasonMediaIds(season, year) {
+  const media = await fetchAllPages(MEDIA_IDS_BY_SEASON_QUERY, { season, year });
+  return media.map(m => m.id);
+}
+
+/**
+ * Fetch every aired schedule matching a date range and/or media IDs
+ * (TIME ascending). `from` / `until` are unix timestamps, both optional.
+ */
+async function fetchBackfillSchedules({ from = null, until = null, mediaIds = null }) {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('⏪ FETCHING BACKFILL SCHEDULES FROM ANILIST');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`📅 From: ${from ? formatTimestamp(from) : 'any'} | Until: ${until ? formatTimestamp(until) : 'now'}`);
+  console.log(`🎯 Media IDs: ${mediaIds ? mediaIds.length : 'all'}\n`);
+
+  const idChunks = [];
+  if (mediaIds) {
+    for (let i = 0; i < mediaIds.length; i += MEDIA_ID_CHUNK_SIZE) {
+      idChunks.push(mediaIds.slice(i, i + MEDIA_ID_CHUNK_SIZE));
+    }
+  } else {
+    idChunks.push(null);
+  }
+
+  const allSchedules = [];
+  for (const ids of idChunks) {
+    allSchedules.push(...await fetchAllPages(BACKFILL_SCHEDULE_QUERY, { from, until, mediaIds: ids }));
+  }
+
+  console.log(`\n✅ Backfill schedules fetched: ${allSchedules.length}\n`);
+  return allSchedules;
+}
+
+module.exports = {
+  name: 'anilist',
+  anilistRequest,
+  fetchPage,
+  fetchMediaDetails,
+  fetchMediaStatuses,
+  fetchRecentSchedules: fetchRecentlyAiredEpisodes,
+  fetchUpcomingSchedules,
+  fetchBackfillSchedules,
+  resolveMalIds,
+  fetchSeasonMediaIds,
+};
@@ -0,0 +1,305 @@
+/**
+ * Anime Hub Worker - lib/sources/jikan.js
+ *
+ * Jikan (unofficial MyAnimeList API) source.
+ * Endpoint: https://api.jikan.moe/v4
+ *
+ * Two jobs:
+ * - Fallback producer: when AniList returns nothing, /schedules +
+ *   /anime/{id}/episodes are turned into AniList-shaped schedules so the
+ *   normal filter → convert → write pipeline keeps working.
+ * - Enrichment: MAL-only fields (score, rank, members, ...) are added to
+ *   newly written documents, with per-field provenance.
+ */
+
+const axios = require('axios');
+const CONFIG = require('../config');
+const { delay, formatTimestamp } = require('../utils');
+
+// Jikan anime objects seen this run, keyed by MAL ID (saves enrichment requests)
+const animeCache = new Map();
+
+// ============================================
+// HTTP
+// ============================================
+
+/**
+ * GET a Jikan endpoint with rate limiting and retry logic.
+ * Returns the parsed body, or null after MAX_RETRIES failures.
+ */
+async function jikanGet(endpoint, params = {}) {
+  let retries = 0;
+
+  while (retries < CONFIG.MAX_RETRIES) {
+    await delay(CONFIG.JIKAN_RATE_LIMIT_DELAY);
+    try {
+      const response = await axios.get(`${CONFIG.JIKAN_API}${endpoint}`, {
+        params,
+        headers: { 'Accept': 'application/json' },
+        timeout: 30000,
+      });
+      return response.data;
+    } catch (error) {
+      retries++;
+      const status = error.response?.status;
+      console.error(`❌ Jikan ${endpoint} failed (Attempt ${retries}/${CONFIG.MAX_RETRIES}): ${error.message}`);
+
+      // 404 will not get better by retrying
+      if (status === 404) return null;
+
+      if (retries < CONFIG.MAX_RETRIES) {
+        const waitTime = CONFIG.RETRY_DELAY * retries * (status === 429 ? 2 : 1);
+        console.log(`   ⏳ Retrying in ${waitTime / 1000} seconds...`);
+        await delay(waitTime);
+      }
+    }
+  }
+
+  return null;
+}
+
+// ============================================
+// MAPPING (Jikan → AniList shape)
+// ============================================
+
+const FORMAT_MAP = {
+  'TV': 'TV',
+  'TV Special': 'SPECIAL',
+  'Special': 'SPECIAL',
+  'OVA': 'OVA',
+  'ONA': 'ONA',
+  'Movie': 'MOVIE',
+  'Music': 'MUSIC',
+  'PV': 'PV',
+  'CM': 'CM',
+};
+
+const STATUS_MAP = {
+  'Currently Airing': 'RELEASING',
+  'Finished Airing': 'FINISHED',
+  'Not yet aired': 'NOT_YET_RELEASED',
+};
+
+function toFuzzyDate(prop) {
+  if (!prop || !prop.year) return null;
+  return { year: prop.year, month: prop.month, day: prop.day };
+}
+
+/**
+ * Convert a Jikan anime object into the AniList media shape used by
+ * isAdultContent / isAnime / convertToFirestoreFormat.
+ */
+function toAniListMedia(anime) {
+  const names = list => (list || []).map(item => item.name);
+
+  return {
+    id: null,
+    idMal: anime.mal_id,
+    title: {
+      romaji: anime.title || '',
+      english: anime.title_english || null,
+      native: anime.title_japanese || null,
+      userPreferred: anime.title || '',
+    },
+    coverImage: {
+      extraLarge: anime.images?.jpg?.large_image_url || null,
+      large: anime.images?.jpg?.image_url || null,
+      medium: anime.images?.jpg?.small_image_url || null,
+      color: null,
+    },
+    bannerImage: null,
+    startDate: toFuzzyDate(anime.aired?.prop?.from),
+    endDate: toFuzzyDate(anime.aired?.prop?.to),
+    description: anime.synopsis || '',
+    season: anime.season ? anime.season.toUpperCase() : null,
+    seasonYear: anime.year || null,
+    episodes: anime.episodes || null,
+    duration: parseInt(anime.duration, 10) || null,
+    countryOfOrigin: null, // MAL does not expose it
+    source: anime.source || '',
+    trailer: anime.trailer?.youtube_id ? { id: anime.trailer.youtube_id, site: 'youtube' } : null,
+    genres: [...names(anime.genres), ...names(anime.explicit_genres)],
+    synonyms: anime.title_synonyms || [],
+    averageScore: anime.score ? Math.round(anime.score * 10) : null,
+    popularity: anime.members || 0,
+    favourites: anime.favorites || 0,
+    tags: [...names(anime.themes), ...names(anime.demographics)].map(name => ({ name })),
+    studios: {
+      edges: (anime.studios || []).map(studio => ({
+        isMain: true,
+        node: { id: studio.mal_id, name: studio.name, isAnimationStudio: true, siteUrl: studio.url },
+      })),
+    },
+    isAdult: (anime.rating || '').startsWith('Rx'),
+    type: 'ANIME',
+    format: FORMAT_MAP[anime.type] || anime.type || '',
+    status: STATUS_MAP[anime.status] || '',
+    siteUrl: '',
+  };
+}
+
+/**
+ * MAL-only fields added to the Firestore document
+ */
+function malFields(anime) {
+  return {
+    malScore: anime.score ?? null,
+    malScoredBy: anime.scored_by ?? null,
+    malRank: anime.rank ?? null,
+    malPopularity: anime.popularity ?? null,
+    malMembers: anime.members ?? null,
+    malFavorites: anime.favorites ?? null,
+    malRating: anime.rating || '',
+  };
+}
+
+// ============================================
+// FALLBACK PRODUCER
+// ============================================
+
+/**
+ * Jikan episode dates carry no time. When the show has a JST broadcast
+ * slot, use it; otherwise fall back to midnight UTC of the aired date.
+ */
+function episodeAiringTime(episode, anime) {
+  const aired = new Date(episode.aired);
+  if (Number.isNaN(aired.getTime())) return null;
+
+  const time = anime.broadcast?.time;
+  if (time && anime.broadcast?.timezone === 'Asia/Tokyo') {
+    const [hours, minutes] = time.split(':').map(Number);
+    const jstMidnight = Date.UTC(aired.getUTCFullYear(), aired.getUTCMonth(), aired.getUTCDate()) - 9 * 3600 * 1000;
+    return Math.floor((jstMidnight + (hours * 60 + minutes) * 60 * 1000) / 1000);
+  }
+  return Math.floor(aired.getTime() / 1000);
+}
+
+/**
+ * Latest aired episode of one show, or null
+ */
+async function fetchLatestEpisode(anime, now) {
+  const endpoint = `/anime/${anime.mal_id}/episodes`;
+  let body = await jikanGet(endpoint);
+  if (!body) return null;
+
+  // Episodes are paged 100 at a time, oldest first
+  const lastPage = body.pagination?.last_visible_page || 1;
+  if (lastPage > 1) {
+    body = await jikanGet(endpoint, { page: lastPage });
+    if (!body) return null;
+  }
+
+  const aired = (body.data || [])
+    .map(ep => ({ episode: ep.mal_id, airingAt: episodeAiringTime(ep, anime) }))
+    .filter(ep => ep.airingAt && ep.airingAt <= now);
+
+  return aired.length > 0 ? aired[aired.length - 1] : null;
+}
+
+/**
+ * Produce AniList-shaped schedules for the recency window from Jikan
+ */
+async function fetchRecentSchedules() {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📺 FETCHING EPISODES FROM JIKAN (FALLBACK)');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`🔗 API Endpoint: ${CONFIG.JIKAN_API}\n`);
+
+  const now = Math.floor(Date.now() / 1000);
+  const cutoffDate = now - (CONFIG.RECENCY_DAYS * 24 * 60 * 60);
+
+  // ── Step 1: Every show on this week's schedule ──
+  const airing = [];
+  let page = 1;
+  let hasNextPage = true;
+  while (hasNextPage) {
+    const body = await jikanGet('/schedules', { page, sfw: true, kids: false });
+    if (!body) {
+      console.error(`⚠️  Failed to fetch schedules page ${page}, stopping pagination`);
+      break;
+    }
+    for (const anime of body.data || []) {
+      animeCache.set(anime.mal_id, anime);
+      if (anime.status === 'Currently Airing') airing.push(anime);
+    }
+    console.log(`✅ Schedules page ${page}: ${(body.data || []).length} show(s)`);
+    hasNextPage = !!body.pagination?.has_next_page;
+    page++;
+  }
+
+  console.log(`\n📊 Currently airing shows: ${airing.length}\n`);
+
+  // ── Step 2: Latest aired episode per show ──
+  const schedules = [];
+  for (let i = 0; i < airing.length; i++) {
+    const anime = airing[i];
+    const latest = await fetchLatestEpisode(anime, now);
+
+    if (!latest || latest.airingAt < cutoffDate) {
+      console.log(`[${i + 1}/${airing.length}] ${anime.title} — no episode in window`);
+      continue;
+    }
+
+    console.log(`[${i + 1}/${airing.length}] ${anime.title} — ep ${latest.episode} (${formatTimestamp(latest.airingAt)})`);
+    schedules.push({
+      id: `jikan:${anime.mal_id}:${latest.episode}`,
+      episode: latest.episode,
+      airingAt: latest.airingAt,
+      source: 'jikan',
+      media: toAniListMedia(anime),
+    });
+  }
+
+  console.log(`\n✅ Jikan fallback produced ${schedules.length} schedule(s)\n`);
+  return schedules;
+}
+
+// ============================================
+// ENRICHMENT
+// ============================================
+
+/**
+ * Add MAL-only fields to a converted document.
+ * Never throws — on failure the document is returned unchanged.
+ */
+async function enrichAnimeData(animeData) {
+  // Shows keyed by AniList ID have nothing on MAL yet
+  if (!animeData.malId) return animeData;
+
+  let anime = animeCache.get(animeData.malId);
+
+  if (!anime) {
+    const body = await jikanGet(`/anime/${animeData.malId}`);
+    anime = body?.data;
+    if (!anime) {
+      console.log(`   ⚠️  Jikan enrichment unavailable for MAL ID ${animeData.malId}`);
+      return animeData;
+    }
+    animeCache.set(anime.mal_id, anime);
+  }
+
+  const fields = malFields(anime);
+  const provenanceFields = { ...(animeData.provenance?.fields || {}) };
+  for (const field of Object.keys(fields)) {
+    provenanceFields[field] = 'jikan';
+  }
+
+  console.log(`   ⭐ MAL: score ${fields.malScore ?? 'N/A'} | rank #${fields.malRank ?? 'N/A'} | members ${fields.malMembers ?? 'N/A'}`);
+
+  return {
+    ...animeData,
+    ...fields,
+    provenance: {
+      ...animeData.provenance,
+      fields: provenanceFields,
+      jikanFetchedAt: new Date().toISOString(),
+    },
+  };
+}
+
+module.exports = {
+  name: 'jikan',
+  fetchRecentSchedules,
+  enrichAnimeData,
+  toAniListMedia,
+};
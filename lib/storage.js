@@ -0,0 +1,352 @@
+/**
+ * Anime Hub Worker - lib/storage.js
+ *
+ * Storage sinks used by the worker. Every write goes through the same
+ * small batch interface, so the pipeline can run against:
+ *
+ *   firestore  Production Firestore (FIREBASE_* service account env vars)
+ *   emulator   Firestore emulator (FIRESTORE_EMULATOR_HOST, default localhost:8080)
+ *   json       A local directory of JSON documents (STORAGE_DIR, default .local_store)
+ *   dry-run    Prints the diff it would write and writes nothing
+ *
+ * Pick one with the STORAGE_SINK setting (default: firestore).
+ *
+ * Interface:
+ *   storage.name                          sink name
+ *   storage.readOnly                      true when nothing is persisted
+ *   storage.batch()                       → { set(collection, docId, data, { merge }),
+ *                                             delete(collection, docId), commit() }
+ *   storage.getDocs(collection, docIds)   → Map(docId → data | null)
+ *   storage.listDocs(collection)          → Map(docId → data) of every document
+ *   storage.listRecent(collection, field, { since, limit })
+ *                                         → Map(docId → data) of the documents whose numeric
+ *                                           `field` is ≥ since, newest (largest) first
+ *   storage.messaging()                   → firebase-admin Messaging (firestore sink only)
+ *
+ * `collection` is a slash separated path, e.g. "episodes" or
+ * "episodes/59853/history".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const { SCHEMA } = require('./settings');
+
+const SINKS = SCHEMA.STORAGE_SINK.values;
+
+// ============================================
+// HELPERS
+// ============================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Same semantics as Firestore's set(..., { merge: true }):
+ * nested maps are merged, everything else (arrays included) is replaced.
+ */
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [field, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(result[field])) {
+      result[field] = deepMerge(result[field], value);
+    } else {
+      result[field] = value;
+    }
+  }
+  return result;
+}
+
+function requireEnv(name, sink) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Missing environment variable ${name} (required by the "${sink}" storage sink)`);
+  }
+  return value;
+}
+
+// ============================================
+// FIRESTORE / EMULATOR SINK
+// ============================================
+
+function createFirestoreStorage({ emulator = false } = {}) {
+  const admin = require('firebase-admin');
+  const sink = emulator ? 'emulator' : 'firestore';
+
+  console.log(`🔧 Initializing Firebase (${sink})...`);
+
+  if (emulator) {
+    if (!process.env.FIRESTORE_EMULATOR_HOST) {
+      process.env.FIRESTORE_EMULATOR_HOST = 'localhost:8080';
+    }
+    const projectId = process.env.FIREBASE_PROJECT_ID || 'demo-anime-hub';
+    console.log(`   Emulator host: ${process.env.FIRESTORE_EMULATOR_HOST}`);
+    console.log(`   Project ID: ${projectId}`);
+    admin.initializeApp({ projectId });
+  } else {
+    const serviceAccount = {
+      projectId: requireEnv('FIREBASE_PROJECT_ID', sink),
+      privateKey: requireEnv('FIREBASE_PRIVATE_KEY', sink).replace(/\\n/g, '\n'),
+      clientEmail: requireEnv('FIREBASE_CLIENT_EMAIL', sink),
+    };
+    console.log(`   Project ID: ${serviceAccount.projectId}`);
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+  }
+
+  const db = admin.firestore();
+  console.log('✅ Firebase initialized successfully\n');
+
+  return {
+    name: sink,
+    readOnly: false,
+    db,
+
+    // The emulator suite has no FCM — only production can send notifications
+    messaging: emulator ? undefined : () => admin.messaging(),
+
+    batch() {
+      const batch = db.batch();
+      return {
+        set(collection, docId, data, options = {}) {
+          batch.set(db.collection(collection).doc(String(docId)), data, options);
+        },
+        delete(collection, docId) {
+          batch.delete(db.collection(collection).doc(String(docId)));
+        },
+        commit() {
+          return batch.commit();
+        },
+      };
+    },
+
+    async getDocs(collection, docIds) {
+      const result = new Map();
+      if (docIds.length === 0) return result;
+      const refs = docIds.map(id => db.collection(collection).doc(String(id)));
+      const snapshots = await db.getAll(...refs);
+      snapshots.forEach((snap, i) => {
+        result.set(String(docIds[i]), snap.exists ? snap.data() : null);
+      });
+      return result;
+    },
+
+    async listDocs(collection) {
+      const snapshot = await db.collection(collection).get();
+      return new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    },
+
+    async listRecent(collection, field, { since = null, limit = null } = {}) {
+      let query = db.collection(collection).orderBy(field, 'desc');
+      if (since !== null) query = query.where(field, '>=', since);
+      if (limit !== null) query = query.limit(limit);
+      const snapshot = await query.get();
+      return new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    },
+  };
+}
+
+// ============================================
+// LOCAL JSON DIRECTORY SINK
+// ============================================
+
+function docPath(dir, collection, docId) {
+  return path.join(dir, ...collection.split('/'), `${docId}.json`);
+}
+
+function readJsonDoc(dir, collection, docId) {
+  const file = docPath(dir, collection, docId);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function listJsonDocs(dir, collection) {
+  const folder = path.join(dir, ...collection.split('/'));
+  const result = new Map();
+  if (!fs.existsSync(folder)) return result;
+  for (const file of fs.readdirSync(folder)) {
+    if (!file.endsWith('.json')) continue;
+    const docId = file.slice(0, -'.json'.length);
+    result.set(docId, readJsonDoc(dir, collection, docId));
+  }
+  return result;
+}
+
+// Like the Firestore query: documents without the field are left out
+function listRecentJsonDocs(dir, collection, field, { since = null, limit = null } = {}) {
+  const docs = Array.from(listJsonDocs(dir, collection).entries())
+    .filter(([, doc]) => typeof doc[field] === 'number' && (since === null || doc[field] >= since))
+    .sort(([, a], [, b]) => b[field] - a[field]);
+  return new Map(limit === null ? docs : docs.slice(0, limit));
+}
+
+function createJsonStorage(dir) {
+  console.log(`📁 Using local JSON storage: ${path.resolve(dir)}\n`);
+
+  return {
+    name: 'json',
+    readOnly: false,
+    dir,
+
+    batch() {
+      const ops = [];
+      return {
+        set(collection, docId, data, options = {}) {
+          ops.push({ type: 'set', collection, docId: String(docId), data, merge: !!options.merge });
+        },
+        delete(collection, docId) {
+          ops.push({ type: 'delete', collection, docId: String(docId) });
+        },
+        async commit() {
+          for (const op of ops) {
+            const file = docPath(dir, op.collection, op.docId);
+            if (op.type === 'delete') {
+              if (fs.existsSync(file)) fs.unlinkSync(file);
+              continue;
+            }
+            const existing = op.merge ? readJsonDoc(dir, op.collection, op.docId) : null;
+            const data = existing ? deepMerge(existing, op.data) : op.data;
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+          }
+        },
+      };
+    },
+
+    async getDocs(collection, docIds) {
+      const result = new Map();
+      for (const id of docIds) {
+        result.set(String(id), readJsonDoc(dir, collection, id));
+      }
+      return result;
+    },
+
+    async listDocs(collection) {
+      return listJsonDocs(dir, collection);
+    },
+
+    async listRecent(collection, field, options) {
+      return listRecentJsonDocs(dir, collection, field, options);
+    },
+  };
+}
+
+// ============================================
+// DRY-RUN SINK
+// ============================================
+
+function previewValue(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return 'undefined';
+  return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+}
+
+/**
+ * Print what a set() would change compared to the current document.
+ * The "current" document comes from STORAGE_DIR when it exists, so a
+ * dry run can be diffed against a previous json-sink run.
+ */
+function printDiff(op, existing) {
+  const label = op.merge ? 'set (merge)' : 'set';
+  console.log(`   📝 [dry-run] ${label} ${op.collection}/${op.docId}`);
+
+  let unchanged = 0;
+  for (const [field, value] of Object.entries(op.data)) {
+    if (!existing || !(field in existing)) {
+      console.log(`      + ${field}: ${previewValue(value)}`);
+    } else if (JSON.stringify(existing[field]) !== JSON.stringify(value)) {
+      console.log(`      ~ ${field}: ${previewValue(existing[field])} → ${previewValue(value)}`);
+    } else {
+      unchanged++;
+    }
+  }
+  if (existing && !op.merge) {
+    for (const field of Object.keys(existing)) {
+      if (!(field in op.data)) console.log(`      - ${field}`);
+    }
+  }
+  if (unchanged > 0) console.log(`      (${unchanged} field(s) unchanged)`);
+}
+
+function createDryRunStorage(dir) {
+  const hasBaseline = fs.existsSync(dir);
+  console.log('🧪 DRY RUN — nothing will be written');
+  console.log(hasBaseline ?
+    `   Diffing against local JSON storage: ${path.resolve(dir)}\n` :
+    '   No local JSON storage found — every document is shown as new\n');
+
+  return {
+    name: 'dry-run',
+    readOnly: true,
+
+    batch() {
+      const ops = [];
+      return {
+        set(collection, docId, data, options = {}) {
+          ops.push({ type: 'set', collection, docId: String(docId), data, merge: !!options.merge });
+        },
+        delete(collection, docId) {
+          ops.push({ type: 'delete', collection, docId: String(docId) });
+        },
+        async commit() {
+          for (const op of ops) {
+            if (op.type === 'delete') {
+              console.log(`   📝 [dry-run] delete ${op.collection}/${op.docId}`);
+              continue;
+            }
+            const existing = hasBaseline ? readJsonDoc(dir, op.collection, op.docId) : null;
+            printDiff(op, existing);
+          }
+        },
+      };
+    },
+
+    async getDocs(collection, docIds) {
+      const result = new Map();
+      for (const id of docIds) {
+        result.set(String(id), hasBaseline ? readJsonDoc(dir, collection, id) : null);
+      }
+      return result;
+    },
+
+    async listDocs(collection) {
+      return hasBaseline ? listJsonDocs(dir, collection) : new Map();
+    },
+
+    async listRecent(collection, field, options) {
+      return hasBaseline ? listRecentJsonDocs(dir, collection, field, options) : new Map();
+    },
+  };
+}
+
+// ============================================
+// FACTORY
+// ============================================
+
+/**
+ * Create the storage sink selected by `sink` (or STORAGE_SINK).
+ * Throws with a readable message on unknown sinks or missing credentials.
+ */
+function createStorage(sink = CONFIG.STORAGE_SINK) {
+  const dir = CONFIG.STORAGE_DIR;
+
+  switch (sink) {
+    case 'firestore':
+      return createFirestoreStorage();
+    case 'emulator':
+      return createFirestoreStorage({ emulator: true });
+    case 'json':
+      return createJsonStorage(dir);
+    case 'dry-run':
+      return createDryRunStorage(dir);
+    default:
+      throw new Error(`Unknown storage sink "${sink}" (expected one of: ${SINKS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  SINKS,
+  createStorage,
+};
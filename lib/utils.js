@@ -0,0 +1,72 @@
+/**
+ * Anime Hub Worker - lib/utils.js
+ *
+ * Small helpers shared by the worker modules.
+ */
+
+async function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function formatTimestamp(unixTimestamp) {
+  return new Date(unixTimestamp * 1000).toISOString();
+}
+
+/**
+ * "yyyy-mm-dd" of an AniList fuzzy date ({ year, month, day }), or null without a year
+ */
+function formatFuzzyDate(date) {
+  if (!date || !date.year) return null;
+  return `${date.year}-${String(date.month || 1).padStart(2, '0')}-${String(date.day || 1).padStart(2, '0')}`;
+}
+
+function cleanHtmlTags(html) {
+  if (!html) return '';
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .trim();
+}
+
+/**
+ * "Episode 3", "Episodes 1–3" or "Episodes 1, 3, 4" for a list of episode numbers
+ */
+function describeEpisodes(episodes) {
+  const sorted = Array.from(new Set(episodes)).sort((a, b) => a - b);
+  if (sorted.length === 1) return `Episode ${sorted[0]}`;
+  const contiguous = sorted[sorted.length - 1] - sorted[0] === sorted.length - 1;
+  return `Episodes ${contiguous ? `${sorted[0]}–${sorted[sorted.length - 1]}` : sorted.join(', ')}`;
+}
+
+/**
+ * "Episode 3 is out now" or "3 new episodes are out now (Episodes 1–3)"
+ */
+function announceEpisodes(episodes) {
+  const count = new Set(episodes).size;
+  if (count === 1) return `${describeEpisodes(episodes)} is out now`;
+  return `${count} new episodes are out now (${describeEpisodes(episodes)})`;
+}
+
+/**
+ * Identifier for one worker run — sortable, and tied to the GitHub
+ * Actions run when there is one.
+ */
+function createRunId() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return process.env.GITHUB_RUN_ID ? `${stamp}_gh${process.env.GITHUB_RUN_ID}` : stamp;
+}
+
+module.exports = {
+  delay,
+  formatTimestamp,
+  formatFuzzyDate,
+  cleanHtmlTags,
+  describeEpisodes,
+  announceEpisodes,
+  createRunId,
+};
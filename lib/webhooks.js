@@ -0,0 +1,286 @@
+/**
+ * Anime Hub Worker - lib/webhooks.js
+ *
+ * Outbound webhooks for new episodes and failed runs. Targets live in
+ * WEBHOOKS_FILE (default webhooks.json; no file = no webhooks):
+ *
+ *   {
+ *     "targets": [
+ *       {
+ *         "name": "community-discord",
+ *         "type": "discord",              // discord | slack | json
+ *         "urlEnv": "DISCORD_WEBHOOK_URL", // URLs are secrets — read from env
+ *         "events": ["episode"],          // episode | failure
+ *         "filters": { "genres": ["Action"], "minPopularity": 5000 }
+ *       },
+ *       {
+ *         "name": "partner-api",
+ *         "type": "json",
+ *         "urlEnv": "PARTNER_WEBHOOK_URL",
+ *         "secretEnv": "PARTNER_WEBHOOK_SECRET", // HMAC-SHA256 signature
+ *         "events": ["episode", "failure"]
+ *       }
+ *     ]
+ *   }
+ *
+ * Episode filters (all optional, all must pass):
+ *   genres / excludeGenres   any-of match on the show's genres
+ *   formats                  AniList format (TV, ONA, ...)
+ *   minPopularity            AniList popularity
+ *   animeIds                 canonical ids (MAL id, or "al{AniList id}")
+ *
+ * Generic JSON payloads are signed as
+ *   X-AnimeHub-Signature: sha256=HMAC(secret, "{X-AnimeHub-Timestamp}.{body}")
+ *
+ * Every target has its own request scheduler (429 / Retry-After aware).
+ * Delivery failures are logged and never fail the run.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const CONFIG = require('./config');
+const { createRequestScheduler } = require('./rate_limiter');
+const { announceEpisodes } = require('./utils');
+
+const TYPES = ['discord', 'slack', 'json'];
+const EVENTS = ['episode', 'failure'];
+
+// Discord allows 10 embeds per message; Slack 50 blocks (≈ 2 per episode)
+const EPISODES_PER_MESSAGE = { discord: 10, slack: 20, json: 100 };
+
+const DISCORD_COLOR_EPISODE = 0x3db4f2; // AniList blue
+const DISCORD_COLOR_FAILURE = 0xe53935;
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Load and validate the webhook targets. A missing file means no webhooks.
+ */
+function loadWebhookTargets(file = CONFIG.WEBHOOKS_FILE) {
+  if (!fs.existsSync(file)) return [];
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read webhook config ${file}: ${error.message}`);
+  }
+
+  return (raw.targets || []).map((target, i) => {
+    const name = target.name || `target${i}`;
+    if (!TYPES.includes(target.type)) {
+      throw new Error(`Invalid webhook config: "${name}" type must be one of ${TYPES.join(', ')}`);
+    }
+    const events = target.events || ['episode'];
+    if (!Array.isArray(events) || events.some(event => !EVENTS.includes(event))) {
+      throw new Error(`Invalid webhook config: "${name}" events must be a subset of ${EVENTS.join(', ')}`);
+    }
+    const url = target.url || (target.urlEnv && process.env[target.urlEnv]);
+    if (!url) {
+      console.log(`⚠️  Webhook "${name}": ${target.urlEnv || 'url'} not set — target disabled`);
+      return null;
+    }
+    return {
+      name,
+      type: target.type,
+      url,
+      secret: target.secretEnv ? process.env[target.secretEnv] || null : null,
+      events,
+      filters: target.filters || {},
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Whether a converted episode document passes a target's filters
+ */
+function matchesFilters(animeData, filters) {
+  const genres = animeData.genres || [];
+  if (filters.genres?.length && !filters.genres.some(genre => genres.includes(genre))) return false;
+  if (filters.excludeGenres?.length && filters.excludeGenres.some(genre => genres.includes(genre))) return false;
+  if (filters.formats?.length && !filters.formats.includes(animeData.format)) return false;
+  if (filters.minPopularity && (animeData.popularity || 0) < filters.minPopularity) return false;
+  if (filters.animeIds?.length && !filters.animeIds.map(String).includes(String(animeData.animeId))) return false;
+  return true;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+function episodeSummary(animeData) {
+  return {
+    animeId: animeData.animeId,
+    anilistId: animeData.anilistId,
+    title: animeData.title,
+    episode: animeData.latestEpisode,
+    episodes: animeData.newEpisodes || [animeData.latestEpisode],
+    airedAt: animeData.episodeAiredDate,
+    imageUrl: animeData.imageUrl || null,
+    anilistUrl: animeData.anilist_url || null,
+    malUrl: animeData.mal_url || null,
+    genres: animeData.genres || [],
+    format: animeData.format || null,
+    popularity: animeData.popularity || 0,
+  };
+}
+
+const RENDERERS = {
+  discord: {
+    episodes: episodes => ({
+      embeds: episodes.map(ep => ({
+        title: ep.title,
+        url: ep.anilistUrl || undefined,
+        description: announceEpisodes(ep.episodes),
+        color: DISCORD_COLOR_EPISODE,
+        thumbnail: ep.imageUrl ? { url: ep.imageUrl } : undefined,
+        fields: ep.genres.length ? [{ name: 'Genres', value: ep.genres.join(', '), inline: true }] : undefined,
+        timestamp: ep.airedAt,
+      })),
+    }),
+    failure: failure => ({
+      embeds: [{
+        title: '💥 Anime Hub Worker failed',
+        description: `\`\`\`${failure.error.message.substring(0, 1000)}\`\`\``,
+        color: DISCORD_COLOR_FAILURE,
+        fields: [
+          { name: 'Run', value: failure.runId, inline: true },
+          { name: 'Mode', value: failure.mode, inline: true },
+        ],
+        timestamp: failure.failedAt,
+      }],
+    }),
+  },
+
+  slack: {
+    episodes: episodes => ({
+      text: `${episodes.reduce((sum, ep) => sum + ep.episodes.length, 0)} new episode(s)`,
+      blocks: episodes.flatMap(ep => [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*${ep.anilistUrl ? `<${ep.anilistUrl}|${ep.title}>` : ep.title}*\n${announceEpisodes(ep.episodes)}`,
+          },
+          ...(ep.imageUrl ? { accessory: { type: 'image', image_url: ep.imageUrl, alt_text: ep.title } } : {}),
+        },
+        { type: 'divider' },
+      ]),
+    }),
+    failure: failure => ({
+      text: `💥 Anime Hub Worker failed: ${failure.error.message}`,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: '💥 Anime Hub Worker failed' } },
+        { type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${failure.error.message.substring(0, 2000)}\`\`\`` } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `Run \`${failure.runId}\` · mode \`${failure.mode}\`` }] },
+      ],
+    }),
+  },
+
+  json: {
+    episodes: (episodes, runId) => ({ event: 'episode', runId, sentAt: new Date().toISOString(), episodes }),
+    failure: failure => ({ event: 'failure', sentAt: new Date().toISOString(), ...failure }),
+  },
+};
+
+/**
+ * Headers for a generic JSON payload: HMAC-SHA256 over "{timestamp}.{body}"
+ */
+function signatureHeaders(body, secret) {
+  if (!secret) return {};
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'X-AnimeHub-Timestamp': timestamp,
+    'X-AnimeHub-Signature': `sha256=${signature}`,
+  };
+}
+
+// ============================================
+// NOTIFIER
+// ============================================
+
+/**
+ * Create the webhook notifier for one run. With `dryRun` payloads are only printed.
+ */
+function createWebhookNotifier({ runId, mode, targets = loadWebhookTargets(), dryRun = false }) {
+  const schedulers = new Map(targets.map(target => [target.name, createRequestScheduler({
+    name: `webhook:${target.name}`,
+    minInterval: CONFIG.WEBHOOK_MIN_INTERVAL,
+    maxRetries: CONFIG.MAX_RETRIES,
+    retryDelay: CONFIG.RETRY_DELAY,
+  })]));
+
+  if (targets.length > 0) {
+    console.log(`🪝 Webhooks: ${targets.map(target => `${target.name} (${target.type})`).join(', ')}${dryRun ? ' — dry run, payloads are only printed' : ''}`);
+  }
+
+  async function post(target, payload) {
+    const body = JSON.stringify(payload);
+    if (dryRun) {
+      console.log(`   🪝 Would POST to ${target.name}: ${body.substring(0, 300)}${body.length > 300 ? '…' : ''}`);
+      return true;
+    }
+    try {
+      await schedulers.get(target.name).run(() => axios.post(target.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(target.type === 'json' ? signatureHeaders(body, target.secret) : {}),
+        },
+        timeout: 15000,
+      }), target.name);
+      return true;
+    } catch (error) {
+      console.error(`   ❌ Webhook ${target.name} failed: ${error.response?.status || ''} ${error.message}`);
+      return false;
+    }
+  }
+
+  return {
+    /**
+     * Post newly written episodes (converted documents) to every matching target
+     */
+    async notifyEpisodes(animeDataList) {
+      for (const target of targets.filter(t => t.events.includes('episode'))) {
+        const episodes = animeDataList
+          .filter(animeData => matchesFilters(animeData, target.filters))
+          .map(episodeSummary);
+        if (episodes.length === 0) continue;
+
+        const perMessage = EPISODES_PER_MESSAGE[target.type];
+        let delivered = 0;
+        for (let i = 0; i < episodes.length; i += perMessage) {
+          const chunk = episodes.slice(i, i + perMessage);
+          if (await post(target, RENDERERS[target.type].episodes(chunk, runId))) delivered += chunk.length;
+        }
+        console.log(`   🪝 ${target.name}: ${delivered}/${episodes.length} episode(s) posted`);
+      }
+    },
+
+    /**
+     * Report a fatal run error to every target subscribed to failures
+     */
+    async notifyFailure(error) {
+      const failure = {
+        runId,
+        mode,
+        failedAt: new Date().toISOString(),
+        error: { message: error.message || String(error), stack: error.stack || null },
+      };
+      for (const target of targets.filter(t => t.events.includes('failure'))) {
+        if (await post(target, RENDERERS[target.type].failure(failure))) {
+          console.error(`   🪝 ${target.name}: failure reported`);
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  loadWebhookTargets,
+  matchesFilters,
+  createWebhookNotifier,
+};
@@ -0,0 +1,77 @@
+/**
+ * lifecycle.js
+ *
+ * Runs once daily after cleanup_seen.js. Checks every show in `episodes`
+ * against AniList (lib/lifecycle.js): marks shows that finished, were
+ * cancelled, went on hiatus or stopped airing, fills in their `endDate`,
+ * and moves shows ended for LIFECYCLE_GRACE_DAYS to `archive`.
+ * Transitions are written to LIFECYCLE_REPORT_FILE.
+ *
+ * Holds the same run lock as fetch.js (locks/fetch), so it never
+ * rewrites a document under a running fetch.
+ */
+
+const CONFIG = require('./lib/config');
+const { runCommand } = require('./lib/command');
+const { createRunId } = require('./lib/utils');
+const { createStorage } = require('./lib/storage');
+const { acquireLock } = require('./lib/lock');
+const anilist = require('./lib/sources/anilist');
+const { runLifecyclePass, writeLifecycleReport } = require('./lib/lifecycle');
+
+/**
+ * One lifecycle pass. Takes no arguments; returns the exit code.
+ */
+async function run(argv = []) {
+  if (argv.length > 0) {
+    console.error(`❌ Unknown argument "${argv[0]}"\nUsage: lifecycle`);
+    return 1;
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🌗 LIFECYCLE PASS — episodes collection');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`⏰ Started at: ${new Date().toISOString()}`);
+  console.log(`💤 Stale after: ${CONFIG.LIFECYCLE_STALE_WEEKS} week(s) | 📦 Archive after: ${CONFIG.LIFECYCLE_GRACE_DAYS} day(s) ended\n`);
+
+  const runId = createRunId();
+  const storage = createStorage(CONFIG.STORAGE_SINK);
+  const lock = await acquireLock(storage, 'fetch', { runId });
+  if (!lock) {
+    console.log('⏭️  A fetch run is in progress — skipping the lifecycle pass until tomorrow');
+    return 0;
+  }
+
+  let report;
+  try {
+    report = await runLifecyclePass(storage, anilist.fetchMediaStatuses, { runId, lock });
+  } catch (error) {
+    console.error(`💥 Lifecycle pass failed: ${error.message}`);
+    return 1;
+  } finally {
+    await lock.release();
+  }
+  writeLifecycleReport(report);
+
+  const counts = {};
+  report.transitions.forEach(({ to }) => { counts[to] = (counts[to] || 0) + 1; });
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📊 LIFECYCLE SUMMARY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`📚 Checked: ${report.checked}`);
+  console.log(`🔁 Transitions: ${report.transitions.length}${Object.keys(counts).length > 0 ? ` (${Object.entries(counts).map(([to, n]) => `${to}: ${n}`).join(', ')})` : ''}`);
+  console.log(`📦 Archived: ${report.archived.length}`);
+  console.log(`❓ Not found on AniList: ${report.unknown.length}`);
+  console.log(`⏰ Finished at: ${new Date().toISOString()}`);
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  return 0;
+}
+
+if (require.main === module) {
+  runCommand(run);
+}
+
+module.exports = {
+  run,
+};
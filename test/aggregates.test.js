@@ -0,0 +1,122 @@
+/**
+ * lib/aggregates.js — items, paging and the item pool
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { AGGREGATES_COLLECTION, aggregateItems, buildAggregates, updateAggregates } = require('../lib/aggregates');
+
+const NOW = Math.floor(Date.now() / 1000);
+
+function item(animeId, episode, extra = {}) {
+  return { animeId, title: `Show ${animeId}`, genres: ['Action'], episode, episodes: [episode], airedAt: NOW - episode, ...extra };
+}
+
+// json sink over a fresh directory; `dir` also holds the pool file
+function tempStorage() {
+  const previous = CONFIG.STORAGE_DIR;
+  CONFIG.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregates-'));
+  try {
+    return createStorage('json');
+  } finally {
+    CONFIG.STORAGE_DIR = previous;
+  }
+}
+
+async function feedDocIds(storage) {
+  return Array.from((await storage.listDocs(AGGREGATES_COLLECTION)).keys()).sort();
+}
+
+test('aggregateItems gives every episode of a drop its own item', () => {
+  const items = aggregateItems({
+    animeId: 100,
+    title: 'Show',
+    latestEpisode: 4,
+    newEpisodes: [3, 4],
+    newAirings: [{ episode: 3, airingAt: NOW - 100 }, { episode: 4, airingAt: NOW - 50 }],
+  });
+  assert.deepEqual(items.map(({ episode, episodes, airedAt }) => [episode, episodes, airedAt]), [[3, [3], NOW - 100], [4, [4], NOW - 50]]);
+  assert.equal(aggregateItems({ animeId: 1, latestEpisode: 7, episodeAiredAt: NOW }).length, 1);
+});
+
+test('buildAggregates pages large aggregates and links the pages', () => {
+  const previous = CONFIG.AGGREGATE_PAGE_BYTES;
+  CONFIG.AGGREGATE_PAGE_BYTES = 16 * 1024;
+  try {
+    const synopsis = 'x'.repeat(1024);
+    const items = Array.from({ length: 40 }, (_, i) => item(i + 1, 1, { synopsis }));
+    const docs = buildAggregates(items, NOW);
+    const latest = docs.filter(({ docId }) => docId === 'latest' || docId.startsWith('latest_p'));
+    assert.ok(latest.length > 1);
+    latest.forEach(({ docId, data }, i) => {
+      assert.equal(data.page, i + 1);
+      assert.equal(data.pages, latest.length);
+      assert.equal(data.next, latest[i + 1]?.docId ?? null);
+      assert.ok(Buffer.byteLength(JSON.stringify(data.items)) <= CONFIG.AGGREGATE_PAGE_BYTES + 2048, docId);
+    });
+    assert.equal(latest.reduce((sum, { data }) => sum + data.count, 0), 40);
+    const index = docs.find(({ docId }) => docId === 'index').data.aggregates;
+    assert.equal(index.find(({ name }) => name === 'latest').pages, latest.length);
+  } finally {
+    CONFIG.AGGREGATE_PAGE_BYTES = previous;
+  }
+});
+
+test('buildAggregates drops genres from items and groups by weekday', () => {
+  const docs = buildAggregates([item(1, 1)], NOW);
+  const latest = docs.find(({ docId }) => docId === 'latest').data;
+  assert.equal(latest.items[0].genres, undefined);
+  assert.ok(docs.some(({ docId }) => docId === 'byGenre_action'));
+  assert.ok(docs.some(({ docId }) => docId.startsWith('byDay_')));
+});
+
+test('updateAggregates applies corrections per episode and moves merged shows', async () => {
+  const storage = tempStorage();
+  const file = path.join(storage.dir, 'aggregates.json');
+  // A pool written before items were per episode: one item for a drop of 2 and 3
+  fs.writeFileSync(file, JSON.stringify({ items: [item('al7', 3, { episodes: [2, 3] })] }));
+  await updateAggregates({
+    written: [{ animeId: 100, title: 'Show', latestEpisode: 2, newAirings: [{ episode: 1, airingAt: NOW - 90 }, { episode: 2, airingAt: NOW - 60 }] }],
+    corrected: [{ type: 'retracted', animeId: '100', episode: 1 }, { type: 'retracted', animeId: 70, episode: 2 }],
+    merged: [{ fromId: 'al7', toId: 70 }],
+  }, storage, file);
+  const { items } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(items.map(({ animeId, episode }) => `${animeId}_ep${episode}`).sort(), ['100_ep2', '70_ep3']);
+  assert.ok((await feedDocIds(storage)).includes('latest'));
+});
+
+test('updateAggregates deletes the pages the stored index lists and this run does not write', async () => {
+  const storage = tempStorage();
+  const file = path.join(storage.dir, 'aggregates.json');
+  const batch = storage.batch();
+  batch.set(AGGREGATES_COLLECTION, 'index', { aggregates: [{ name: 'latest', pages: 3 }, { name: 'byGenre_drama', pages: 1 }] });
+  ['latest', 'latest_p2', 'latest_p3', 'byGenre_drama'].forEach(docId => batch.set(AGGREGATES_COLLECTION, docId, { items: [] }));
+  await batch.commit();
+  fs.writeFileSync(file, JSON.stringify({ items: [item(1, 1)] }));
+
+  await updateAggregates({ written: [] }, storage, file);
+  const docIds = await feedDocIds(storage);
+  assert.deepEqual(docIds.filter(docId => !docId.startsWith('byDay_')), ['byGenre_action', 'index', 'latest']);
+});
+
+test('updateAggregates rebuilds a lost pool from the episodes inside the window', async () => {
+  const storage = tempStorage();
+  const file = path.join(storage.dir, 'aggregates.json');
+  const old = NOW - (CONFIG.AGGREGATE_WINDOW_DAYS + 1) * 24 * 60 * 60;
+  const batch = storage.batch();
+  batch.set(CONFIG.EPISODES_COLLECTION, '1', { animeId: 1, title: 'Recent', genres: ['Drama'], latestEpisode: 5, episodeAiredAt: NOW - 100 });
+  batch.set(CONFIG.EPISODES_COLLECTION, '2', { animeId: 2, title: 'Old', genres: ['Drama'], latestEpisode: 9, episodeAiredAt: old });
+  batch.set(CONFIG.EPISODES_COLLECTION, 'al3', { animeId: 3, mergedInto: 3 });
+  await batch.commit();
+
+  await updateAggregates({ written: [{ animeId: 4, title: 'New', latestEpisode: 1, episodeAiredAt: NOW - 10 }] }, storage, file);
+  const { items } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(items.map(({ animeId, episode }) => `${animeId}_ep${episode}`), ['4_ep1', '1_ep5']);
+  const [genre] = (await storage.getDocs(AGGREGATES_COLLECTION, ['byGenre_drama'])).values();
+  assert.equal(genre.items[0].title, 'Recent');
+});
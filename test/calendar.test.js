@@ -0,0 +1,126 @@
+/**
+ * lib/calendar.js — ICS rendering, reschedules, drops, merges and stored state
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { applyMerges, mergeSchedules, renderCalendar, updateCalendars } = require('../lib/calendar');
+
+const NOW = Date.now();
+const HOUR = 60 * 60;
+const T = Math.floor(NOW / 1000);
+
+function media(id, airings, extra = {}) {
+  return {
+    id,
+    idMal: null,
+    title: { english: `Show ${id}` },
+    duration: 24,
+    airingSchedule: { edges: airings.map(([episode, airingAt, scheduleId = id * 100 + episode]) => ({ node: { id: scheduleId, episode, airingAt } })) },
+    ...extra,
+  };
+}
+
+// json sink over a fresh directory, plus a directory for the .ics files
+function tempStorage() {
+  const previous = CONFIG.STORAGE_DIR;
+  CONFIG.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-'));
+  try {
+    return { storage: createStorage('json'), dir: path.join(CONFIG.STORAGE_DIR, 'calendars') };
+  } finally {
+    CONFIG.STORAGE_DIR = previous;
+  }
+}
+
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '');
+}
+
+test('renderCalendar escapes text and folds lines at 75 octets', () => {
+  const state = {};
+  mergeSchedules(state, [media(1, [[1, T + HOUR]], { title: { english: 'Re:Zero; Part 2, "Ω" — ' + 'ü'.repeat(60) } })], NOW);
+  const ics = renderCalendar('Anime Hub — Test', Object.values(state));
+
+  const lines = ics.split('\r\n');
+  assert.equal(lines[lines.length - 1], '');
+  for (const line of lines) assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+  assert.ok(lines.some(line => line.startsWith(' ')));
+
+  const unfolded = unfold(ics);
+  assert.match(unfolded, /SUMMARY:Re:Zero\\; Part 2\\, "Ω" — ü+ — Episode 1\r\n/);
+  assert.match(unfolded, /DESCRIPTION:Episode 1 of Re:Zero\\; Part 2\\, .*\\nhttps:\/\/anilist\.co\/anime\/1\r\n/);
+  assert.match(unfolded, /UID:anilist-schedule-101@anime-hub\r\nDTSTAMP:\d{8}T\d{6}Z\r\nSEQUENCE:0\r\n/);
+});
+
+test('a rescheduled episode keeps its UID and bumps SEQUENCE', () => {
+  const state = {};
+  mergeSchedules(state, [media(1, [[1, T + HOUR], [2, T + 2 * HOUR]])], NOW);
+  const counts = mergeSchedules(state, [media(1, [[1, T + HOUR], [2, T + 3 * HOUR, 999]])], NOW);
+
+  assert.deepEqual(counts, { added: 0, rescheduled: 1, dropped: 0 });
+  assert.equal(state['al1_ep2'].uid, 'anilist-schedule-102@anime-hub');
+  assert.equal(state['al1_ep2'].sequence, 1);
+  assert.equal(state['al1_ep2'].airingAt, T + 3 * HOUR);
+  assert.equal(state['al1_ep1'].sequence, 0);
+});
+
+test('future events a refreshed show no longer schedules are dropped', () => {
+  const state = {};
+  mergeSchedules(state, [media(1, [[1, T + HOUR], [2, T + 2 * HOUR], [3, T + 3 * HOUR]]), media(2, [[5, T + HOUR]])], NOW);
+  const counts = mergeSchedules(state, [media(1, [[1, T + HOUR], [3, T + 3 * HOUR]])], NOW);
+
+  assert.equal(counts.dropped, 1);
+  assert.deepEqual(Object.keys(state).sort(), ['al1_ep1', 'al1_ep3', 'al2_ep5']);
+});
+
+test('a full schedule page only drops the events it covers', () => {
+  const airings = Array.from({ length: 27 }, (_, i) => [i + 1, T + (i + 1) * HOUR]);
+  const state = {};
+  mergeSchedules(state, [media(1, airings)], NOW);
+  // Episode 10 is gone, so the 25 airings of the page now end at episode 26
+  mergeSchedules(state, [media(1, airings.filter(([episode]) => episode !== 10).slice(0, 25))], NOW);
+
+  assert.equal(state['al1_ep10'], undefined);
+  assert.ok(state['al1_ep26']);
+  assert.ok(state['al1_ep27']);
+});
+
+test('applyMerges moves events to the new id with their UIDs', () => {
+  const state = {};
+  mergeSchedules(state, [media(1, [[1, T + HOUR], [2, T + 2 * HOUR]])], NOW);
+  assert.equal(applyMerges(state, [{ fromId: 'al1', toId: '500' }]), 2);
+  assert.deepEqual(Object.keys(state).sort(), ['500_ep1', '500_ep2']);
+  assert.equal(state['500_ep1'].animeId, 500);
+  assert.equal(state['500_ep1'].uid, 'anilist-schedule-101@anime-hub');
+
+  // The next run sees the show under its MAL id and updates the same events
+  const counts = mergeSchedules(state, [media(1, [[1, T + HOUR], [2, T + 2 * HOUR]], { idMal: 500 })], NOW);
+  assert.deepEqual(counts, { added: 0, rescheduled: 0, dropped: 0 });
+});
+
+test('updateCalendars keeps the event state in the sink across runs', async () => {
+  const { storage, dir } = tempStorage();
+  await updateCalendars([media(1, [[1, T + HOUR], [2, T + 2 * HOUR]]), media(2, [[1, T + HOUR]])], storage, {}, dir);
+
+  const docs = await storage.listDocs(CONFIG.CALENDAR_COLLECTION);
+  assert.deepEqual(Array.from(docs.keys()).sort(), ['al1', 'al2']);
+  assert.deepEqual(Object.keys(docs.get('al1').events), ['1', '2']);
+  assert.ok(fs.existsSync(path.join(dir, 'shows', 'al1.ics')));
+
+  // A fresh directory (cache miss) still finds the UIDs; the merged show keeps them
+  const next = path.join(dir, '..', 'next');
+  await updateCalendars([media(1, [[1, T + HOUR], [2, T + 4 * HOUR]], { idMal: 500 })], storage, { merged: [{ fromId: 'al1', toId: '500' }] }, next);
+
+  const after = await storage.listDocs(CONFIG.CALENDAR_COLLECTION);
+  assert.deepEqual(Array.from(after.keys()).sort(), ['500', 'al2']);
+  assert.equal(after.get('500').events['2'].uid, 'anilist-schedule-102@anime-hub');
+  assert.equal(after.get('500').events['2'].sequence, 1);
+  const ics = unfold(fs.readFileSync(path.join(next, 'all.ics'), 'utf8'));
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 3);
+  assert.ok(fs.existsSync(path.join(next, 'shows', '500.ics')));
+});
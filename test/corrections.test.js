@@ -0,0 +1,78 @@
+/**
+ * lib/corrections.js — reschedule, renumber and retraction detection
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CORRECTION_TYPES,
+  detectCorrections,
+  historyCorrection,
+  parentCorrection,
+} = require('../lib/corrections');
+
+const NOW = 1_800_000_000;
+const media = { id: 1, idMal: 100, title: { romaji: 'Show' } };
+
+function schedule(id, episode, airingAt, extra = {}) {
+  return { id, episode, airingAt, media, ...extra };
+}
+
+function seen(entries) {
+  return new Map(Object.entries(entries).map(([key, [airingAt, scheduleId]]) => [key, { airingAt, scheduleId }]));
+}
+
+test('detectCorrections ignores unchanged episodes', () => {
+  const corrections = detectCorrections(seen({ '100_ep1': [NOW - 500, 11] }), [schedule(11, 1, NOW - 500)], NOW);
+  assert.deepEqual(corrections, []);
+});
+
+test('detectCorrections finds a rescheduled episode', () => {
+  const [correction] = detectCorrections(seen({ '100_ep1': [NOW - 500, 11] }), [schedule(11, 1, NOW - 200)], NOW);
+  assert.equal(correction.type, CORRECTION_TYPES.RESCHEDULED);
+  assert.equal(correction.previousAiredAt, NOW - 500);
+  assert.equal(correction.airingAt, NOW - 200);
+  assert.equal(correction.animeId, 100);
+  assert.equal(correction.episode, 1);
+});
+
+test('detectCorrections finds a renumbered episode by its schedule id', () => {
+  const [correction] = detectCorrections(seen({ '100_ep2': [NOW - 500, 12] }), [schedule(12, 3, NOW - 500)], NOW);
+  assert.equal(correction.type, CORRECTION_TYPES.RENUMBERED);
+  assert.equal(correction.renumberedTo, 3);
+});
+
+test('detectCorrections only retracts episodes inside the fetched window', () => {
+  const map = seen({ '100_ep1': [NOW - 5000, 10], '100_ep2': [NOW - 500, 12] });
+  const corrections = detectCorrections(map, [schedule(13, 3, NOW - 1000)], NOW);
+  assert.deepEqual(corrections.map(({ key, type }) => [key, type]), [['100_ep2', CORRECTION_TYPES.RETRACTED]]);
+});
+
+test('detectCorrections skips Jikan fallback schedules and fcm keys', () => {
+  const map = seen({ '100_ep1': [NOW - 500, 11], 'fcm:100_ep1': [NOW - 900, 11] });
+  assert.deepEqual(detectCorrections(map, [schedule(11, 1, NOW - 200, { source: 'jikan' })], NOW), []);
+  assert.equal(detectCorrections(map, [schedule(11, 1, NOW - 200)], NOW).length, 1);
+});
+
+test('historyCorrection marks retractions and moves reschedules', () => {
+  const base = { animeId: '100', episode: 2, previousAiredAt: NOW - 500 };
+  const moved = historyCorrection({ ...base, type: CORRECTION_TYPES.RESCHEDULED, airingAt: NOW, scheduleId: 5 }, 'now');
+  assert.equal(moved.airedAt, NOW);
+  assert.equal(moved.scheduleId, 5);
+  const retracted = historyCorrection({ ...base, type: CORRECTION_TYPES.RENUMBERED, renumberedTo: 3 }, 'now');
+  assert.equal(retracted.retracted, true);
+  assert.equal(retracted.renumberedTo, 3);
+});
+
+test('parentCorrection only moves the air time of the latest episode', () => {
+  const parent = { latestEpisode: 2 };
+  const rescheduled = { type: CORRECTION_TYPES.RESCHEDULED, episode: 1, airingAt: NOW, previousAiredAt: NOW - 500 };
+  assert.equal(parentCorrection(rescheduled, parent, {}, 'now'), null);
+  assert.equal(parentCorrection({ ...rescheduled, episode: 2 }, parent, {}, 'now').episodeAiredAt, NOW);
+  assert.equal(parentCorrection(rescheduled, null, {}, 'now'), null);
+
+  const summary = { historyCount: 1 };
+  const retracted = parentCorrection({ type: CORRECTION_TYPES.RETRACTED, episode: 2, previousAiredAt: NOW - 500 }, parent, summary, 'now');
+  assert.equal(retracted.retractedEpisode, 2);
+  assert.equal(retracted.historyCount, 1);
+});
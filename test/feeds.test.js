@@ -0,0 +1,124 @@
+/**
+ * lib/feeds.js — items, RSS / Atom / JSON Feed rendering and feed state
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { feedItem, genreSlug, updateFeeds } = require('../lib/feeds');
+
+const NOW = Math.floor(Date.now() / 1000);
+
+function animeData(animeId, episode, extra = {}) {
+  const airedAt = NOW - 3600 + episode;
+  return {
+    animeId,
+    title: `Show ${animeId}`,
+    latestEpisode: episode,
+    episodeAiredAt: airedAt,
+    episodeAiredDate: new Date(airedAt * 1000).toISOString(),
+    anilist_url: `https://anilist.co/anime/${animeId}`,
+    genres: ['Action'],
+    ...extra,
+  };
+}
+
+// json sink over a fresh directory; the feeds go to its "feeds" folder
+function tempStorage() {
+  const previous = CONFIG.STORAGE_DIR;
+  CONFIG.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+  try {
+    return { storage: createStorage('json'), dir: path.join(CONFIG.STORAGE_DIR, 'feeds') };
+  } finally {
+    CONFIG.STORAGE_DIR = previous;
+  }
+}
+
+function read(dir, file) {
+  return fs.readFileSync(path.join(dir, file), 'utf8');
+}
+
+test('feedItem keys a drop by its episode range', () => {
+  assert.equal(feedItem(animeData(1, 4)).guid, '1_ep4');
+  const drop = feedItem(animeData(1, 3, { newEpisodes: [3, 1, 2] }));
+  assert.equal(drop.guid, '1_ep1-3');
+  assert.deepEqual(drop.episodes, [1, 2, 3]);
+  assert.equal(drop.title, 'Show 1 — 3 new episodes (Episodes 1–3)');
+});
+
+test('genreSlug folds accents and hashes genres without ASCII letters', () => {
+  assert.equal(genreSlug('Comédie'), 'comedie');
+  assert.equal(genreSlug('Slice of Life'), 'slice-of-life');
+  assert.match(genreSlug('日常'), /^genre-[0-9a-f]{8}$/);
+});
+
+test('every format escapes titles, links and genres', async () => {
+  const { storage, dir } = tempStorage();
+  const previous = CONFIG.FEED_BASE_URL;
+  CONFIG.FEED_BASE_URL = 'https://example.github.io/anime-hub/feeds/';
+  try {
+    await updateFeeds([animeData(1, 2, {
+      title: 'Tom & Jerry <Remastered> "Special"',
+      anilist_url: 'https://anilist.co/anime/1?a=1&b=2',
+      synopsis: 'It\'s <b>back</b>',
+      genres: ['Sci-Fi & Fantasy'],
+    })], storage, dir);
+  } finally {
+    CONFIG.FEED_BASE_URL = previous;
+  }
+
+  const rss = read(dir, 'latest.xml');
+  assert.match(rss, /<title>Tom &amp; Jerry &lt;Remastered&gt; &quot;Special&quot; — Episode 2<\/title>/);
+  assert.match(rss, /<link>https:\/\/anilist\.co\/anime\/1\?a=1&amp;b=2<\/link>/);
+  assert.match(rss, /<description>It&apos;s &lt;b&gt;back&lt;\/b&gt;<\/description>/);
+  assert.match(rss, /<category>Sci-Fi &amp; Fantasy<\/category>/);
+  assert.match(rss, /<guid isPermaLink="false">1_ep2<\/guid>/);
+  assert.match(rss, /<atom:link href="https:\/\/example\.github\.io\/anime-hub\/feeds\/latest\.xml" rel="self"/);
+
+  const atom = read(dir, 'latest.atom');
+  assert.match(atom, /<id>urn:anime-hub:episode:1_ep2<\/id>/);
+  assert.match(atom, /<link href="https:\/\/anilist\.co\/anime\/1\?a=1&amp;b=2"\/>/);
+  assert.match(atom, /<category term="Sci-Fi &amp; Fantasy"\/>/);
+
+  const json = JSON.parse(read(dir, 'latest.json'));
+  assert.equal(json.feed_url, 'https://example.github.io/anime-hub/feeds/latest.json');
+  assert.equal(json.items[0].title, 'Tom & Jerry <Remastered> "Special" — Episode 2');
+  assert.deepEqual(json.items[0]._anime_hub, { animeId: 1, episode: 2, episodes: [2] });
+
+  assert.ok(fs.existsSync(path.join(dir, 'genres', 'sci-fi-fantasy.xml')));
+});
+
+test('items accumulate newest first, without duplicates, up to FEED_MAX_ITEMS', async () => {
+  const { storage, dir } = tempStorage();
+  const previous = CONFIG.FEED_MAX_ITEMS;
+  CONFIG.FEED_MAX_ITEMS = 3;
+  try {
+    await updateFeeds([animeData(1, 1), animeData(2, 1, { genres: ['Drama'] })], storage, dir);
+    await updateFeeds([animeData(1, 1), animeData(1, 2), animeData(3, 3)], storage, dir);
+  } finally {
+    CONFIG.FEED_MAX_ITEMS = previous;
+  }
+
+  const items = JSON.parse(read(dir, 'items.json'));
+  assert.deepEqual(items.map(({ guid }) => guid), ['3_ep3', '1_ep2', '1_ep1']);
+  // Drama dropped out with its only item
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'genres')).sort(), ['action.atom', 'action.json', 'action.xml']);
+});
+
+test('a missing items.json is rebuilt from the episodes that aired last', async () => {
+  const { storage, dir } = tempStorage();
+  const batch = storage.batch();
+  batch.set(CONFIG.EPISODES_COLLECTION, '1', animeData(1, 5));
+  batch.set(CONFIG.EPISODES_COLLECTION, '2', animeData(2, 7));
+  batch.set(CONFIG.EPISODES_COLLECTION, 'al9', { animeId: 2, mergedInto: 2 });
+  await batch.commit();
+
+  // Show 2 is written again by this run — its own item replaces the stored one
+  await updateFeeds([animeData(2, 8, { newEpisodes: [8] })], storage, dir);
+  const items = JSON.parse(read(dir, 'items.json'));
+  assert.deepEqual(items.map(({ guid }) => guid), ['2_ep8', '1_ep5']);
+});
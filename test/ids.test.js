@@ -0,0 +1,124 @@
+/**
+ * lib/ids.js — canonical ids and show merges
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { ID_MAP_COLLECTION, parseSeenKey, mergeShow, resolveCanonicalIds } = require('../lib/ids');
+
+const EPISODES = CONFIG.EPISODES_COLLECTION;
+
+// json sink over a fresh directory, seeded with { collection: { docId: data } }
+async function tempStorage(collections = {}) {
+  const previous = CONFIG.STORAGE_DIR;
+  CONFIG.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ids-'));
+  const storage = createStorage('json');
+  CONFIG.STORAGE_DIR = previous;
+
+  const batch = storage.batch();
+  for (const [collection, docs] of Object.entries(collections)) {
+    for (const [docId, data] of Object.entries(docs)) batch.set(collection, docId, data);
+  }
+  await batch.commit();
+  return storage;
+}
+
+async function doc(storage, collection, docId) {
+  return (await storage.getDocs(collection, [docId])).get(docId);
+}
+
+function show(extra = {}) {
+  return { animeId: 500, anilistId: 5, malId: 500, title: 'Show', ...extra };
+}
+
+test('parseSeenKey reads MAL, AniList and notification keys', () => {
+  assert.deepEqual(parseSeenKey('500_ep3'), { animeId: 500, episode: 3 });
+  assert.deepEqual(parseSeenKey('fcm:al5_ep1'), { animeId: 'al5', episode: 1 });
+  assert.equal(parseSeenKey('500'), null);
+});
+
+test('resolveCanonicalIds merges a show whose MAL id appeared', async () => {
+  const storage = await tempStorage({
+    [ID_MAP_COLLECTION]: { anilist_5: { canonicalId: 'al5', ids: { anilist: 5, mal: null }, aliases: [] } },
+    [EPISODES]: { al5: { animeId: 'al5', title: 'Show', historyEpisodes: [1, 2], latestEpisode: 2 } },
+    [`${EPISODES}/al5/history`]: { 1: { animeId: 'al5', episode: 1 }, 2: { animeId: 'al5', episode: 2 } },
+    search: { al5: { title: 'Show' } },
+  });
+  const seenMap = new Map([['al5_ep1', { airingAt: 1 }], ['fcm:al5_ep1', { airingAt: 1 }], ['7_ep1', { airingAt: 1 }]]);
+  const metadataCache = new Map([['al5', { hash: 'h' }]]);
+  const animeData = show();
+
+  const merges = await resolveCanonicalIds(storage, [animeData], { seenMap, metadataCache });
+  assert.deepEqual(merges, [{ fromId: 'al5', toId: '500', title: 'Show' }]);
+  assert.deepEqual(animeData.idAliases, ['al5']);
+
+  // The parent and its history moved, the old id is a stub
+  const parent = await doc(storage, EPISODES, '500');
+  assert.equal(parent.animeId, 500);
+  assert.deepEqual(parent.idAliases, ['al5']);
+  assert.deepEqual(parent.historyEpisodes, [1, 2]);
+  assert.deepEqual((await doc(storage, EPISODES, 'al5')).mergedInto, 500);
+  assert.deepEqual(Array.from((await storage.listDocs(`${EPISODES}/500/history`)).values()).map(({ animeId }) => animeId), [500, 500]);
+  assert.equal((await storage.listDocs(`${EPISODES}/al5/history`)).size, 0);
+  assert.equal(await doc(storage, 'search', 'al5'), null);
+
+  // Seen keys and the metadata cache follow
+  assert.deepEqual(Array.from(seenMap.keys()).sort(), ['500_ep1', '7_ep1', 'fcm:500_ep1']);
+  assert.equal(seenMap.get('500_ep1').docId, `${EPISODES}/500`);
+  assert.equal(metadataCache.has('al5'), false);
+
+  // Both site ids point to the new id
+  for (const docId of ['anilist_5', 'mal_500']) {
+    const entry = await doc(storage, ID_MAP_COLLECTION, docId);
+    assert.equal(entry.canonicalId, '500');
+    assert.deepEqual(entry.aliases, ['al5']);
+  }
+});
+
+test('resolveCanonicalIds leaves an already merged show alone', async () => {
+  const entry = { canonicalId: '500', ids: { anilist: 5, mal: 500 }, aliases: ['al5'] };
+  const storage = await tempStorage({
+    [ID_MAP_COLLECTION]: { anilist_5: entry, mal_500: entry },
+    [EPISODES]: { al5: { animeId: 500, mergedInto: 500 }, 500: { animeId: 500, idAliases: ['al5'] } },
+  });
+  const animeData = show();
+  const merges = await resolveCanonicalIds(storage, [animeData], { seenMap: new Map(), metadataCache: new Map() });
+  assert.deepEqual(merges, []);
+  assert.deepEqual(animeData.idAliases, ['al5']);
+  assert.equal((await doc(storage, EPISODES, 'al5')).mergedInto, 500);
+
+  // An interrupted merge is finished without touching the stub again
+  const result = await mergeShow(storage, 'al5', 500);
+  assert.deepEqual(result, { moved: false, history: 0 });
+});
+
+test('resolveCanonicalIds records a show seen for the first time', async () => {
+  const storage = await tempStorage();
+  const animeData = show({ animeId: 'al7', anilistId: 7, malId: null });
+  assert.deepEqual(await resolveCanonicalIds(storage, [animeData], { seenMap: new Map(), metadataCache: new Map() }), []);
+  assert.equal((await doc(storage, ID_MAP_COLLECTION, 'anilist_7')).canonicalId, 'al7');
+  assert.equal(await doc(storage, ID_MAP_COLLECTION, 'mal_null'), null);
+});
+
+test('mergeShow keeps history the target already has and its newer fields', async () => {
+  const storage = await tempStorage({
+    [EPISODES]: {
+      al5: { animeId: 'al5', latestEpisode: 2, historyEpisodes: [1, 2] },
+      500: { animeId: 500, latestEpisode: 3, historyEpisodes: [2, 3] },
+    },
+    [`${EPISODES}/al5/history`]: { 1: { episode: 1, title: 'old 1' }, 2: { episode: 2, title: 'old 2' } },
+    [`${EPISODES}/500/history`]: { 2: { episode: 2, title: 'new 2' }, 3: { episode: 3, title: 'new 3' } },
+  });
+  assert.deepEqual(await mergeShow(storage, 'al5', 500), { moved: true, history: 2 });
+  const parent = await doc(storage, EPISODES, '500');
+  assert.equal(parent.latestEpisode, 3);
+  assert.deepEqual(parent.historyEpisodes, [1, 2, 3]);
+  assert.equal(parent.episodeCount, 3);
+  assert.equal((await doc(storage, `${EPISODES}/500/history`, '2')).title, 'new 2');
+  assert.equal((await doc(storage, `${EPISODES}/500/history`, '1')).title, 'old 1');
+});
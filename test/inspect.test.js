@@ -0,0 +1,52 @@
+/**
+ * lib/inspect.js — id parsing and the show report
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseInspectId, inspectShow } = require('../lib/inspect');
+
+test('parseInspectId accepts MAL and AniList ids', () => {
+  assert.deepEqual(parseInspectId('59853'), { site: 'mal', id: 59853 });
+  assert.deepEqual(parseInspectId(' al171018 '), { site: 'anilist', id: 171018 });
+  assert.deepEqual(parseInspectId('AL5'), { site: 'anilist', id: 5 });
+  assert.deepEqual(parseInspectId(42), { site: 'mal', id: 42 });
+});
+
+test('parseInspectId rejects anything else', () => {
+  for (const value of ['', 'al', 'mal59853', '12ab', '-5', '1.5', null, undefined]) {
+    assert.equal(parseInspectId(value), null, String(value));
+  }
+});
+
+// Read-only storage over { collection: { docId: data } }
+function memoryStorage(collections) {
+  return {
+    async getDocs(collection, ids) {
+      const docs = collections[collection] || {};
+      return new Map(ids.filter(id => docs[id]).map(id => [id, docs[id]]));
+    },
+    async listDocs(collection) {
+      return new Map(Object.entries(collections[collection] || {}));
+    },
+  };
+}
+
+test('inspectShow follows merge stubs and collects seen keys of every alias', async () => {
+  const storage = memoryStorage({
+    idMap: { anilist_7: { canonicalId: 'al7' } },
+    episodes: { al7: { mergedInto: 70 }, 70: { title: 'Show', idAliases: ['al7'] } },
+    'episodes/70/history': { 2: { airedAt: 2 }, 1: { airedAt: 1 } },
+  });
+  const seenMap = new Map([['al7_ep1', { airingAt: 1 }], ['70_ep2', { airingAt: 2 }], ['8_ep1', { airingAt: 3 }]]);
+  const report = await inspectShow(storage, { site: 'anilist', id: 7 }, { seenMap, metadataCache: new Map() });
+  assert.equal(report.animeId, '70');
+  assert.deepEqual(report.mergedFrom, ['al7']);
+  assert.deepEqual(report.history.map(({ episode }) => episode), [1, 2]);
+  assert.deepEqual(report.seen.map(({ key }) => key), ['70_ep2', 'al7_ep1']);
+});
+
+test('inspectShow returns null for an unknown show', async () => {
+  const report = await inspectShow(memoryStorage({}), { site: 'mal', id: 1 }, { seenMap: new Map(), metadataCache: new Map() });
+  assert.equal(report, null);
+});
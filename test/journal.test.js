@@ -0,0 +1,151 @@
+/**
+ * lib/journal.js — intent, commit states and replay
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { createSeenStore } = require('../lib/seen_store');
+const { createWriteJournal } = require('../lib/journal');
+const { writeJournaledChunks } = require('../fetch');
+
+const NOW = Math.floor(Date.now() / 1000);
+const [JOURNAL_COLLECTION, JOURNAL_ID] = ['state', 'write_journal'];
+const ENTRIES = `${CONFIG.JOURNAL_DOC}/entries`;
+
+// json sink over a fresh directory, with the seen store and metadata cache next to it
+function tempStorage() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+  Object.assign(CONFIG, {
+    STORAGE_DIR: dir,
+    SEEN_FILE: path.join(dir, 'seen_episodes.json'),
+    METADATA_CACHE_FILE: path.join(dir, 'metadata_cache.json'),
+  });
+  return createStorage('json');
+}
+
+function drop(animeId, episode) {
+  const animeData = { animeId, anilistId: animeId, title: `Show ${animeId}`, latestEpisode: episode, episodeAiredAt: NOW };
+  return { animeData, key: `${animeId}_ep${episode}`, full: true, episodes: [{ episode, airingAt: NOW, scheduleId: episode, key: `${animeId}_ep${episode}` }] };
+}
+
+// What writeJournaledChunks needs besides the journal
+function context(storage) {
+  return { seenStore: createSeenStore('json', storage), seenMap: new Map(), metadataCache: new Map(), notifier: null, lock: null };
+}
+
+async function header(storage) {
+  return (await storage.getDocs(JOURNAL_COLLECTION, [JOURNAL_ID])).get(JOURNAL_ID);
+}
+
+test('begin records every chunk before the first commit', async () => {
+  const storage = tempStorage();
+  const journal = createWriteJournal(storage, { runId: 'run1' });
+  await journal.begin([[drop(1, 1), drop(2, 1)], [drop(3, 1)]]);
+
+  const stored = await header(storage);
+  assert.equal(stored.status, 'running');
+  assert.deepEqual(stored.chunks.map(({ keys, state }) => [keys, state]), [[['1_ep1', '2_ep1'], 'pending'], [['3_ep1'], 'pending']]);
+  assert.equal(stored.chunks[0].entries, undefined);
+  assert.deepEqual(Array.from((await storage.listDocs(ENTRIES)).keys()).sort(), ['0_0', '0_1', '1_0']);
+});
+
+test('a partial run is left for the next one, which replays only the uncommitted chunks', async () => {
+  const storage = tempStorage();
+  const first = createWriteJournal(storage, { runId: 'run1' });
+  await first.begin([[drop(1, 1)], [drop(2, 1)], [drop(3, 1)]]);
+  await first.markCommitted(0);
+  await first.markFailed(1, new Error('boom'));
+  assert.equal(await first.finish(), 2);
+
+  const stored = await header(storage);
+  assert.equal(stored.status, 'partial');
+  assert.deepEqual(stored.chunks.map(({ state, error }) => [state, error]), [['committed', null], ['failed', 'boom'], ['pending', null]]);
+
+  const second = createWriteJournal(storage, { runId: 'run2' });
+  const pending = await second.loadPending();
+  assert.equal(pending.runId, 'run1');
+  assert.equal(pending.chunks[1].entries[0].key, '2_ep1');
+
+  await second.resume(pending);
+  assert.equal((await header(storage)).resumedBy, 'run2');
+  await second.markCommitted(1);
+  await second.markCommitted(2);
+  assert.equal(await second.finish(), 0);
+  assert.equal(await header(storage), null);
+  assert.equal((await storage.listDocs(ENTRIES)).size, 0);
+});
+
+test('finish removes every entry document, even after a replay skipped a missing one', async () => {
+  const storage = tempStorage();
+  const first = createWriteJournal(storage, { runId: 'run1' });
+  await first.begin([[drop(1, 1), drop(2, 1), drop(3, 1)]]);
+  await first.finish();
+  // The middle entry never made it: the replayed chunk has two entries at positions 0 and 2
+  const batch = storage.batch();
+  batch.delete(ENTRIES, '0_1');
+  await batch.commit();
+
+  const second = createWriteJournal(storage, { runId: 'run2' });
+  const pending = await second.loadPending();
+  assert.deepEqual(pending.chunks[0].entries.map(({ key }) => key), ['1_ep1', '3_ep1']);
+  await second.resume(pending);
+  await second.markCommitted(0);
+  await second.finish();
+  assert.equal((await storage.listDocs(ENTRIES)).size, 0);
+});
+
+test('loadPending clears a journal whose chunks all committed', async () => {
+  const storage = tempStorage();
+  const first = createWriteJournal(storage, { runId: 'run1' });
+  await first.begin([[drop(1, 1)]]);
+  await first.markCommitted(0);
+
+  assert.equal(await createWriteJournal(storage, { runId: 'run2' }).loadPending(), null);
+  assert.equal(await header(storage), null);
+  assert.equal((await storage.listDocs(ENTRIES)).size, 0);
+});
+
+test('writeJournaledChunks replays what a failed run left behind', async () => {
+  const storage = tempStorage();
+
+  // The first run dies on its second batch
+  let commits = 0;
+  const failing = {
+    ...storage,
+    batch() {
+      const batch = storage.batch();
+      return { ...batch, commit: async () => (++commits === 2 ? Promise.reject(new Error('deadline exceeded')) : batch.commit()) };
+    },
+  };
+  const first = createWriteJournal(storage, { runId: 'run1' });
+  await first.begin([[drop(1, 1)], [drop(2, 1)]]);
+  const failed = await writeJournaledChunks(failing, first, context(storage));
+  assert.equal(failed.error.message, 'deadline exceeded');
+  assert.deepEqual(failed.written.map(({ animeId }) => animeId), [1]);
+  assert.equal((await storage.getDocs(CONFIG.EPISODES_COLLECTION, ['2'])).get('2'), null);
+
+  // The next run replays only the second batch and clears the journal
+  const second = createWriteJournal(storage, { runId: 'run2' });
+  await second.resume(await second.loadPending());
+  const replay = context(storage);
+  const replayed = await writeJournaledChunks(storage, second, replay);
+  assert.equal(replayed.error, null);
+  assert.deepEqual(replayed.written.map(({ animeId }) => animeId), [2]);
+  assert.ok(replay.seenMap.has('2_ep1'));
+  assert.equal((await storage.getDocs(CONFIG.EPISODES_COLLECTION, ['2'])).get('2').latestEpisode, 1);
+  assert.equal(await header(storage), null);
+});
+
+test('writeJournaledChunks stops before a commit once the run lock is gone', async () => {
+  const storage = tempStorage();
+  const journal = createWriteJournal(storage, { runId: 'run1' });
+  await journal.begin([[drop(1, 1)]]);
+  const lock = { isHeld: () => false };
+  await assert.rejects(writeJournaledChunks(storage, journal, { ...context(storage), lock }), /Lost the run lock/);
+  assert.equal((await storage.getDocs(CONFIG.EPISODES_COLLECTION, ['1'])).get('1'), null);
+});
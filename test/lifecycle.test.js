@@ -0,0 +1,109 @@
+/**
+ * lib/lifecycle.js — status labels, transitions and the pass
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { LIFECYCLES, statusLabel, lifecycleOf, lifecycleFields, planTransition, runLifecyclePass } = require('../lib/lifecycle');
+
+const NOW = 1_800_000_000;
+const DAY = 24 * 60 * 60;
+const STALE_AGE = (CONFIG.LIFECYCLE_STALE_WEEKS * 7 + 1) * DAY;
+
+function doc(extra = {}) {
+  return {
+    animeId: 100,
+    title: 'Show',
+    lifecycle: LIFECYCLES.AIRING,
+    status: 'Currently Airing',
+    anilistStatus: 'RELEASING',
+    endDate: null,
+    episodeAiredAt: NOW - DAY,
+    ...extra,
+  };
+}
+
+test('statusLabel and lifecycleOf map AniList statuses', () => {
+  assert.equal(statusLabel('HIATUS'), 'On Hiatus');
+  assert.equal(statusLabel(undefined), 'Currently Airing');
+  assert.equal(lifecycleOf('CANCELLED'), LIFECYCLES.ENDED);
+  assert.equal(lifecycleOf('NOT_YET_RELEASED'), LIFECYCLES.AIRING);
+});
+
+test('planTransition leaves an up-to-date show alone', () => {
+  assert.equal(planTransition(doc(), { status: 'RELEASING' }, NOW), null);
+});
+
+test('planTransition ends a finished show and starts its grace period', () => {
+  const transition = planTransition(doc(), { status: 'FINISHED', endDate: { year: 2027, month: 1, day: 2 } }, NOW);
+  assert.equal(transition.from, LIFECYCLES.AIRING);
+  assert.equal(transition.to, LIFECYCLES.ENDED);
+  assert.equal(transition.fields.status, 'Finished Airing');
+  assert.equal(transition.fields.endDate, '2027-01-02');
+  assert.equal(transition.fields.lifecycleSince, new Date(NOW * 1000).toISOString());
+});
+
+test('planTransition falls back to the last aired episode for the end date', () => {
+  const transition = planTransition(doc(), { status: 'FINISHED' }, NOW);
+  assert.equal(transition.fields.endDate, new Date((NOW - DAY) * 1000).toISOString().substring(0, 10));
+});
+
+test('planTransition marks a quiet releasing show stale unless it resumes soon', () => {
+  const quiet = doc({ episodeAiredAt: NOW - STALE_AGE });
+  const stale = planTransition(quiet, { status: 'RELEASING' }, NOW);
+  assert.equal(stale.to, LIFECYCLES.STALE);
+  assert.equal(stale.fields.status, 'Not Currently Airing');
+  assert.equal(planTransition(quiet, { status: 'RELEASING', nextAiringEpisode: { airingAt: NOW + DAY } }, NOW), null);
+});
+
+test('planTransition keeps lifecycleSince while the lifecycle stays', () => {
+  const ended = doc({ lifecycle: LIFECYCLES.ENDED, status: 'Finished Airing', anilistStatus: 'FINISHED', endDate: '2027-01-02', lifecycleSince: 'then' });
+  assert.equal(planTransition(ended, { status: 'FINISHED', endDate: { year: 2027, month: 1, day: 2 } }, NOW), null);
+  const cancelled = planTransition(ended, { status: 'CANCELLED', endDate: { year: 2027, month: 1, day: 2 } }, NOW);
+  assert.equal(cancelled.fields.lifecycleSince, 'then');
+  // An ended show without lifecycleSince gets one
+  const missing = planTransition({ ...ended, lifecycleSince: null }, { status: 'FINISHED', endDate: { year: 2027, month: 1, day: 2 } }, NOW);
+  assert.ok(missing.fields.lifecycleSince);
+});
+
+test('planTransition clears lifecycleSince when a show airs again', () => {
+  const hiatus = doc({ lifecycle: LIFECYCLES.HIATUS, status: 'On Hiatus', anilistStatus: 'HIATUS', lifecycleSince: 'then' });
+  const transition = planTransition(hiatus, { status: 'RELEASING' }, NOW);
+  assert.equal(transition.to, LIFECYCLES.AIRING);
+  assert.equal(transition.fields.lifecycleSince, null);
+});
+
+test('lifecycleFields keeps a stale show stale and its grace period running', () => {
+  const stale = doc({ lifecycle: LIFECYCLES.STALE, status: 'Not Currently Airing', episodeAiredAt: NOW - STALE_AGE, lifecycleSince: 'then' });
+  const fields = lifecycleFields(stale, { status: 'RELEASING' }, NOW);
+  assert.equal(fields.lifecycle, LIFECYCLES.STALE);
+  assert.equal(fields.status, 'Not Currently Airing');
+  assert.equal(fields.lifecycleSince, 'then');
+});
+
+test('runLifecyclePass writes nothing once the run lock is gone', async () => {
+  const previous = CONFIG.STORAGE_DIR;
+  CONFIG.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lifecycle-'));
+  try {
+    const storage = createStorage('json');
+    const batch = storage.batch();
+    batch.set(CONFIG.EPISODES_COLLECTION, '100', doc({ anilistId: 1 }));
+    await batch.commit();
+
+    const fetchStatuses = async () => new Map([[1, { status: 'FINISHED' }]]);
+    const lock = { isHeld: () => false };
+    await assert.rejects(runLifecyclePass(storage, fetchStatuses, { runId: 'test', lock }), /Lost the run lock/);
+    const [stored] = (await storage.getDocs(CONFIG.EPISODES_COLLECTION, ['100'])).values();
+    assert.equal(stored.lifecycle, LIFECYCLES.AIRING);
+
+    const report = await runLifecyclePass(storage, fetchStatuses, { runId: 'test', lock: { isHeld: () => true } });
+    assert.equal(report.transitions[0].to, LIFECYCLES.ENDED);
+  } finally {
+    CONFIG.STORAGE_DIR = previous;
+  }
+});
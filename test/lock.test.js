@@ -0,0 +1,79 @@
+/**
+ * lib/lock.js — leases on the json sink
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { acquireLock } = require('../lib/lock');
+
+// json sink over a fresh directory
+function tempStorage() {
+  const previous = CONFIG.STORAGE_DIR;
+  CONFIG.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-'));
+  try {
+    return createStorage('json');
+  } finally {
+    CONFIG.STORAGE_DIR = previous;
+  }
+}
+
+function leaseFile(storage, name) {
+  return path.join(storage.dir, 'locks', `${name}.json`);
+}
+
+test('acquireLock refuses while a live run holds the lease', async () => {
+  const storage = tempStorage();
+  const first = await acquireLock(storage, 'fetch', { runId: 'first' });
+  assert.ok(first.isHeld());
+  assert.equal(await acquireLock(storage, 'fetch', { runId: 'second' }), null);
+  await first.release();
+});
+
+test('acquireLock takes over an expired lease', async () => {
+  const storage = tempStorage();
+  const file = leaseFile(storage, 'fetch');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const expiresAtMs = Date.now() - 1000;
+  fs.writeFileSync(file, JSON.stringify({ owner: 'crashed', expiresAt: new Date(expiresAtMs).toISOString(), expiresAtMs }));
+
+  const lock = await acquireLock(storage, 'fetch', { runId: 'next' });
+  assert.ok(lock.isHeld());
+  const lease = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(lease.owner, lock.owner);
+  assert.equal(lease.takenOverFrom.owner, 'crashed');
+  await lock.release();
+});
+
+test('isHeld turns false once a heartbeat is missed and stays false', async () => {
+  const storage = tempStorage();
+  const lock = await acquireLock(storage, 'fetch', { runId: 'slow', ttlMs: 1500 });
+  // A held mutex blocks the renewal due after 1 s
+  const mutex = `${leaseFile(storage, 'fetch')}.mutex`;
+  fs.writeFileSync(mutex, '');
+  await new Promise(resolve => setTimeout(resolve, 1700));
+  assert.equal(lock.isHeld(), false);
+
+  fs.rmSync(mutex);
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(lock.isHeld(), false);
+  await lock.release();
+});
+
+test('release frees the lease for the next run', async () => {
+  const storage = tempStorage();
+  const lock = await acquireLock(storage, 'fetch', { runId: 'first' });
+  await lock.release();
+  assert.equal(fs.existsSync(leaseFile(storage, 'fetch')), false);
+
+  const next = await acquireLock(storage, 'fetch', { runId: 'second' });
+  assert.ok(next);
+  // Releasing a lease another run holds leaves it alone
+  await lock.release();
+  assert.equal(JSON.parse(fs.readFileSync(leaseFile(storage, 'fetch'), 'utf8')).owner, next.owner);
+  await next.release();
+});
@@ -0,0 +1,79 @@
+/**
+ * lib/maintenance.js — verify, rebuild and forget against the json sink
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { seenEntry } = require('../lib/seen_store');
+const { verify, rebuild, forget } = require('../lib/maintenance');
+
+const NOW = Math.floor(Date.now() / 1000);
+const OLD = NOW - (CONFIG.RECENCY_DAYS + 1) * 24 * 60 * 60;
+const EPISODES = CONFIG.EPISODES_COLLECTION;
+
+// Show 100 aired episodes 1 and 2 recently (2 was retracted), show 200 aired long ago
+async function tempStorage() {
+  const previous = CONFIG.STORAGE_DIR;
+  CONFIG.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'maintenance-'));
+  const storage = createStorage('json');
+  CONFIG.STORAGE_DIR = previous;
+
+  const batch = storage.batch();
+  batch.set(EPISODES, '100', { animeId: 100, title: 'Recent', episodeAiredAt: NOW - 60 });
+  batch.set(`${EPISODES}/100/history`, '1', { episode: 1, airedAt: NOW - 120, scheduleId: 11 });
+  batch.set(`${EPISODES}/100/history`, '2', { episode: 2, airedAt: NOW - 60, scheduleId: 12, retracted: true });
+  batch.set(`${EPISODES}/100/history`, '3', { episode: 3, airedAt: NOW - 30, scheduleId: 13 });
+  batch.set(EPISODES, '200', { animeId: 200, title: 'Old', episodeAiredAt: OLD });
+  batch.set(`${EPISODES}/200/history`, '1', { episode: 1, airedAt: OLD, scheduleId: 21 });
+  await batch.commit();
+  return storage;
+}
+
+test('verify reports drift in both directions', async () => {
+  const storage = await tempStorage();
+  const seenMap = new Map([
+    ['100_ep1', seenEntry(NOW - 500)],
+    ['100_ep9', seenEntry(NOW - 60)],
+    ['fcm:100_ep1', seenEntry(NOW - 120)],
+  ]);
+  const { missingInStorage, missingInSeen, mismatched, consistent } = await verify(storage, seenMap);
+  assert.equal(consistent, false);
+  assert.deepEqual(missingInStorage, ['100_ep9']);
+  // Retracted and out-of-window episodes are not drift
+  assert.deepEqual(missingInSeen, ['100_ep3']);
+  assert.deepEqual(mismatched, [{ key: '100_ep1', seenAiringAt: NOW - 500, storedAiredAt: NOW - 120 }]);
+});
+
+test('verify finds an up-to-date store consistent', async () => {
+  const storage = await tempStorage();
+  const seenMap = new Map([['100_ep1', seenEntry(NOW - 120)], ['100_ep3', seenEntry(NOW - 30)]]);
+  assert.equal((await verify(storage, seenMap)).consistent, true);
+});
+
+test('rebuild regenerates the store and marks rebuilt episodes as notified', async () => {
+  const storage = await tempStorage();
+  const seenMap = new Map([['100_ep9', seenEntry(NOW - 60)], ['fcm:100_ep1', seenEntry(NOW - 120)]]);
+  const { map, added, removed, changed, notified } = await rebuild(storage, seenMap);
+  assert.deepEqual(added.sort(), ['100_ep1', '100_ep3']);
+  assert.deepEqual(removed, ['100_ep9']);
+  assert.deepEqual(changed, []);
+  assert.deepEqual(notified, ['fcm:100_ep3']);
+  assert.equal(map.get('100_ep1').scheduleId, 11);
+  assert.equal(map.get('100_ep1').docId, `${EPISODES}/100`);
+  assert.equal(map.has('200_ep1'), false);
+
+  // The rebuilt store verifies clean
+  assert.equal((await verify(storage, map)).consistent, true);
+});
+
+test('forget removes episode keys and keeps notification keys', () => {
+  const seenMap = new Map([['100_ep1', {}], ['100_ep3', {}], ['fcm:100_ep1', {}], ['1000_ep1', {}]]);
+  assert.deepEqual(forget(seenMap, '100', 3), ['100_ep3']);
+  assert.deepEqual(forget(seenMap, 100), ['100_ep1']);
+  assert.deepEqual(Array.from(seenMap.keys()), ['fcm:100_ep1', '1000_ep1']);
+});
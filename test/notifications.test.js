@@ -0,0 +1,96 @@
+/**
+ * lib/notifications.js — message payloads, topics and dedup
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../lib/config');
+const { buildMessages, createNotifier, notificationKey } = require('../lib/notifications');
+
+const NOW = Math.floor(Date.now() / 1000);
+
+function animeData(extra = {}) {
+  return { animeId: 100, title: 'Show', latestEpisode: 4, episodeAiredAt: NOW, imageUrl: 'https://img/100.jpg', idAliases: [], ...extra };
+}
+
+// A sink whose messaging records every sendEach call and fails the given topics
+function fakeStorage(failing = []) {
+  const sent = [];
+  return {
+    sent,
+    name: 'fake',
+    messaging: () => ({
+      async sendEach(messages) {
+        sent.push(...messages);
+        return { responses: messages.map(({ topic }) => (failing.includes(topic) ? { success: false, error: new Error('unavailable') } : { success: true })) };
+      },
+    }),
+  };
+}
+
+test('one episode goes to the show topic, its aliases and the global topic', () => {
+  const messages = buildMessages(animeData({ idAliases: ['al7'] }));
+  assert.deepEqual(messages.map(({ topic }) => topic), [`${CONFIG.FCM_TOPIC_PREFIX}100`, `${CONFIG.FCM_TOPIC_PREFIX}al7`, CONFIG.FCM_GLOBAL_TOPIC]);
+
+  const [message] = messages;
+  assert.deepEqual(message.notification, { title: 'Show', body: 'Episode 4 is out now', imageUrl: 'https://img/100.jpg' });
+  assert.deepEqual(message.data, { type: 'new_episode', animeId: '100', episode: '4', episodes: '4', link: `${CONFIG.DEEP_LINK_BASE}/100?episode=4` });
+  assert.equal(message.android.notification.bodyLocKey, 'new_episode_body');
+  assert.deepEqual(message.android.notification.bodyLocArgs, ['4']);
+  assert.equal(message.android.collapseKey, 'anime_100');
+  assert.deepEqual(message.apns.payload.aps.alert, {
+    'title-loc-key': 'new_episode_title',
+    'title-loc-args': ['Show'],
+    'loc-key': 'new_episode_body',
+    'loc-args': ['4'],
+  });
+});
+
+test('a drop is one message that opens at its first episode', () => {
+  const [message] = buildMessages(animeData({ newEpisodes: [3, 1, 2], latestEpisode: 3, imageUrl: null }));
+  assert.equal(message.data.type, 'new_episodes');
+  assert.equal(message.data.episodes, '1,2,3');
+  assert.equal(message.data.link, `${CONFIG.DEEP_LINK_BASE}/100?episode=1`);
+  assert.equal(message.android.notification.bodyLocKey, 'new_episodes_body');
+  assert.deepEqual(message.apns.payload.aps.alert['loc-args'], ['3', '1', '3']);
+  assert.equal(message.notification.imageUrl, undefined);
+  assert.equal(message.apns.fcmOptions, undefined);
+});
+
+test('notify records delivered episodes and never announces them twice', async () => {
+  const storage = fakeStorage();
+  const notifier = createNotifier(storage);
+  const seenMap = new Map();
+
+  await notifier.notify([animeData({ newEpisodes: [3, 4] })], seenMap);
+  assert.equal(storage.sent.length, 2);
+  assert.ok(seenMap.has(notificationKey(animeData(), 3)));
+  assert.ok(seenMap.has(notificationKey(animeData(), 4)));
+
+  // A rerun, and a drop overlapping the announced episodes
+  await notifier.notify([animeData({ newEpisodes: [4, 5], latestEpisode: 5 })], seenMap);
+  assert.equal(storage.sent.length, 4);
+  assert.equal(storage.sent[2].data.episodes, '5');
+  await notifier.notify([animeData({ newEpisodes: [4, 5], latestEpisode: 5 })], seenMap);
+  assert.equal(storage.sent.length, 4);
+  assert.deepEqual(notifier.stats, { sent: 2, failed: 0, skipped: 1 });
+});
+
+test('one delivered topic counts as notified; episodes past the recency window are skipped', async () => {
+  const storage = fakeStorage([`${CONFIG.FCM_TOPIC_PREFIX}100`]);
+  const notifier = createNotifier(storage);
+  const seenMap = new Map();
+
+  const old = animeData({ animeId: 200, episodeAiredAt: NOW - (CONFIG.RECENCY_DAYS + 1) * 24 * 60 * 60 });
+  await notifier.notify([animeData(), old], seenMap);
+  assert.deepEqual(storage.sent.map(({ topic }) => topic), [`${CONFIG.FCM_TOPIC_PREFIX}100`, CONFIG.FCM_GLOBAL_TOPIC]);
+  assert.ok(seenMap.has('fcm:100_ep4'));
+  assert.ok(!seenMap.has('fcm:200_ep4'));
+  assert.deepEqual(notifier.stats, { sent: 1, failed: 1, skipped: 1 });
+});
+
+test('sinks without messaging only print', async () => {
+  const seenMap = new Map();
+  await createNotifier({ name: 'json' }).notify([animeData()], seenMap);
+  assert.equal(seenMap.size, 0);
+});
@@ -0,0 +1,76 @@
+/**
+ * lib/policy.js — validation and decisions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePolicy, isAdultContent, isAnime } = require('../lib/policy');
+
+const policy = normalizePolicy({
+  version: '2026.1',
+  overrides: { allowMalIds: [100], denyMalIds: ['200'] },
+  adult: {
+    blockedGenres: ['Hentai'],
+    blockedTags: ['Incest', { name: 'Nudity', minRank: 60 }],
+  },
+  anime: {
+    types: ['ANIME'],
+    formats: { allow: ['TV', 'ONA'], deny: ['MUSIC'] },
+    countries: { allow: ['JP'] },
+  },
+});
+
+test('normalizePolicy fills in defaults', () => {
+  const minimal = normalizePolicy({ version: 1 });
+  assert.equal(minimal.version, '1');
+  assert.deepEqual(minimal.overrides, { allowMalIds: [], denyMalIds: [] });
+  assert.equal(minimal.adult.blockIsAdultFlag, true);
+  assert.deepEqual(minimal.anime.formats, { allow: [], deny: [] });
+});
+
+test('normalizePolicy rejects malformed policies', () => {
+  assert.throws(() => normalizePolicy(null), /expected a JSON object/);
+  assert.throws(() => normalizePolicy({}), /"version" is required/);
+  assert.throws(() => normalizePolicy({ version: 1, anime: { types: 'ANIME' } }), /"anime.types" must be an array of strings/);
+  assert.throws(() => normalizePolicy({ version: 1, adult: { blockedTags: [{ minRank: 5 }] } }), /"adult.blockedTags\[0\]" needs a name/);
+  assert.throws(() => normalizePolicy({ version: 1, adult: { blockedTags: [{ name: 'x', minRank: '5' }] } }), /minRank" must be a number/);
+});
+
+test('normalizePolicy validates override MAL ids', () => {
+  assert.deepEqual(policy.overrides, { allowMalIds: [100], denyMalIds: [200] });
+  for (const ids of [['abc'], [0], [-1], [1.5], '5', null]) {
+    assert.throws(
+      () => normalizePolicy({ version: 1, overrides: { denyMalIds: ids } }),
+      /"overrides.denyMalIds" must be an array of positive integer MAL ids/,
+    );
+  }
+});
+
+test('isAdultContent applies overrides before any rule', () => {
+  assert.equal(isAdultContent({ idMal: 100, isAdult: true }, policy).rule, 'override.allowMalId');
+  const denied = isAdultContent({ idMal: 200 }, policy);
+  assert.equal(denied.blocked, true);
+  assert.equal(denied.rule, 'override.denyMalId');
+  assert.equal(denied.policyVersion, '2026.1');
+});
+
+test('isAdultContent blocks by flag, genre and ranked tag', () => {
+  assert.equal(isAdultContent({ isAdult: true }, policy).rule, 'adult.isAdultFlag');
+  assert.equal(isAdultContent({ genres: ['Hentai'] }, policy).rule, 'adult.genre');
+  assert.equal(isAdultContent({ tags: [{ name: 'Nudity', rank: 59 }] }, policy).blocked, false);
+  assert.equal(isAdultContent({ tags: [{ name: 'Nudity', rank: 60 }] }, policy).rule, 'adult.tag');
+  // Tags without a rank count as rank 100
+  assert.equal(isAdultContent({ tags: [{ name: 'Nudity' }] }, policy).blocked, true);
+  assert.equal(isAdultContent({ genres: ['Action'] }, policy).rule, 'default');
+});
+
+test('isAnime checks type, format and country', () => {
+  const media = { type: 'ANIME', format: 'TV', countryOfOrigin: 'JP' };
+  assert.equal(isAnime(media, policy).allowed, true);
+  assert.equal(isAnime({ ...media, type: 'MANGA' }, policy).rule, 'anime.type');
+  assert.equal(isAnime({ ...media, format: 'MUSIC' }, policy).rule, 'anime.format.deny');
+  assert.equal(isAnime({ ...media, format: 'MOVIE' }, policy).rule, 'anime.format.allow');
+  assert.equal(isAnime({ ...media, countryOfOrigin: 'US' }, policy).rule, 'anime.country.allow');
+  // Jikan media have no country
+  assert.equal(isAnime({ ...media, countryOfOrigin: undefined }, policy).allowed, true);
+});
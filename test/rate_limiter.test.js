@@ -0,0 +1,86 @@
+/**
+ * lib/rate_limiter.js — queueing, quota pacing and retries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequestScheduler } = require('../lib/rate_limiter');
+
+function scheduler(options = {}) {
+  return createRequestScheduler({ name: 'Test', minInterval: 1, maxRetries: 3, retryDelay: 1, ...options });
+}
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+test('run executes requests one at a time, in order', async () => {
+  const limiter = scheduler();
+  const order = [];
+  let running = 0;
+  const request = label => limiter.run(async () => {
+    running++;
+    assert.equal(running, 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    order.push(label);
+    running--;
+    return { headers: {} };
+  }, label);
+  await Promise.all([request('a'), request('b'), request('c')]);
+  assert.deepEqual(order, ['a', 'b', 'c']);
+});
+
+test('run tracks the quota headers', async () => {
+  const limiter = scheduler();
+  await limiter.run(async () => ({ headers: { 'x-ratelimit-limit': '90', 'x-ratelimit-remaining': '80' } }));
+  assert.equal(limiter.quota.limit, 90);
+  assert.equal(limiter.quota.remaining, 80);
+});
+
+test('run retries server errors and 429s', async () => {
+  const limiter = scheduler();
+  const failures = [httpError(500), httpError(429, { 'retry-after': '0' })];
+  let calls = 0;
+  const response = await limiter.run(async () => {
+    calls++;
+    if (failures.length > 0) throw failures.shift();
+    return { headers: {}, data: 'ok' };
+  });
+  assert.equal(response.data, 'ok');
+  assert.equal(calls, 3);
+});
+
+test('run gives up after maxRetries', async () => {
+  const limiter = scheduler({ maxRetries: 2 });
+  let calls = 0;
+  await assert.rejects(limiter.run(async () => {
+    calls++;
+    throw httpError(503);
+  }), /503/);
+  assert.equal(calls, 2);
+});
+
+test('run never retries client errors or non-retryable failures', async () => {
+  const limiter = scheduler();
+  let calls = 0;
+  await assert.rejects(limiter.run(async () => {
+    calls++;
+    throw httpError(404);
+  }), /404/);
+  const flagged = Object.assign(new Error('bad query'), { retryable: false });
+  await assert.rejects(limiter.run(async () => {
+    calls++;
+    throw flagged;
+  }), /bad query/);
+  assert.equal(calls, 2);
+});
+
+test('a failed request does not block the queue', async () => {
+  const limiter = scheduler({ maxRetries: 1 });
+  const failed = limiter.run(async () => { throw httpError(500); });
+  const next = limiter.run(async () => ({ headers: {}, data: 'next' }));
+  await assert.rejects(failed);
+  assert.equal((await next).data, 'next');
+});
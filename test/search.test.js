@@ -0,0 +1,54 @@
+/**
+ * lib/search.js — normalization, index tokens and query keys
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeText, indexTitles, buildSearchDocument, searchKey } = require('../lib/search');
+
+test('normalizeText folds case, width, diacritics and katakana', () => {
+  assert.equal(normalizeText('Shōnen'), 'shonen');
+  assert.equal(normalizeText('ＡＢＣ'), 'abc');
+  assert.equal(normalizeText("Frieren: Beyond Journey's End"), 'frieren beyond journeys end');
+  assert.equal(normalizeText('カタカナ'), 'かたかな');
+  assert.equal(normalizeText(null), '');
+});
+
+test('indexTitles adds words, loose romaji and prefixes', () => {
+  const { tokens, prefixes } = indexTitles(['Shounen Club']);
+  assert.ok(tokens.includes('shounen'));
+  assert.ok(tokens.includes('shonen'));
+  assert.ok(prefixes.includes('sh'));
+  assert.ok(prefixes.includes('shounen c'));
+  assert.ok(prefixes.includes('club'));
+});
+
+test('indexTitles adds CJK bigrams and kana romaji', () => {
+  assert.deepEqual(indexTitles(['進撃の巨人']).tokens, ['進撃', '撃の', 'の巨', '巨人']);
+  const { tokens } = indexTitles(['とうきょう']);
+  assert.ok(tokens.includes('toukyou'));
+  assert.ok(tokens.includes('tokyo'));
+});
+
+test('buildSearchDocument indexes every title once', () => {
+  const doc = buildSearchDocument({
+    animeId: 100,
+    anilistId: 1,
+    title: 'Show',
+    titleEnglish: 'Show',
+    titleRomaji: 'Show',
+    synonyms: ['Other'],
+  });
+  assert.equal(doc.animeId, 100);
+  assert.equal(doc.malId, null);
+  assert.ok(doc.tokens.includes('show'));
+  assert.ok(doc.tokens.includes('other'));
+});
+
+test('searchKey matches what indexTitles stores', () => {
+  assert.equal(searchKey('  '), null);
+  assert.deepEqual(searchKey('Tōkyō Rev'), { field: 'prefixes', value: 'tokyo rev' });
+  assert.deepEqual(searchKey('進撃の巨人'), { field: 'tokens', value: '進撃' });
+  const { prefixes } = indexTitles(['Toukyou Revengers']);
+  assert.ok(prefixes.includes(searchKey('tokyo rev').value));
+});
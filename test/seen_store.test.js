@@ -0,0 +1,86 @@
+/**
+ * lib/seen_store.js — schema migration, trimming and the json backend
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CONFIG = require('../lib/config');
+const { SCHEMA_VERSION, migrateEntry, trimEntries, seenEntry, createSeenStore } = require('../lib/seen_store');
+
+test('migrateEntry upgrades a v1 timestamp', () => {
+  assert.deepEqual(migrateEntry('al5_ep2', 1700000000), {
+    v: SCHEMA_VERSION,
+    airingAt: 1700000000,
+    writtenAt: null,
+    docId: `${CONFIG.EPISODES_COLLECTION}/al5`,
+    hash: null,
+    scheduleId: null,
+  });
+  assert.equal(migrateEntry('garbage', 1).docId, null);
+});
+
+test('migrateEntry adds the schedule id to a v2 entry', () => {
+  const entry = migrateEntry('100_ep1', { v: 2, airingAt: 1, writtenAt: 'x', docId: 'episodes/100', hash: 'h' });
+  assert.equal(entry.v, SCHEMA_VERSION);
+  assert.equal(entry.scheduleId, null);
+  assert.equal(entry.hash, 'h');
+});
+
+test('trimEntries keeps only the last recency days', () => {
+  const now = Date.now() / 1000;
+  const map = new Map([['a', seenEntry(now - 3600)], ['b', seenEntry(now - 10 * 86400)]]);
+  const { kept, removed } = trimEntries(map, 7);
+  assert.deepEqual(Array.from(kept.keys()), ['a']);
+  assert.deepEqual(removed, ['b']);
+});
+
+test('the json backend migrates a v1 file and saves schema v3', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seen-'));
+  const file = path.join(dir, 'seen.json');
+  const airingAt = Math.floor(Date.now() / 1000) - 60;
+  fs.writeFileSync(file, JSON.stringify({ '100_ep1': airingAt }));
+  const previous = CONFIG.SEEN_FILE;
+  CONFIG.SEEN_FILE = file;
+  try {
+    const store = createSeenStore('json', { name: 'json' });
+    const map = await store.load();
+    assert.equal(map.get('100_ep1').airingAt, airingAt);
+    await store.save(map);
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(saved.schemaVersion, SCHEMA_VERSION);
+    assert.equal(saved.entries['100_ep1'].v, SCHEMA_VERSION);
+  } finally {
+    CONFIG.SEEN_FILE = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the firestore backend imports SEEN_FILE when empty and packs entries', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seen-'));
+  const file = path.join(dir, 'seen.json');
+  const airingAt = Math.floor(Date.now() / 1000) - 60;
+  fs.writeFileSync(file, JSON.stringify({ '100_ep1': airingAt }));
+  let written = null;
+  const storage = {
+    name: 'emulator',
+    db: { doc: () => ({ get: async () => ({ exists: false }), set: async data => { written = data; } }) },
+  };
+  const previous = CONFIG.SEEN_FILE;
+  CONFIG.SEEN_FILE = file;
+  try {
+    const store = createSeenStore('firestore', storage);
+    await store.save(await store.load());
+    assert.deepEqual(written.entries['100_ep1'], [SCHEMA_VERSION, airingAt, null, `${CONFIG.EPISODES_COLLECTION}/100`, null, null]);
+  } finally {
+    CONFIG.SEEN_FILE = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createSeenStore rejects unknown backends and the firestore store without Firestore', () => {
+  assert.throws(() => createSeenStore('redis'), /Unknown SEEN_STORE "redis"/);
+  assert.throws(() => createSeenStore('firestore', { name: 'json' }), /needs the firestore or emulator storage sink/);
+});
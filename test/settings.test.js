@@ -0,0 +1,69 @@
+/**
+ * lib/settings.js — flags, layers and validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { flagName, extractConfigFlags, resolveConfig } = require('../lib/settings');
+
+test('flagName turns a setting into its flag', () => {
+  assert.equal(flagName('STORAGE_SINK'), '--storage-sink');
+});
+
+test('extractConfigFlags splits settings, config file and command arguments', () => {
+  const { flags, file, rest } = extractConfigFlags([
+    '--storage-sink', 'json', '--dry', '--jikan-enrich', 'fetch', '--no-fcm-notifications', '--feeds-dir=out', '--config', 'c.json',
+  ]);
+  assert.deepEqual(flags, { STORAGE_SINK: 'json', JIKAN_ENRICH: true, FCM_NOTIFICATIONS: false, FEEDS_DIR: 'out' });
+  assert.equal(file, 'c.json');
+  // A bare boolean flag never swallows the next argument
+  assert.deepEqual(rest, ['--dry', 'fetch']);
+});
+
+test('resolveConfig layers env over defaults and flags over env', () => {
+  const { values, sources, problems } = resolveConfig({
+    file: false,
+    env: { STORAGE_SINK: 'json', RECENCY_DAYS: '5', FEEDS_DIR: '' },
+    flags: { RECENCY_DAYS: '6' },
+  });
+  assert.deepEqual(problems, []);
+  assert.equal(values.STORAGE_SINK, 'json');
+  assert.equal(values.RECENCY_DAYS, 6);
+  assert.equal(sources.RECENCY_DAYS, '--recency-days');
+  // An empty variable is "not set"
+  assert.equal(values.FEEDS_DIR, 'feeds');
+});
+
+test('resolveConfig keeps the previous value of an invalid layer and reports it', () => {
+  const { values, problems } = resolveConfig({
+    file: false,
+    env: { STORAGE_SINK: 'json' },
+    flags: { BATCH_OP_LIMIT: '900', SCHEDULE_TIMEZONE: 'Mars/Olympus', EPISODES_COLLECTION: 'a/b' },
+  });
+  assert.equal(values.BATCH_OP_LIMIT, 450);
+  assert.equal(problems.length, 3);
+  assert.ok(problems.includes('BATCH_OP_LIMIT (--batch-op-limit): must be an integer ≥ 1 and ≤ 500, got "900"'));
+});
+
+test('resolveConfig derives the seen store from the sink', () => {
+  assert.equal(resolveConfig({ file: false, env: { STORAGE_SINK: 'json' } }).values.SEEN_STORE, 'json');
+  assert.equal(resolveConfig({ file: false, env: { STORAGE_SINK: 'emulator' } }).values.SEEN_STORE, 'firestore');
+});
+
+test('resolveConfig checks rules across settings', () => {
+  const firestore = resolveConfig({ file: false, env: {} });
+  assert.ok(firestore.problems.some(problem => problem.startsWith('STORAGE_SINK=firestore needs')));
+  const seen = resolveConfig({ file: false, env: { STORAGE_SINK: 'json', SEEN_STORE: 'firestore' } });
+  assert.ok(seen.problems.some(problem => problem.startsWith('SEEN_STORE=firestore needs')));
+});
+
+test('resolveConfig reports a missing explicit config file', () => {
+  const { problems } = resolveConfig({ file: '/nonexistent/anime-hub.json', env: { STORAGE_SINK: 'json' } });
+  assert.deepEqual(problems, ['config file /nonexistent/anime-hub.json not found']);
+});
+
+test('resolveConfig needs at least one attempt per request', () => {
+  const { values, problems } = resolveConfig({ file: false, env: { STORAGE_SINK: 'json', MAX_RETRIES: '0' } });
+  assert.equal(values.MAX_RETRIES, 3);
+  assert.ok(problems.includes('MAX_RETRIES (env MAX_RETRIES): must be an integer ≥ 1 and ≤ 10, got "0"'));
+});